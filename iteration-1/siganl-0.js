@@ -14,11 +14,12 @@ const PENDING = 2;
  *
  * | Current | Event | Next | Action |
  * |---------|-------|------|--------|
- * | FRESH | Dependency changed | STALE | Mark for update |
+ * | FRESH | Direct source changed | STALE | Queue, mark downstream PENDING |
+ * | FRESH | Upstream memo may change | PENDING | Queue |
  * | FRESH | Read | FRESH | Return cached value |
- * | STALE | Read | PENDING | Check if update needed |
- * | PENDING | Sources changed | FRESH | Recompute |
- * | PENDING | Sources unchanged | FRESH | Skip recompute |
+ * | STALE | Read / flush | FRESH | Recompute |
+ * | PENDING | Read / flush, a source changed | STALE → FRESH | Recompute |
+ * | PENDING | Read / flush, sources unchanged | FRESH | Skip recompute |
  * | Any | Dispose | - | Clean up |
  *
  */
@@ -47,7 +48,15 @@ const PENDING = 2;
  * @property {boolean | undefined} [pure] If true, can have observers (memos). If false, side effects only (effects
  * @property {Comparator<any>| undefined} [comparator] Optional comparator for memo value changes
  * @property {boolean | undefined} [user] User-defined computation (vs internal)
+ * @property {boolean | undefined} [lazy] Lazy memo: only computed while read/observed (see createMemo)
+ * @property {PriorityLevel | undefined} [priority] Effect priority (see Priority)
+ * @property {number | undefined} [runs] Number of executions (see getGraph)
+ * @property {TraceCause[] | undefined} [causes] Traced causes of the next run (see enableTracing)
+ * @property {TraceRun | undefined} [lastRun] Traced cause of the last run
+ * @property {boolean | undefined} [orphan] Created without an owner (see enableLeakDetection)
  * @property {any | null} [context] Context data (inherited from owner)
+ * @property {SignalState<any>[] | undefined} [sourceMap] Signals created by the last run in dev mode (same as Owner.sourceMap)
+ * @property {Set<Owner> | undefined} [roots] Live child roots created by its runs in dev mode (same as Owner.roots)
  */
 /** biome-ignore-all lint/suspicious/noAssignInExpressions: <explanation> */
 
@@ -140,7 +149,8 @@ const PENDING = 2;
  * - Automatic cleanup on parent disposal
  * - Context propagation
  * - Memory leak prevention
- * @property {Record<string, { value: unknown }>|undefined} [sourceMap]  Source map for debugging
+ * @property {SignalState<any>[]|undefined} [sourceMap]  Signals created under this owner in dev mode (see getGraph)
+ * @property {Set<Owner>|undefined} [roots]  Live child roots created under this owner in dev mode (see getGraph)
  */
 
 /**
@@ -207,6 +217,8 @@ const PENDING = 2;
  * @property {Comparator<T>} comparator Optional comparator function to determine if the value has changed
  * @property {string|undefined} [name] Optional name for debugging purposes
  * @property {boolean | undefined} [internal] Internal signal flag (not user-facing)
+ * @property {number | undefined} [reads] Tracked reads, counted in dev mode
+ * @property {number | undefined} [writes] Value changes, counted in dev mode
  */
 
 /** @type {Computation<any>|null} */
@@ -215,23 +227,241 @@ let Listener = null;
 let Owner = null;
 let ExecCount = 0;
 let Pending = false;
-const IS_DEV = false; // Set to true for dev mode
 
-/** @type {Record<string, (signal: SignalState<any>) => void>} */
-const DevHooks = {};
+/**
+ * @typedef {"sync" | "microtask" | "macrotask" | ((flush: () => void) => void)} SchedulerMode
+ * @description When a flush runs after a write (see setScheduler)
+ */
+
+/** @type {(flush: () => void) => void} */
+let schedule = queueMicrotask;
+/**
+ * Effect priorities: lower runs first within a flush
+ * @readonly
+ */
+const Priority = /** @type {const} */ ({
+  IMMEDIATE: 0, // User input, animations: preempts queued lower-priority effects
+  HIGH: 1, // Data fetching, critical updates
+  NORMAL: 2, // Regular updates (default)
+  LOW: 3, // Analytics, logging: deferred to a later tick
+  IDLE: 4, // Cleanup, preloading: deferred after LOW
+});
+
+/** @typedef {typeof Priority[keyof typeof Priority]} PriorityLevel */
+
+/** LOW / IDLE effects postponed to a later tick (see runDeferred) */
+/** @type {Computation<any>[]} */
+let Deferred = [];
+let DeferredScheduled = false;
+/** Set when an IMMEDIATE effect is queued: the running effect phase stops */
+let PreemptRequested = false;
+
+/** Time budget of one flush slice in ms (null: flushes never yield) */
+/** @type {number | null} */
+let SliceBudget = null;
+
+/**
+ * @typedef {object} FlushStats
+ * @property {number} slices Number of slices (1 without time slicing)
+ * @property {number} memos Memos processed
+ * @property {number} effects Effects processed
+ * @property {number} duration Time spent flushing in ms (gaps between slices excluded)
+ */
+
+/**
+ * Passes (memo phase + effect phase) of the flush in progress. A computation
+ * that writes a signal it reads re-queues itself: past MAX_FLUSH_PASSES the
+ * flush gives up instead of running it forever.
+ */
+let FlushPasses = 0;
+const MAX_FLUSH_PASSES = 100000;
+
+/** Stats of the flush in progress (spans all its slices) */
+/** @type {FlushStats | null} */
+let CurrentFlush = null;
+/** @type {FlushStats | null} */
+let LastFlushStats = null;
+
+/** Resolvers of settled() promises, called once the queues are drained */
+/** @type {(() => void)[]} */
+let SettledCallbacks = [];
+const IS_DEV = false; // Set to true for verbose runtime logging
+
+/** Read / write counting and signal registration (see setDevMode) */
+let DevMode = false;
+
+/**
+ * @typedef {object} DevHookTable
+ * @property {((signal: SignalState<any>) => void) | null} afterCreateSignal
+ * @property {((owner: Owner | Computation<any>) => void) | null} afterCreateOwner Roots and computations
+ * @property {((stats: FlushStats) => void) | null} afterUpdate A flush completed
+ * @property {((owner: Owner | Computation<any>) => void) | null} afterDispose
+ */
+
+/**
+ * Developer hooks: assign a function to observe the runtime
+ * @type {DevHookTable}
+ */
+const DevHooks = {
+  afterCreateSignal: null,
+  afterCreateOwner: null,
+  afterUpdate: null,
+  afterDispose: null,
+};
 
 /** @type {(signal: SignalState<any>, computation: Computation<any>) => void} */
-const trackRead = () => {};
+const trackRead = (signal) => {
+  signal.reads = (signal.reads ?? 0) + 1;
+};
 /** @type {(signal: SignalState<any>, nextValue: any) => void} */
-const trackWrite = () => {};
+const trackWrite = (signal) => {
+  signal.writes = (signal.writes ?? 0) + 1;
+};
+
+/**
+ * @typedef {object} TracingOptions
+ * @property {boolean} [stack] Capture the call site of every write (slow)
+ * @property {number} [bufferSize] Runs kept by the rolling trace buffer (default 1000)
+ */
+
+/**
+ * @typedef {object} TraceWrite
+ * @property {number} id
+ * @property {string | undefined} signal Name of the written signal
+ * @property {unknown} prev
+ * @property {unknown} value
+ * @property {number} time performance.now() of the write
+ * @property {string | undefined} stack Call site (tracing with `stack: true`)
+ */
+
+/**
+ * @typedef {object} TraceCause
+ * @property {TraceWrite} write The signal write at the origin
+ * @property {string[]} via Memos the change went through, upstream first
+ */
+
+/**
+ * @typedef {object} TraceRun
+ * @property {number} id
+ * @property {string | undefined} computation Name of the computation
+ * @property {"memo" | "effect" | "computed"} kind
+ * @property {number} time performance.now() of the run
+ * @property {TraceCause[]} causes Empty for a first run (or a run nothing traced caused)
+ */
+
+/** Set by enableTracing() (null: tracing off) */
+/** @type {Required<TracingOptions> | null} */
+let Tracing = null;
+/** Rolling buffer of the last runs (ring, see getTrace) */
+/** @type {TraceRun[]} */
+let TraceBuffer = [];
+let TraceCount = 0;
+let NextTraceId = 1;
+/** Causes kept per computation between two runs (most recent) */
+const MAX_CAUSES = 16;
+
+/**
+ * @typedef {object} TraceEvent Chrome Trace Event Format, "complete" event
+ * @property {string} name
+ * @property {string} cat Computation kind, or "flush"
+ * @property {"X"} ph
+ * @property {number} ts Start in µs
+ * @property {number} dur Duration in µs
+ * @property {number} pid
+ * @property {number} tid
+ * @property {Record<string, unknown>} args
+ */
+
+/**
+ * @typedef {object} ComputationProfile
+ * @property {string} name Debug name, or kind#id (ids of getGraph)
+ * @property {"memo" | "effect" | "computed"} kind
+ * @property {number} runs
+ * @property {number} totalTime ms, nested computations included
+ * @property {number} selfTime ms, nested computations (e.g. pulled memos) excluded
+ * @property {number} maxTime ms, longest run
+ * @property {number} sources Distinct sources read by the last run
+ */
+
+/**
+ * @typedef {object} ProfilerState
+ * @property {TraceEvent[]} events
+ * @property {Map<Computation<any>, ComputationProfile>} stats
+ * @property {{ start: number; children: number }[]} stack Runs in progress
+ * @property {number} start
+ * @property {number} flushes
+ */
+
+/** Set between startProfiling() and stopProfiling() */
+/** @type {ProfilerState | null} */
+let Profiler = null;
+
+/**
+ * @typedef {object} Leak
+ * @property {"orphan" | "dangling-observer" | "dropped-root" | "growing-observers"} type
+ * @property {string | undefined} name Debug name of the leaking node
+ * @property {object} node The computation, root or signal concerned
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} LeakDetectorState
+ * @property {number} observerLimit
+ * @property {Set<{ deref(): any }>} nodes Signals and computations created while enabled
+ * @property {Set<{ deref(): Owner | undefined }>} droppedRoots Undisposed roots whose disposer was collected
+ * @property {WeakSet<object>} disposed Roots (and owners) disposed via dispose()
+ * @property {WeakMap<object, number[]>} observerCounts Observer counts at the last checks
+ * @property {FinalizationRegistry<{ deref(): any }> | null} collected Forgets collected nodes
+ * @property {FinalizationRegistry<{ deref(): Owner | undefined }> | null} disposers Notices dropped root disposers
+ */
+
+/** Set by enableLeakDetection() */
+/** @type {LeakDetectorState | null} */
+let Leaks = null;
+/** Consecutive checks an observer count must grow on to be reported */
+const GROWTH_CHECKS = 3;
+
+/** Roots checked by verifyGraph() after every flush in dev mode (see autoVerifyGraph) */
+/** @type {Set<Owner | Computation<any>>} */
+const VerifiedRoots = new Set();
+
+/**
+ * Reading `list[$TRACK]` subscribes to every change of a tracked collection
+ * (e.g. a store array) instead of a single property
+ */
+const $TRACK = Symbol("track");
 
 /** @type {Computation<any>[]} */
 let Updates = [];
 /** @type {Computation<any>[]} */
 let Effects = [];
+/**
+ * Lazy memos that lost their last observer while a computation re-runs
+ * (null when no computation is re-running, see removeObserver)
+ * @type {Computation<any>[] | null}
+ */
+let Releases = null;
+/**
+ * Unobserved lazy memos read outside any computation, released in a
+ * microtask unless something subscribed to them meanwhile (see createMemo)
+ * @type {Set<Computation<any>>}
+ */
+const UntrackedReads = new Set();
 
 /**
- * @param {SignalState<any>} signal
+ * @typedef {object} TransitionState
+ * @property {Set<SignalState<any>>} sources Signals written during the transition (value held in `tValue`)
+ * @property {Set<PromiseLike<any>>} promises Async work the commit waits for
+ * @property {boolean} running True while a startTransition() callback executes
+ * @property {Promise<void>} done Resolves once the transition is committed
+ * @property {() => void} resolve Resolves `done`
+ */
+
+/** @type {TransitionState | null} */
+let Transition = null;
+
+/**
+ * @param {SignalState<any> | Computation<any>} signal A signal or a memo
  * @param {Computation<any>} computation
  * @description Establishes a bidirectional link between a signal and a computation.
  * When a computation reads a signal, this function registers the computation
@@ -263,19 +493,20 @@ let Effects = [];
  * Called during computation execution when signal.read() is invoked while Listener is set.
  */
 function readHandler(signal, computation) {
+  const observers = (signal.observers ??= []);
   const observerSlots = (signal.observerSlots ??= []);
-  const computationSources = (computation.sources ??= []);
-  const computationSourceSlots = (computation.sourceSlots ??= []);
 
-  // Add computation to signal's observers
-  const signalIndex = signal.observers.push(computation);
-  // Store where this computation is in observer's sources
-  observerSlots.push(signalIndex);
+  // IMPORTANT: Get indices BEFORE pushing
+  const observerIndex = observers.length; // Where computation will be in signal's observers
+  const sourceIndex = computation.sources.length; // Where signal will be in computation's sources
 
-  // Add signal to computation's sources
-  computationSources.push(signal);
-  // Store where this signal is in signal's observers
-  computationSourceSlots.push(signalIndex);
+  // Forward link: signal -> observer
+  observers.push(computation);
+  observerSlots.push(sourceIndex); // Store where THIS signal is in observer's sources
+
+  // Backward link: observer -> signal
+  computation.sources.push(signal);
+  computation.sourceSlots.push(observerIndex); // Store where THIS observer is in signal's observers
 }
 
 /**
@@ -371,33 +602,25 @@ function createSignal(initValue, opts = {}) {
     // Track dependency if Listener exists (computation is currently executing)
     // The Listener is set by updateComputation/runTop when executing effects/memos
     if (Listener) {
-      if (!state.observers) {
-        state.observers = [];
-        state.observerSlots = [];
-      }
-
-      // Forward link: signal -> observer
-      // IMPORTANT: Get indices BEFORE pushing
-      const observerIndex = state.observers.length; // Where observer will be in signal's observers array
-      const sourceIndex = Listener.sources.length; // Where signal will be in observer's sources array
-
-      state.observers.push(Listener);
-      state.observerSlots.push(sourceIndex); // Store where THIS signal is in observer's sources
-
-      // Backward link: observer -> signal
-      Listener.sources.push(state);
-      Listener.sourceSlots.push(observerIndex); // Store where THIS observer is in signal's observers
+      readHandler(state, Listener);
 
       // Dev mode
-      if (IS_DEV && !state.internal) {
+      if (DevMode && !state.internal) {
         trackRead(state, Listener);
       }
     }
     // Expose read handler for cleanup
 
+    // Code running inside startTransition() sees its own pending writes
+    if (Transition?.running && Transition.sources.has(state)) {
+      return /** @type {T} */ (state.tValue);
+    }
+
     return state.value;
   };
   read._state = state;
+  // for await (const value of count) { ... }
+  read[Symbol.asyncIterator] = () => iterateAccessor(read);
 
   /**
    * @param {T | ((value:T) => T)} nextValue
@@ -415,6 +638,8 @@ function createSignal(initValue, opts = {}) {
    *       - Impure observers (effects) → Effects queue
    *    d. SCHEDULE: Call runUpdates() to batch execution
    * 4. If unchanged: No-op (optimization - prevents cascading updates)
+   * 5. Inside startTransition(): steps 2-3 are deferred, the value is kept
+   *    in `state.tValue` until the transition commits (see writeSignal)
    *
    * **Example - Function Updater:**
    * ```js
@@ -432,60 +657,92 @@ function createSignal(initValue, opts = {}) {
    */
   const write = (nextValue) => {
     if (typeof nextValue === "function") {
+      // Inside a transition the updater sees the transition value
+      const current =
+        Transition?.running && Transition.sources.has(state)
+          ? state.tValue
+          : state.value;
       // biome-ignore lint/suspicious/noTsIgnore: <explanation>
       // @ts-ignore
-      nextValue = nextValue(state.value);
+      nextValue = nextValue(current);
     }
 
-    // biome-ignore lint/suspicious/noTsIgnore: <explanation>
-    // @ts-ignore
-    if (!state.comparator(state.value, nextValue)) {
-      // biome-ignore lint/suspicious/noTsIgnore: <explanation>
-      // @ts-ignore
-      state.value = nextValue;
+    return writeSignal(state, /** @type {T} */ (nextValue));
+  };
 
-      for (let i = 0; i < state.observers.length; i++) {
-        const observer = /** @type {Computation<any>} */ (state.observers[i]);
-        if (IS_DEV) {
-          console.log(
-            `[write] Marking observer[${i}] as STALE, pure=${observer.pure}`
-          );
-        }
-        observer.state = STALE;
+  // Dev mode
+  if (DevMode && Owner && !state.internal) {
+    (Owner.sourceMap ??= []).push(state);
+  }
+  DevHooks.afterCreateSignal?.(state);
+  if (Leaks) watchNode(Leaks, state);
 
-        if (observer.pure) {
-          Updates.push(observer);
-        } else {
-          Effects.push(observer);
-        }
+  return /** @type {const}*/ ([read, write]);
+}
+
+/**
+ * @template T
+ * @param {SignalState<T>} state
+ * @param {T} nextValue
+ * @returns {T}
+ *
+ * @description Stores a new value and notifies observers (shared by the
+ * signal setter and the transition commit).
+ *
+ * Inside a running transition the value goes to `state.tValue` instead:
+ * observers are not notified until commitTransition() writes it for real.
+ */
+function writeSignal(state, nextValue) {
+  if (Transition?.running) {
+    state.tValue = nextValue;
+    Transition.sources.add(state);
+    return nextValue;
+  }
+
+  if (!state.comparator(state.value, nextValue)) {
+    const write = Tracing && traceWrite(state, nextValue);
+    state.value = nextValue;
+
+    for (let i = 0; i < state.observers.length; i++) {
+      const observer = /** @type {Computation<any>} */ (state.observers[i]);
+      if (write) addCauses(observer, [{ write, via: [] }]);
+      if (IS_DEV) {
+        console.log(
+          `[write] Marking observer[${i}] as STALE, pure=${observer.pure}`
+        );
       }
 
-      runUpdates();
+      // Already queued (STALE or PENDING) nodes only need the upgrade
+      if (observer.state === FRESH) {
+        enqueue(observer);
 
-      // Dev mode
-      if (IS_DEV && !state.internal) {
-        trackWrite(state, nextValue);
+        // Everything further downstream *might* change
+        if (observer.observers.length) {
+          markDownstream(observer);
+        }
       }
+      observer.state = STALE;
     }
 
-    return nextValue;
-  };
+    runUpdates();
 
-  // Dev mode
-  if (IS_DEV) {
-    DevHooks.afterCreateSignal?.(state);
+    // Dev mode
+    if (DevMode && !state.internal) {
+      trackWrite(state, nextValue);
+    }
   }
 
-  return /** @type {const}*/ ([read, write]);
+  return nextValue;
 }
 
 /**
- * @description Schedules and executes batched updates in a microtask.
+ * @description Schedules a flush of the queued updates (see setScheduler).
  *
  * **Lifecycle:**
- * 1. CHECK: If already pending, return (prevent duplicate scheduling)
- * 2. SCHEDULE: Queue microtask for next event loop tick
- * 3. EXECUTE (in microtask):
+ * 1. CHECK: If already pending, or inside a batch / flush, return (the
+ *    batch schedules on exit, a running flush picks up new work itself)
+ * 2. SCHEDULE: Hand flushUpdates to the scheduler (a microtask by default)
+ * 3. EXECUTE (flushUpdates):
  *    a. Increment ExecCount (prevents nested batching)
  *    b. PHASE 1 - Run Updates queue (memos):
  *       - Process all STALE memos
@@ -494,8 +751,8 @@ function createSignal(initValue, opts = {}) {
  *    c. PHASE 2 - Run Effects queue (effects):
  *       - Process all STALE effects
  *       - Execute side effects
- *    d. Clear both queues
- *    e. Decrement ExecCount, clear Pending flag
+ *    d. Repeat b-c while effects keep queueing new work
+ *    e. Decrement ExecCount, clear Pending flag (even if an error escapes)
  *
  * **Why Two Phases?**
  * Solves the "diamond problem" - ensures derived values (memos)
@@ -518,65 +775,243 @@ function createSignal(initValue, opts = {}) {
  * ```
  */
 function runUpdates() {
-  if (Pending) return;
+  if (Pending || ExecCount) return;
   Pending = true;
 
-  queueMicrotask(() => {
-    ExecCount++;
+  schedule(() => {
+    // Already flushed by flushSync()
+    if (Pending) flushUpdates();
+  });
+}
 
-    if (IS_DEV) {
-      console.log(
-        `[runUpdates] Processing ${Updates.length} memos, ${Effects.length} effects`
-      );
-    }
+/**
+ * @param {boolean} [sliced] Yield once the slice budget is spent
+ * @param {PriorityLevel} [level] Lowest effect priority run by this flush,
+ *   lower ones are deferred (NORMAL for regular flushes)
+ *
+ * @description Drains the Updates and Effects queues now (the body of a
+ * scheduled flush, also called directly by flushSync()).
+ *
+ * **Priorities:** each effect phase runs effects in priority order.
+ * - Effects below `level` (LOW / IDLE) go to `Deferred` and run in a later
+ *   tick (see runDeferred), after everything more urgent
+ * - Queuing an IMMEDIATE effect stops the phase after the running effect:
+ *   memos, then the IMMEDIATE effect, run before the rest of the phase
+ *
+ * **Time slicing** (see setTimeSlicing): once the budget is spent, the
+ * remaining effects go back to the front of the queue and the flush
+ * continues on the next macrotask. Each slice still runs every queued memo
+ * before its first effect, and runs at least one effect (progress).
+ * `Pending` stays set between slices: writes made meanwhile are picked up by
+ * the next slice instead of scheduling another flush.
+ */
+function flushUpdates(
+  sliced = SliceBudget !== null,
+  level = /** @type {PriorityLevel} */ (Priority.NORMAL)
+) {
+  Pending = true;
+  ExecCount++;
 
-    // Run memos first (Updates queue)
-    for (let i = 0; i < Updates.length; i++) {
-      const update = /** @type {Computation<any>} */ (Updates[i]);
-      if (IS_DEV) {
-        console.log(
-          `[runUpdates] Processing memo[${i}], state=${
-            update.state === FRESH
-              ? "FRESH"
-              : update.state === STALE
-              ? "STALE"
-              : "PENDING"
-          }`
+  const stats = (CurrentFlush ??= {
+    slices: 0,
+    memos: 0,
+    effects: 0,
+    duration: 0,
+  });
+  stats.slices++;
+  const start = performance.now();
+  const deadline = sliced ? start + /** @type {number} */ (SliceBudget) : Infinity;
+  let yielded = false;
+
+  try {
+    // Keep flushing until both queues are drained: effects may write
+    // signals (or report errors to a boundary) that queue new memos.
+    while (Updates.length || Effects.length) {
+      if (++FlushPasses > MAX_FLUSH_PASSES) {
+        throw new Error(
+          `Potential infinite loop: the flush did not settle after ${MAX_FLUSH_PASSES} passes ` +
+            "(does a computation write a signal it reads?)"
         );
       }
-      if (update.state === STALE) {
-        updateComputation(update);
-      }
-    }
-    Updates = [];
 
-    // Then effects (Effects queue)
-    for (let i = 0; i < Effects.length; i++) {
-      const effect = /** @type {Computation<any>} */ (Effects[i]);
+      const updates = Updates;
+      Updates = [];
+
       if (IS_DEV) {
         console.log(
-          `[runUpdates] Processing effect[${i}], state=${
-            effect.state === FRESH
-              ? "FRESH"
-              : effect.state === STALE
-              ? "STALE"
-              : "PENDING"
-          }`
+          `[runUpdates] Processing ${updates.length} memos, ${Effects.length} effects`
         );
       }
-      if (effect.state === STALE) {
-        updateComputation(effect);
+
+      // Run memos first (Updates queue)
+      for (let i = 0; i < updates.length; i++) {
+        const update = /** @type {Computation<any>} */ (updates[i]);
+        if (IS_DEV) {
+          console.log(
+            `[runUpdates] Processing memo[${i}], state=${
+              update.state === FRESH
+                ? "FRESH"
+                : update.state === STALE
+                ? "STALE"
+                : "PENDING"
+            }`
+          );
+        }
+        if (update.state !== FRESH) {
+          stats.memos++;
+          updateIfNecessary(update);
+        }
+      }
+
+      // Then effects (Effects queue), most urgent first (stable sort)
+      const effects = Effects.sort(byPriority);
+      Effects = [];
+      PreemptRequested = false;
+
+      for (let i = 0; i < effects.length; i++) {
+        if (i > 0 && performance.now() >= deadline) {
+          // Out of budget: keep the rest for the next slice
+          Effects = effects.slice(i).concat(Effects);
+          yielded = true;
+          break;
+        }
+        if (PreemptRequested) {
+          // An IMMEDIATE effect was queued: back to the top of the loop
+          Effects = Effects.concat(effects.slice(i));
+          break;
+        }
+
+        const effect = /** @type {Computation<any>} */ (effects[i]);
+        if (IS_DEV) {
+          console.log(
+            `[runUpdates] Processing effect[${i}], state=${
+              effect.state === FRESH
+                ? "FRESH"
+                : effect.state === STALE
+                ? "STALE"
+                : "PENDING"
+            }`
+          );
+        }
+        if ((effect.priority ?? Priority.NORMAL) > level) {
+          // Deferred entries stay STALE, so they are never queued twice
+          if (effect.state !== FRESH) Deferred.push(effect);
+          continue;
+        }
+        if (effect.state !== FRESH) {
+          stats.effects++;
+          updateIfNecessary(effect);
+        }
+      }
+
+      if (
+        !yielded &&
+        (Updates.length || Effects.length) &&
+        performance.now() >= deadline
+      ) {
+        yielded = true;
       }
+      if (yielded) break;
     }
-    Effects = [];
-
+  } finally {
+    const end = performance.now();
+    stats.duration += end - start;
     ExecCount--;
-    Pending = false;
-  });
+
+    if (Profiler) {
+      Profiler.flushes++;
+      Profiler.events.push({
+        name: "flush",
+        cat: "flush",
+        ph: "X",
+        ts: start * 1000,
+        dur: (end - start) * 1000,
+        pid: 1,
+        tid: 1,
+        args: { slice: stats.slices, memos: stats.memos, effects: stats.effects },
+      });
+    }
+
+    if (yielded) {
+      scheduleMacrotask(() => {
+        // Already finished by flushSync()
+        if (Pending) flushUpdates(true, level);
+      });
+    } else {
+      // An unhandled error must not leave the scheduler stuck in Pending
+      Updates = [];
+      Effects = [];
+      Pending = false;
+      FlushPasses = 0;
+      LastFlushStats = stats;
+      CurrentFlush = null;
+      DevHooks.afterUpdate?.(stats);
+
+      if (Deferred.length && !DeferredScheduled) {
+        DeferredScheduled = true;
+        scheduleMacrotask(runDeferred);
+      }
+      notifySettled();
+    }
+  }
+
+  // Only after a completed flush: a throw from the finally block would
+  // replace the error the flush is propagating
+  if (DevMode && !yielded) {
+    for (const root of VerifiedRoots) verifyGraph(root, { fail: true });
+  }
+}
+
+/**
+ * @param {Computation<any>} a
+ * @param {Computation<any>} b
+ */
+function byPriority(a, b) {
+  return (a.priority ?? Priority.NORMAL) - (b.priority ?? Priority.NORMAL);
+}
+
+/**
+ * @description Runs the deferred effects of the most urgent remaining
+ * priority (LOW before IDLE) in their own flush; less urgent ones are
+ * deferred again to the tick after.
+ */
+function runDeferred() {
+  DeferredScheduled = false;
+  // A flush in progress reschedules us when it completes
+  if (Pending || ExecCount || !Deferred.length) return;
+
+  const deferred = Deferred;
+  Deferred = [];
+  let level = /** @type {PriorityLevel} */ (Priority.IDLE);
+  for (let i = 0; i < deferred.length; i++) {
+    const priority = /** @type {Computation<any>} */ (deferred[i]).priority;
+    if (priority !== undefined && priority < level) level = priority;
+  }
+
+  Effects = deferred.concat(Effects);
+  flushUpdates(undefined, level);
+}
+
+/**
+ * @description Resolves the settled() promises once nothing is queued
+ */
+function notifySettled() {
+  if (Pending || ExecCount || Updates.length || Effects.length) return;
+  if (Deferred.length) return;
+  if (!SettledCallbacks.length) return;
+
+  const callbacks = SettledCallbacks;
+  SettledCallbacks = [];
+  for (let i = 0; i < callbacks.length; i++) {
+    /** @type {() => void} */ (callbacks[i])();
+  }
 }
 
 /**
  * @param {() => any} fn
+ * @param {{ priority?: PriorityLevel; name?: string }} [options]
+ *   - priority: order within a flush (see Priority), NORMAL by default
+ *   - name: debug name (see getGraph)
  *
  * @description Creates a side-effect computation that re-runs when dependencies change.
  *
@@ -592,11 +1027,10 @@ function runUpdates() {
  *    - Add to owner.owned[] for automatic cleanup
  *
  * 3. SCHEDULE INITIAL RUN:
- *    - If ExecCount > 0 (inside batch):
- *      → Mark STALE, add to Effects queue
- *      → Will run when batch completes
- *    - Else:
- *      → Schedule microtask to run immediately
+ *    - Mark STALE, add to Effects queue
+ *    - Inside a batch / root / flush → runs when it completes
+ *    - Else → runs on the next flush (see setScheduler: immediately in
+ *      "sync" mode, in a microtask by default)
  *
  * 4. EXECUTION (when scheduled):
  *    a. Clean old dependencies (cleanupSources)
@@ -632,7 +1066,7 @@ function runUpdates() {
  * dispose(); // Stop tracking
  * ```
  */
-function createEffect(fn) {
+function createEffect(fn, options = {}) {
   /** @type {Computation<any>} */
   const computation = {
     fn,
@@ -645,6 +1079,8 @@ function createEffect(fn) {
     observers: [],
     observerSlots: [],
     user: true,
+    priority: options.priority ?? Priority.NORMAL,
+    name: options.name,
   };
 
   if (Owner) {
@@ -656,19 +1092,14 @@ function createEffect(fn) {
     }
   }
 
-  // // Initial run
-  // runTop(computation);
+  DevHooks.afterCreateOwner?.(computation);
+  if (Leaks) watchNode(Leaks, computation);
 
-  // return computation;
-
-  // Schedule effect to run after current execution
-  if (ExecCount) {
-    Effects.push(computation);
-    computation.state = STALE;
-  } else {
-    // Immediate run
-    queueMicrotask(() => runTop(computation));
-  }
+  // Initial run goes through the queue like any re-run, so the scheduler
+  // decides when it happens
+  computation.state = STALE;
+  enqueue(computation);
+  runUpdates();
 
   return () => disposeComputation(computation);
 }
@@ -767,6 +1198,79 @@ function removeObserver(signal, targetIndex) {
   // Remove last
   signal.observers.pop();
   signal.observerSlots.pop();
+
+  // A lazy memo that lost its last observer stops tracking its sources
+  const memo = /** @type {Computation<any>} */ (/** @type {unknown} */ (signal));
+  if (memo.lazy && !memo.observers.length) {
+    if (Releases) {
+      // The observer is only re-running: it will probably read the memo
+      // again, so wait until it finished before deciding
+      Releases.push(memo);
+    } else {
+      releaseLazyMemo(memo);
+    }
+  }
+}
+
+/**
+ * @param {Computation<any>} computation A lazy memo without observers
+ *
+ * @description Unsubscribes a lazy memo from its sources and marks it STALE,
+ * so it costs nothing until it is read again (which recomputes it).
+ * Anything it owns is disposed by that next computation.
+ */
+function releaseLazyMemo(computation) {
+  if (computation.disposed) return;
+
+  if (IS_DEV) {
+    console.log(`[releaseLazyMemo] Last observer gone, dropping sources`);
+  }
+
+  cleanupSources(computation);
+  computation.state = STALE;
+}
+
+/**
+ * @param {Computation<any>} computation A lazy memo read without a Listener
+ *
+ * @description Schedules the release of a lazy memo nobody observes:
+ * reads in the same tick share one computation, afterwards it stops
+ * tracking its sources.
+ */
+function releaseAfterUntrackedRead(computation) {
+  if (Releases) {
+    // Inside a re-running computation: decided when it finishes
+    Releases.push(computation);
+    return;
+  }
+
+  if (!UntrackedReads.size) {
+    queueMicrotask(() => {
+      for (const memo of UntrackedReads) {
+        if (!memo.observers.length) releaseLazyMemo(memo);
+      }
+      UntrackedReads.clear();
+    });
+  }
+  UntrackedReads.add(computation);
+}
+
+/**
+ * @param {Computation<any>[] | null} prevReleases
+ *
+ * @description Restores the outer Releases list and releases the lazy memos
+ * collected while a computation re-ran, unless it subscribed to them again.
+ */
+function flushReleases(prevReleases) {
+  const released = /** @type {Computation<any>[]} */ (Releases);
+  Releases = prevReleases;
+
+  for (let i = 0; i < released.length; i++) {
+    const memo = /** @type {Computation<any>} */ (released[i]);
+    if (!memo.observers.length) {
+      releaseLazyMemo(memo);
+    }
+  }
 }
 
 /**
@@ -826,913 +1330,4136 @@ function getOwnerHierarchy(owner) {
 }
 
 /**
+ * @param {boolean} [enabled]
  *
- * @param {Owner} owner
- * @param {() => any} fn
+ * @description Turns dev mode on or off. In dev mode signals count their
+ * tracked reads and value changes, and register with the owner creating
+ * them, so getGraph() lists signals nothing reads yet. DevHooks fire in
+ * both modes.
  */
-function runWithOwner(owner, fn) {
-  const prevOwner = Owner;
-  Owner = owner;
-
-  try {
-    return fn();
-  } finally {
-    Owner = prevOwner;
-  }
+function setDevMode(enabled = true) {
+  DevMode = enabled;
 }
 
-// Get current owner
-function getOwner() {
-  return Owner;
+/**
+ * @typedef {object} GraphNode
+ * @property {number} id Stable across getGraph() calls
+ * @property {"owner" | "memo" | "effect" | "computed" | "signal"} kind
+ * @property {string | undefined} name
+ * @property {"FRESH" | "STALE" | "PENDING" | undefined} state Computations only
+ * @property {unknown} [value] Signals and memos
+ * @property {number | null} owner Id of the owning node
+ * @property {number[]} owned Ids of the owned computations and dev mode signals
+ * @property {number[]} sources Ids of the nodes this one reads
+ * @property {number[]} observers Ids of the computations reading this one
+ * @property {number} [runs] Executions (computations)
+ * @property {number} [reads] Tracked reads (signals, dev mode)
+ * @property {number} [writes] Value changes (signals, dev mode)
+ * @property {boolean} external Outside the root, reached through a dependency edge
+ */
+
+/**
+ * @typedef {object} Graph
+ * @property {number} root Id of the root node
+ * @property {GraphNode[]} nodes Ownership order (depth-first), external nodes last
+ */
+
+/** Ids handed out by getGraph() */
+/** @type {WeakMap<object, number>} */
+const GraphIds = new WeakMap();
+let NextGraphId = 1;
+
+const STATE_NAMES = /** @type {const} */ (["FRESH", "STALE", "PENDING"]);
+
+/**
+ * @param {object} item Owner, computation or signal
+ * @returns {number} Its getGraph() id (assigned on first use)
+ */
+function graphId(item) {
+  let id = GraphIds.get(item);
+  if (id === undefined) GraphIds.set(item, (id = NextGraphId++));
+  return id;
 }
 
 /**
- * @template T
- * @param {(dispose: () => void) => { result: T, dispose: (() => void); }} fn - Function that receives dispose callback
+ * @param {Owner | Computation<any>} [root] Defaults to the current owner
+ * @returns {Graph}
  *
- * @description Creates a new reactive root scope.
- * All computations created within fn are owned by this root.
+ * @description Snapshots the reactive graph under `root`: every owner,
+ * computation and signal, with ownership, dependency edges (both
+ * directions) and run counts. Signals show up when a computation under the
+ * root reads them, or when they were created under it in dev mode
+ * (see setDevMode). Child roots (mapArray / indexArray items, observable()
+ * subscriptions, ...) are listed under the owner that created them when
+ * they were created in dev mode.
  *
- * **Lifecycle:**
- * 1. CREATE ROOT:
- *    - Save current Owner
- *    - Create new root owner
- *    - Set as current Owner
- *
- * 2. EXECUTE:
- *    - Run fn with dispose callback
- *    - All createEffect/createMemo calls are owned by root
- *    - Can call dispose callback to clean up
- *
- * 3. RESTORE:
- *    - Restore previous Owner
- *    - Return result
+ * Nodes outside the root that are linked by a dependency edge are included
+ * with `external: true` (their own edges are limited to this graph).
  *
  * **Example:**
  * ```js
- * const dispose = createRoot((dispose) => {
- *   const [count, setCount] = createSignal(0);
- *
- *   createEffect(() => {
- *     console.log('Count:', count());
- *   });
+ * setDevMode();
+ * createRoot(() => {
+ *   const [count, setCount] = createSignal(0, { name: "count" });
+ *   const doubled = createMemo(() => count() * 2, undefined, { name: "doubled" });
+ *   createEffect(() => console.log(doubled()), { name: "log" });
  *
- *   return dispose; // Return disposer for later cleanup
+ *   queueMicrotask(() => console.table(getGraph().nodes));
  * });
- *
- * // Later...
- * dispose(); // Cleans up all owned computations
  * ```
  */
-function createRoot(fn) {
-  const prevOwner = Owner;
+function getGraph(root = /** @type {Owner} */ (Owner)) {
+  if (!root) {
+    throw new TypeError("getGraph() needs a root: call it under an owner or pass one");
+  }
 
-  /** @type {Owner} */
-  const root = {
-    owned: null,
-    cleanups: null,
-    owner: prevOwner,
-    context: prevOwner?.context ?? null,
+  /** @type {Map<object, GraphNode>} */
+  const nodes = new Map();
+
+  /**
+   * @param {any} item
+   * @returns {GraphNode}
+   */
+  const describe = (item) => {
+    let node = nodes.get(item);
+    if (node) return node;
+
+    const id = graphId(item);
+    const isComputation = "fn" in item;
+    const isSignal = !isComputation && "comparator" in item;
+    node = {
+      id,
+      kind: isComputation
+        ? item.pure
+          ? "memo"
+          : item.user
+          ? "effect"
+          : "computed"
+        : isSignal
+        ? "signal"
+        : "owner",
+      name: item.name,
+      state: isComputation ? STATE_NAMES[item.state ?? FRESH] : undefined,
+      owner: null,
+      owned: [],
+      sources: [],
+      observers: [],
+      external: true,
+    };
+    if (isSignal || item.pure) node.value = item.value;
+    if (isComputation) node.runs = item.runs ?? 0;
+    if (isSignal) {
+      node.reads = item.reads ?? 0;
+      node.writes = item.writes ?? 0;
+    }
+
+    nodes.set(item, node);
+    return node;
   };
 
-  Owner = root;
+  // 1. Ownership: walk the owner tree under the root
+  /** @type {[any, GraphNode | null][]} */
+  const stack = [[root, null]];
+  /** @type {any[]} */
+  const internal = [];
+  while (stack.length) {
+    const [item, parent] = /** @type {[any, GraphNode | null]} */ (stack.pop());
+    const node = describe(item);
+    node.external = false;
+    internal.push(item);
+    if (parent) {
+      node.owner = parent.id;
+      parent.owned.push(node.id);
+    }
 
-  let result;
-  let error;
-  try {
-    result = fn(() => dispose(root));
-  } catch (err) {
-    return handleError(error);
-  } finally {
-    Owner = prevOwner;
+    const signals = item.sourceMap ?? [];
+    for (let i = 0; i < signals.length; i++) {
+      const signalNode = describe(signals[i]);
+      if (!signalNode.external) continue;
+      signalNode.external = false;
+      signalNode.owner = node.id;
+      node.owned.push(signalNode.id);
+      internal.push(signals[i]);
+    }
+
+    const roots = item.roots ? [...item.roots] : [];
+    for (let i = roots.length - 1; i >= 0; i--) stack.push([roots[i], node]);
+    const owned = item.owned ?? [];
+    for (let i = owned.length - 1; i >= 0; i--) stack.push([owned[i], node]);
   }
 
-  return result;
+  // 2. Dependencies: edges of internal nodes, mirrored on external ones
+  for (let i = 0; i < internal.length; i++) {
+    const item = internal[i];
+    const node = describe(item);
+
+    const sources = item.sources ?? [];
+    for (let j = 0; j < sources.length; j++) {
+      const source = describe(sources[j]);
+      node.sources.push(source.id);
+      if (source.external) source.observers.push(node.id);
+    }
+
+    const observers = item.observers ?? [];
+    for (let j = 0; j < observers.length; j++) {
+      const observer = describe(observers[j]);
+      node.observers.push(observer.id);
+      if (observer.external) observer.sources.push(node.id);
+    }
+  }
+
+  return {
+    root: describe(root).id,
+    nodes: [...nodes.values()].sort(
+      (a, b) => Number(a.external) - Number(b.external)
+    ),
+  };
 }
 
+/** Location of this module, to drop runtime frames from traced stacks */
+const RUNTIME_URL = import.meta.url;
+
 /**
- * @param {Owner} owner
- *
- * @description Disposes a reactive owner and all its owned computations.
- * This function cleans up all owned computations and registered cleanup
- * functions associated with the given owner to prevent memory leaks.
- *
- * **Lifecycle:**
- * 1. DISPOSE OWNED COMPUTATIONS:
- *    - Recursively dispose all owned computations
- *    - Maintains ownership hierarchy cleanup
- *
- * 2. RUN CLEANUP FUNCTIONS:
- *    - Execute all registered cleanup callbacks
- *    - Clear timers, event listeners, etc.
+ * @param {SignalState<any>} state
+ * @param {unknown} value
+ * @returns {TraceWrite}
+ */
+function traceWrite(state, value) {
+  let stack;
+  if (Tracing?.stack) {
+    stack = (new Error().stack ?? "")
+      .split("\n")
+      .slice(1)
+      .filter((line) => !line.includes(RUNTIME_URL))
+      .join("\n");
+  }
+  return {
+    id: NextTraceId++,
+    signal: state.name,
+    prev: state.value,
+    value,
+    time: performance.now(),
+    stack,
+  };
+}
+
+/**
+ * @param {Computation<any>} computation
+ * @param {TraceCause[]} causes
+ */
+function addCauses(computation, causes) {
+  const pending = (computation.causes ??= []);
+  pending.push(...causes);
+  if (pending.length > MAX_CAUSES) pending.splice(0, pending.length - MAX_CAUSES);
+}
+
+/**
+ * @param {Computation<any>} computation About to run
+ */
+function traceRun(computation) {
+  const tracing = /** @type {Required<TracingOptions>} */ (Tracing);
+  /** @type {TraceRun} */
+  const run = {
+    id: NextTraceId++,
+    computation: computation.name,
+    kind: computation.pure ? "memo" : computation.user ? "effect" : "computed",
+    time: performance.now(),
+    causes: computation.causes ?? [],
+  };
+  computation.causes = undefined;
+  computation.lastRun = run;
+
+  TraceBuffer[TraceCount % tracing.bufferSize] = run;
+  TraceCount++;
+}
+
+/**
+ * @param {TracingOptions} [options]
  *
- * **Note:** This is typically used for root-level owners created by createRoot().
- * For disposing individual computations, use disposeComputation().
+ * @description Starts recording why computations run. Every write records
+ * the signal, old and new value and a timestamp (plus the call site with
+ * `stack: true`); every run records the writes that caused it and the memos
+ * they went through. Runs land in a rolling buffer (see getTrace) and on
+ * the computation (see getLastRunCause).
  *
  * **Example:**
  * ```js
- * const rootDisposer = createRoot((dispose) => {
- *   createEffect(() => {
- *     const timer = setInterval(() => {...}, 1000);
- *
- *     onCleanup(() => {
- *       clearInterval(timer); // Runs on disposal
- *     });
- *   });
- *
- *   return dispose;
- * });
+ * enableTracing({ stack: true });
  *
- * // Later...
- * rootDisposer(); // Cleans up all effects and timers
+ * const [count, setCount] = createSignal(0, { name: "count" });
+ * const doubled = createMemo(() => count() * 2, undefined, { name: "doubled" });
+ * createEffect(() => {
+ *   render(doubled());
+ *   console.log(getLastRunCause(getListener()));
+ *   // { computation: "render", causes: [{ write: { signal: "count", ... }, via: ["doubled"] }] }
+ * }, { name: "render" });
  * ```
  */
-function dispose(owner) {
-  if (!owner) return;
-
-  // 1. Dispose all owned computations
-  if (owner.owned) {
-    for (let i = owner.owned.length - 1; i >= 0; i--) {
-      const computation = owner.owned[i];
-      disposeComputation(/** @type {Computation<any>} */ (computation));
-    }
-    owner.owned = null;
+function enableTracing(options = {}) {
+  const bufferSize = options.bufferSize ?? 1000;
+  if (!(bufferSize >= 1)) {
+    throw new RangeError("Trace buffer size must be at least 1");
   }
+  if (Tracing?.bufferSize !== bufferSize) clearTrace();
+  Tracing = { stack: options.stack ?? false, bufferSize };
+}
 
-  // 2. Run cleanup functions registered via onCleanup() at owner level
-  if (owner.cleanups) {
-    for (let i = owner.cleanups.length - 1; i >= 0; i--) {
-      try {
-        /** @type {() => void} */ (owner.cleanups[i])();
-      } catch (err) {
-        handleError(err);
-      }
-    }
-    owner.cleanups = null;
-  }
+/**
+ * @description Stops tracing (recorded runs stay readable)
+ */
+function disableTracing() {
+  Tracing = null;
+}
 
-  // Note: We don't remove from parent's owned list because:
-  // 1. Owner type doesn't match Computation<any>[] type (architectural issue)
-  // 2. Root owners created by createRoot() typically don't need parent removal
-  // 3. If needed, this should be handled at the createRoot level
+/**
+ * @returns {TraceRun[]} The buffered runs, oldest first
+ */
+function getTrace() {
+  if (TraceCount <= TraceBuffer.length) return TraceBuffer.slice(0, TraceCount);
+  const start = TraceCount % TraceBuffer.length;
+  return TraceBuffer.slice(start).concat(TraceBuffer.slice(0, start));
+}
+
+function clearTrace() {
+  TraceBuffer = [];
+  TraceCount = 0;
+}
+
+/**
+ * @param {Computation<any> | ((...args: any[]) => any) | null} target A
+ *   computation (e.g. `getListener()` inside an effect) or a memo accessor
+ * @returns {TraceRun | null} What caused its last traced run
+ */
+function getLastRunCause(target) {
+  const computation =
+    typeof target === "function"
+      ? /** @type {any} */ (target)._state
+      : target;
+  return computation?.lastRun ?? null;
+}
+
+/**
+ * @param {ProfilerState} profiler
+ */
+function enterProfile(profiler) {
+  const frame = { start: performance.now(), children: 0, profiler };
+  profiler.stack.push(frame);
+  return frame;
 }
 
 /**
  * @param {Computation<any>} computation
+ * @param {{ start: number; children: number; profiler: ProfilerState }} frame
+ */
+function exitProfile(computation, frame) {
+  const profiler = frame.profiler;
+  // Profiling stopped (or restarted) during the run
+  if (profiler !== Profiler) return;
+
+  const duration = performance.now() - frame.start;
+  profiler.stack.pop();
+  const parent = profiler.stack[profiler.stack.length - 1];
+  if (parent) parent.children += duration;
+
+  let stats = profiler.stats.get(computation);
+  if (!stats) {
+    const kind = computation.pure
+      ? "memo"
+      : computation.user
+      ? "effect"
+      : "computed";
+    stats = {
+      name: computation.name ?? `${kind}#${graphId(computation)}`,
+      kind,
+      runs: 0,
+      totalTime: 0,
+      selfTime: 0,
+      maxTime: 0,
+      sources: 0,
+    };
+    profiler.stats.set(computation, stats);
+  }
+  stats.runs++;
+  stats.totalTime += duration;
+  stats.selfTime += duration - frame.children;
+  stats.maxTime = Math.max(stats.maxTime, duration);
+  // A source read twice appears twice in `sources`
+  stats.sources = new Set(computation.sources).size;
+
+  profiler.events.push({
+    name: stats.name,
+    cat: stats.kind,
+    ph: "X",
+    ts: frame.start * 1000,
+    dur: duration * 1000,
+    pid: 1,
+    tid: 1,
+    args: { sources: stats.sources, run: stats.runs },
+  });
+}
+
+/**
+ * @description Starts profiling: every computation run (time, sources) and
+ * every flush is recorded until stopProfiling(). Restarting discards the
+ * current recording.
+ */
+function startProfiling() {
+  Profiler = {
+    events: [],
+    stats: new Map(),
+    stack: [],
+    start: performance.now(),
+    flushes: 0,
+  };
+}
+
+/**
+ * @typedef {object} Profile
+ * @property {{ traceEvents: TraceEvent[]; displayTimeUnit: "ms" }} trace
+ *   Chrome Trace Event Format: save as JSON and open in chrome://tracing,
+ *   Perfetto or the DevTools performance panel
+ * @property {ComputationProfile[]} summary Hottest (self time) first
+ * @property {number} duration ms profiled
+ * @property {number} flushes Flush slices recorded
+ */
+
+/**
+ * @returns {Profile}
  *
- * @description Disposes a computation and all its owned computations recursively.
- * This function cleans up all sources, owned computations, and registered cleanup
- * functions associated with the given computation to prevent memory leaks.
- *
- * **Why Recursive Disposal?**
- *
- * Problem: Disposing a computation should also clean up all its children.
- * Solution: Recursively dispose owned computations and run cleanups.
- *
- * **Lifecycle:**
- * 1. CLEANUP SOURCES:
- *    - Remove from all signal observers (break bidirectional links)
- *    - Clear sources and sourceSlots arrays
- *
- * 2. DISPOSE CHILDREN:
- *    - Recursively dispose all owned computations
- *    - Maintains ownership hierarchy cleanup
- *
- * 3. RUN CLEANUP FUNCTIONS:
- *    - Execute all registered cleanup callbacks
- *    - Clear timers, event listeners, etc.
- *
- * 4. REMOVE FROM PARENT:
- *    - Remove this computation from parent's owned list
- *    - Prevents memory leaks and double-disposal
+ * @description Stops profiling and returns the recording.
  *
  * **Example:**
  * ```js
- * createEffect(() => {
- *   const timer = setInterval(() => {...}, 1000);
- *
- *   onCleanup(() => {
- *     clearInterval(timer); // Runs on disposal
- *   });
+ * startProfiling();
+ * setRows(bigList);
+ * await settled();
+ * const profile = stopProfiling();
  *
- *   createEffect(() => {
- *     // Nested effect - owned by parent
- *   });
- * });
- * // On dispose: nested effect → cleanup → parent cleanup
+ * console.table(profile.summary.slice(0, 10)); // which memo makes the flush slow
+ * fs.writeFileSync("flush.json", JSON.stringify(profile.trace));
  * ```
  */
-function disposeComputation(computation) {
-  if (!computation) return;
-
-  // 1. Clean up sources (remove from signals' observers)
-  cleanupSources(computation);
+function stopProfiling() {
+  const profiler = Profiler;
+  if (!profiler) throw new Error("stopProfiling() called without startProfiling()");
+  Profiler = null;
+
+  /** @param {number} ms */
+  const round = (ms) => Math.round(ms * 1000) / 1000;
+  const summary = [...profiler.stats.values()]
+    .sort((a, b) => b.selfTime - a.selfTime)
+    .map((stats) => ({
+      ...stats,
+      totalTime: round(stats.totalTime),
+      selfTime: round(stats.selfTime),
+      maxTime: round(stats.maxTime),
+    }));
+
+  return {
+    trace: { traceEvents: profiler.events, displayTimeUnit: "ms" },
+    summary,
+    duration: performance.now() - profiler.start,
+    flushes: profiler.flushes,
+  };
+}
 
-  // 2. Dispose owned computations recursively (THIS computation's children, not parent's!)
-  // ✅ FIXED: Was using computation.owner.owned (parent's children) instead of computation.owned (this computation's children)
-  if (computation.owned) {
-    for (let i = computation.owned.length - 1; i >= 0; i--) {
-      const child = computation.owned[i];
-      if (child) {
-        disposeComputation(child);
-      }
-    }
-    computation.owned = null;
-  }
+/**
+ * @param {LeakDetectorState} leaks
+ * @param {SignalState<any> | Computation<any>} node
+ */
+function watchNode(leaks, node) {
+  const ref = weakRef(node);
+  leaks.nodes.add(ref);
+  leaks.collected?.register(node, ref);
+  // Created outside any owner: only a manual dispose can release it
+  if ("fn" in node && !node.owner) node.orphan = true;
+}
 
-  // 3. Run cleanup functions registered via onCleanup()
-  if (computation.cleanups) {
-    for (let i = computation.cleanups.length - 1; i >= 0; i--) {
-      try {
-        const cleanup = computation.cleanups[i];
-        if (cleanup) {
-          cleanup();
-        }
-      } catch (err) {
-        handleError(err);
-      }
-    }
-    computation.cleanups = null;
-  }
+/**
+ * @param {LeakDetectorState} leaks
+ * @param {Owner} root
+ * @param {() => void} disposeRoot The disposer handed to createRoot's fn
+ */
+function watchRoot(leaks, root, disposeRoot) {
+  leaks.disposers?.register(disposeRoot, weakRef(root));
+}
 
-  // 4. Remove from parent's owned list
-  // ✅ FIXED: Now properly removes this computation from parent's owned array
-  if (computation.owner?.owned) {
-    const index = computation.owner.owned.indexOf(computation);
-    if (index !== -1) {
-      // Swap with last element for O(1) removal
-      const lastIndex = computation.owner.owned.length - 1;
-      if (index < lastIndex) {
-        const lastChild = computation.owner.owned[lastIndex];
-        if (lastChild) {
-          computation.owner.owned[index] = lastChild;
-        }
-      }
-      computation.owner.owned.pop();
-    }
-  }
+/**
+ * @template {object} T
+ * @param {T} target
+ * @returns {{ deref(): T | undefined }} A WeakRef, or a strong reference
+ *   where WeakRef is not available
+ */
+function weakRef(target) {
+  return typeof WeakRef === "function" ? new WeakRef(target) : { deref: () => target };
+}
 
-  // Mark as disposed
-  computation.disposed = true;
+/**
+ * @param {{ observerLimit?: number }} [options]
+ *   - observerLimit: observer count above which a signal is reported (default 1000)
+ *
+ * @description Starts watching the signals, computations and roots created
+ * from now on; checkLeaks() reports what leaks. Nodes are held through
+ * WeakRefs, so watching does not keep anything alive (where WeakRef and
+ * FinalizationRegistry are missing, nodes are held strongly and dropped
+ * roots are not detected).
+ *
+ * Detected leaks:
+ * - orphan: a computation created outside any owner (`Owner === null`) and
+ *   never disposed
+ * - dangling-observer: a disposed computation still in the `observers` of
+ *   a signal or memo
+ * - dropped-root: a root whose dispose function was garbage collected while
+ *   the root was alive and undisposed (reported after a GC)
+ * - growing-observers: a signal or memo above `observerLimit` observers, or
+ *   whose observer count grew at each of the last checks
+ */
+function enableLeakDetection(options = {}) {
+  /** @type {Set<{ deref(): any }>} */
+  const nodes = new Set();
+  /** @type {Set<{ deref(): Owner | undefined }>} */
+  const droppedRoots = new Set();
+  const hasRegistry = typeof FinalizationRegistry === "function";
+  /** @type {WeakSet<object>} */
+  const disposed = new WeakSet();
+
+  Leaks = {
+    observerLimit: options.observerLimit ?? 1000,
+    nodes,
+    droppedRoots,
+    disposed,
+    observerCounts: new WeakMap(),
+    collected: hasRegistry
+      ? new FinalizationRegistry((ref) => nodes.delete(ref))
+      : null,
+    disposers: hasRegistry
+      ? new FinalizationRegistry((rootRef) => {
+          const root = rootRef.deref();
+          if (root && !disposed.has(root) && root.owned?.length) {
+            droppedRoots.add(rootRef);
+          }
+        })
+      : null,
+  };
 }
 
 /**
- * @param {any} e
- * @returns {never}
+ * @description Stops watching (nodes created meanwhile are forgotten)
  */
-function handleError(e) {
-  // Simple error handling - log to console
-  console.error("Computation error:", e);
-  throw e;
+function disableLeakDetection() {
+  Leaks = null;
 }
 
 /**
- * @param {() => void} fn - Cleanup function to run on disposal
+ * @param {{ fail?: boolean }} [options]
+ *   - fail: throw an Error listing the leaks (fails the test calling it)
+ * @returns {Leak[]}
  *
- * @description Registers a cleanup function to run when the current reactive scope is disposed.
- *
- * **Lifecycle:**
- * - Cleanup functions run in reverse order (LIFO - Last In, First Out)
- * - Called before computation re-execution (if registered in computation)
- * - Called on manual disposal
- * - Called when parent owner is disposed
- *
- * **Common Use Cases:**
- * - Clear timers: clearInterval, clearTimeout
- * - Remove event listeners
- * - Cancel subscriptions
- * - Close connections
- * - Free resources
+ * @description Reports the leaks among the nodes watched since
+ * enableLeakDetection(). Each call also records observer counts: a count
+ * that keeps growing over successive checks is reported.
  *
  * **Example:**
  * ```js
- * createEffect(() => {
- *   const timer = setInterval(() => {
- *     console.log('Tick');
- *   }, 1000);
- *
- *   // Cleanup runs when effect is disposed or re-runs
- *   onCleanup(() => {
- *     clearInterval(timer);
- *     console.log('Timer cleared');
- *   });
- * });
- * ```
- *
- * **Multiple Cleanups:**
- * ```js
- * createEffect(() => {
- *   const timer = setInterval(() => {}, 1000);
- *   const listener = () => console.log('click');
- *
- *   document.addEventListener('click', listener);
- *
- *   onCleanup(() => clearInterval(timer));  // Runs second
- *   onCleanup(() => document.removeEventListener('click', listener)); // Runs first (LIFO)
- * });
+ * enableLeakDetection();
+ * const dispose = mountWidget();
+ * dispose();
+ * checkLeaks({ fail: true }); // throws if the widget left anything behind
  * ```
  */
-function onCleanup(fn) {
-  if (!Owner) {
-    console.warn("onCleanup called outside reactive scope");
-    return;
+function checkLeaks(options = {}) {
+  const leaks = Leaks;
+  if (!leaks) throw new Error("checkLeaks() called without enableLeakDetection()");
+
+  /** @type {Leak[]} */
+  const found = [];
+  /**
+   * @param {Leak["type"]} type
+   * @param {any} node
+   * @param {string} message
+   */
+  const report = (type, node, message) => {
+    found.push({ type, name: node.name, node, message });
+  };
+  /** @param {any} node */
+  const label = (node) =>
+    node.name
+      ? `"${node.name}"`
+      : "fn" in node
+      ? node.pure
+        ? "memo"
+        : "effect"
+      : "signal";
+
+  for (const ref of leaks.nodes) {
+    const node = ref.deref();
+    if (!node) continue;
+
+    if (node.orphan && !node.disposed) {
+      report(
+        "orphan",
+        node,
+        `${label(node)} was created outside any owner and never disposed`
+      );
+    }
+
+    const observers = node.observers ?? [];
+    for (let i = 0; i < observers.length; i++) {
+      if (observers[i].disposed) {
+        report(
+          "dangling-observer",
+          node,
+          `${label(node)} still lists disposed ${label(observers[i])} as an observer`
+        );
+      }
+    }
+
+    const counts = leaks.observerCounts.get(node) ?? [];
+    counts.push(observers.length);
+    if (counts.length > GROWTH_CHECKS + 1) counts.shift();
+    leaks.observerCounts.set(node, counts);
+    const growing =
+      counts.length > GROWTH_CHECKS &&
+      counts.every((count, i) => i === 0 || count > /** @type {number} */ (counts[i - 1]));
+    if (observers.length > leaks.observerLimit || growing) {
+      report(
+        "growing-observers",
+        node,
+        `${label(node)} has ${observers.length} observers${
+          growing ? `, growing over the last ${GROWTH_CHECKS} checks` : ""
+        }`
+      );
+    }
   }
 
-  if (!Owner.cleanups) {
-    Owner.cleanups = [];
+  for (const ref of leaks.droppedRoots) {
+    const root = ref.deref();
+    if (!root || leaks.disposed.has(root)) {
+      leaks.droppedRoots.delete(ref);
+      continue;
+    }
+    report(
+      "dropped-root",
+      root,
+      `A root owning ${root.owned?.length ?? 0} computation(s) lost its dispose function`
+    );
   }
 
-  Owner.cleanups.push(fn);
+  if (options.fail && found.length) {
+    throw new Error(
+      `${found.length} leak(s) detected:\n${found
+        .map((leak) => `- ${leak.type}: ${leak.message}`)
+        .join("\n")}`
+    );
+  }
+  return found;
 }
 
 /**
- * @param {Computation<any>} computation
- *
- * @description Removes computation from all its source signal observers.
- *
- * **Lifecycle Position:**
- * Called before EVERY computation re-execution (runTop/updateComputation).
- *
- * **Why Clean Before Re-run?**
- * - Dependencies might change between executions
- * - Old dependencies shouldn't trigger this computation anymore
- * - New dependencies will be tracked during re-execution
+ * @param {Owner | Computation<any>} [root] Defaults to the current owner
+ * @param {{ fail?: boolean }} [options]
+ *   - fail: throw an Error listing the violations
+ * @returns {string[]} Violated invariants (empty when the graph is sound)
+ *
+ * @description Checks the bookkeeping of every computation under `root`
+ * and of every signal or memo they read:
+ *
+ * 1. SLOTS: `observers[i].sources[observerSlots[i]] === node` and
+ *    `observers[i].sourceSlots[observerSlots[i]] === i`, and the reverse
+ *    from each computation's `sources` / `sourceSlots`
+ * 2. DISPOSAL: no disposed computation is reachable through `owned`,
+ *    `sources` or `observers`
+ * 3. OWNERSHIP: every node in an `owned` list points back to its owner (or
+ *    to the scope that ran it, which shares the same `owned` list)
+ * 4. STATES: states are FRESH / STALE / PENDING, and once nothing is queued
+ *    every computation is FRESH, except lazy memos and deferred effects
  *
  * **Example:**
  * ```js
- * const [flag, setFlag] = createSignal(true);
- * const [a, setA] = createSignal(1);
- * const [b, setB] = createSignal(2);
- *
- * createEffect(() => {
- *   if (flag()) {
- *     console.log(a()); // Tracked
- *   } else {
- *     console.log(b()); // Tracked
- *   }
- * });
- *
- * // Initially: sources = [flag, a]
- * setFlag(false);
- * // Before re-run: cleanupSources() removes from flag and a
- * // During re-run: sources = [flag, b] (new tracking!)
+ * const root = createRoot(() => { mountApp(); return getOwner(); });
+ * await settled();
+ * verifyGraph(root, { fail: true });
  * ```
  */
-function cleanupSources(computation) {
-  if (!computation.sources?.length) return;
+function verifyGraph(root = /** @type {Owner} */ (Owner), options = {}) {
+  if (!root) {
+    throw new TypeError("verifyGraph() needs a root: call it under an owner or pass one");
+  }
 
-  while (computation.sources.length) {
-    const source = /** @type {SignalState<any>} */ (computation.sources.pop());
-    const slot = /** @type {number} */ (computation.sourceSlots.pop());
+  /** @type {string[]} */
+  const violations = [];
+  const idle = !Pending && !ExecCount && !Updates.length && !Effects.length;
+
+  /** @param {any} node */
+  const label = (node) => {
+    const kind =
+      "fn" in node
+        ? node.pure
+          ? "memo"
+          : node.user
+          ? "effect"
+          : "computed"
+        : "comparator" in node
+        ? "signal"
+        : "owner";
+    return node.name ? `${kind} "${node.name}"` : `${kind}#${graphId(node)}`;
+  };
 
-    if (!source?.observers) continue;
+  /** @param {any} node A signal or memo */
+  const checkObservers = (node) => {
+    const observers = node.observers ?? [];
+    for (let i = 0; i < observers.length; i++) {
+      const observer = observers[i];
+      const slot = node.observerSlots[i];
+      if (observer.disposed) {
+        violations.push(`${label(node)} is observed by disposed ${label(observer)}`);
+      }
+      if (observer.sources[slot] !== node || observer.sourceSlots[slot] !== i) {
+        violations.push(
+          `${label(node)}.observers[${i}] (${label(observer)}) does not point back at slot ${slot}`
+        );
+      }
+    }
+  };
 
-    removeObserver(source, slot);
+  /** @type {Set<any>} */
+  const sources = new Set();
+  /** @type {Set<any>} */
+  const visited = new Set();
+  /** @type {any[]} */
+  const stack = [root];
+  while (stack.length) {
+    const item = stack.pop();
+    if (visited.has(item)) continue;
+    visited.add(item);
+
+    if ("fn" in item) {
+      if (item.disposed) violations.push(`disposed ${label(item)} is still owned`);
+
+      if (item.state !== FRESH && item.state !== STALE && item.state !== PENDING) {
+        violations.push(`${label(item)} has an invalid state ${item.state}`);
+      } else if (
+        idle &&
+        item.state !== FRESH &&
+        !item.lazy &&
+        !item.disposed &&
+        !Deferred.includes(item)
+      ) {
+        violations.push(
+          `${label(item)} is ${STATE_NAMES[item.state]} although nothing is queued`
+        );
+      }
+
+      for (let j = 0; j < item.sources.length; j++) {
+        const source = item.sources[j];
+        const slot = item.sourceSlots[j];
+        if (source.disposed) {
+          violations.push(`${label(item)} reads disposed ${label(source)}`);
+        }
+        if (source.observers?.[slot] !== item || source.observerSlots[slot] !== j) {
+          violations.push(
+            `${label(item)}.sources[${j}] (${label(source)}) does not point back at slot ${slot}`
+          );
+        }
+        sources.add(source);
+      }
+      if (item.pure) checkObservers(item);
+    }
+
+    const signals = item.sourceMap ?? [];
+    for (let i = 0; i < signals.length; i++) sources.add(signals[i]);
+
+    const owned = item.owned ?? [];
+    for (let i = 0; i < owned.length; i++) {
+      const child = owned[i];
+      if (child.owner !== item && child.owner?.owned !== owned) {
+        violations.push(`${label(child)} is owned by ${label(item)} but points at another owner`);
+      }
+      stack.push(child);
+    }
   }
+
+  // Signals, and memos outside the root
+  for (const source of sources) {
+    if (!visited.has(source)) checkObservers(source);
+  }
+
+  if (options.fail && violations.length) {
+    throw new Error(
+      `Graph invariant violated:\n${violations.map((v) => `- ${v}`).join("\n")}`
+    );
+  }
+  return violations;
 }
 
 /**
- * @param {Computation<any>} computation
- *
- * @description Executes a computation, establishing reactive context.
- *
- * **Lifecycle:**
- * 1. CLEANUP: Remove from old dependencies (cleanupSources)
- *    - Breaks old bidirectional links
- *    - Prepares for new tracking
- *
- * 2. SETUP CONTEXT:
- *    - Save current Listener/Owner
- *    - Set Listener = this computation (enables dependency tracking)
- *    - Create new Owner scope (for nested computations)
+ * @param {Owner | Computation<any>} root
+ * @returns {() => void} Stops the automatic checks
  *
- * 3. EXECUTE:
- *    - Run computation.fn()
- *    - Any signal reads automatically tracked (via Listener)
- *    - New bidirectional links created
+ * @description In dev mode (see setDevMode), runs verifyGraph(root) after
+ * every completed flush; a violation throws from the flush.
+ */
+function autoVerifyGraph(root) {
+  VerifiedRoots.add(root);
+  return () => {
+    VerifiedRoots.delete(root);
+  };
+}
+
+/**
+ * @typedef {object} GraphExport
+ * @property {1} version Schema version
+ * @property {number} root
+ * @property {{
+ *   id: number;
+ *   type: GraphNode["kind"];
+ *   name: string | null;
+ *   label: string;
+ *   state: GraphNode["state"] | null;
+ *   runs: number | null;
+ *   external: boolean;
+ * }[]} nodes Sorted by id
+ * @property {{ from: number; to: number; type: "owns" | "depends" }[]} edges
+ *   "owns": owner → owned node, "depends": source → observer (data flow).
+ *   Ownership edges first, each group sorted by (from, to)
+ */
+
+/**
+ * @param {Owner | Computation<any> | Graph} [rootOrGraph] A root (defaults
+ *   to the current owner) or a getGraph() snapshot
+ * @returns {GraphExport}
  *
- * 4. RESTORE CONTEXT:
- *    - Restore previous Listener/Owner
- *    - Mark state = FRESH
+ * @description Exports the reactive graph with a stable, JSON-serializable
+ * schema (no values, ids from getGraph()). graphToDOT() and graphToMermaid()
+ * draw the same nodes and edges.
+ */
+function graphToJSON(rootOrGraph) {
+  const graph =
+    rootOrGraph && "nodes" in rootOrGraph
+      ? /** @type {Graph} */ (rootOrGraph)
+      : getGraph(/** @type {Owner | undefined} */ (rootOrGraph));
+
+  const nodes = [...graph.nodes]
+    .sort((a, b) => a.id - b.id)
+    .map((node) => ({
+      id: node.id,
+      type: node.kind,
+      name: node.name ?? null,
+      label: node.name ?? `${node.kind}#${node.id}`,
+      state: node.state ?? null,
+      runs: node.runs ?? null,
+      external: node.external,
+    }));
+
+  /** @type {GraphExport["edges"]} */
+  const owns = [];
+  /** @type {GraphExport["edges"]} */
+  const depends = [];
+  const seen = new Set();
+  for (const node of graph.nodes) {
+    if (node.owner !== null) {
+      owns.push({ from: node.owner, to: node.id, type: "owns" });
+    }
+    for (const observer of node.observers) {
+      const key = `${node.id}>${observer}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      depends.push({ from: node.id, to: observer, type: "depends" });
+    }
+  }
+  /**
+   * @param {{ from: number; to: number }} a
+   * @param {{ from: number; to: number }} b
+   */
+  const byEnds = (a, b) => a.from - b.from || a.to - b.to;
+
+  return {
+    version: 1,
+    root: graph.root,
+    nodes,
+    edges: owns.sort(byEnds).concat(depends.sort(byEnds)),
+  };
+}
+
+/** Node styles of the drawings, by node type */
+const GRAPH_STYLES = {
+  owner: { dot: "shape=folder, fillcolor=white", mermaid: ["[", "]"] },
+  signal: { dot: "shape=ellipse, fillcolor=lightblue", mermaid: ["([", "])"] },
+  memo: { dot: "shape=box, fillcolor=lightgreen", mermaid: ["{{", "}}"] },
+  effect: { dot: "shape=box, fillcolor=lightyellow", mermaid: ["[[", "]]"] },
+  computed: { dot: "shape=hexagon, fillcolor=lightgrey", mermaid: ["[/", "/]"] },
+};
+
+/**
+ * @param {Owner | Computation<any> | Graph} [rootOrGraph] See graphToJSON()
+ * @returns {string} A Graphviz `digraph`
  *
- * **Why Save/Restore Context?**
- * Enables nested computations to track independently:
+ * @description Draws the graph for Graphviz: nodes labelled with their name
+ * and type, dashed ownership edges, solid dependency edges (source →
+ * observer). External nodes are dotted.
  *
+ * **Example:**
  * ```js
- * createEffect(() => {           // Listener = Effect1
- *   const a = signal1();          // signal1 → Effect1
+ * fs.writeFileSync("graph.dot", graphToDOT(appRoot));
+ * // dot -Tsvg graph.dot > graph.svg
+ * ```
+ */
+function graphToDOT(rootOrGraph) {
+  const { nodes, edges } = graphToJSON(rootOrGraph);
+  /** @param {string} text */
+  const escape = (text) => text.replace(/["\\]/g, "\\$&");
+
+  const lines = [
+    "digraph ReactiveGraph {",
+    "  rankdir=LR;",
+    '  node [style=filled, fontname="Helvetica"];',
+  ];
+  for (const node of nodes) {
+    const style = GRAPH_STYLES[node.type].dot;
+    const label = `"${escape(node.label)}\\n(${node.type})"`;
+    lines.push(
+      `  n${node.id} [label=${label}, ${style}${
+        node.external ? ', style="filled,dotted"' : ""
+      }];`
+    );
+  }
+  for (const edge of edges) {
+    lines.push(
+      `  n${edge.from} -> n${edge.to}${
+        edge.type === "owns" ? " [style=dashed, arrowhead=none]" : ""
+      };`
+    );
+  }
+  lines.push("}");
+  return lines.join("\n");
+}
+
+/**
+ * @param {Owner | Computation<any> | Graph} [rootOrGraph] See graphToJSON()
+ * @returns {string} A Mermaid `flowchart`
  *
- *   createEffect(() => {          // Listener = Effect2
- *     const b = signal2();        // signal2 → Effect2 (not Effect1!)
- *   });
+ * @description Draws the graph as a Mermaid flowchart (renders in Markdown
+ * on GitHub): one shape per node type, dotted ownership links, arrows for
+ * dependencies (source → observer).
  *
- *   const c = signal3();          // Listener = Effect1 (restored)
- * });                             // signal3 → Effect1
+ * **Example:**
+ * ```js
+ * console.log("```mermaid\n" + graphToMermaid(appRoot) + "\n```");
  * ```
  */
-function runTop(computation) {
-  cleanupSources(computation);
+function graphToMermaid(rootOrGraph) {
+  const { nodes, edges } = graphToJSON(rootOrGraph);
+  /** @param {string} text */
+  const escape = (text) => text.replace(/"/g, "#quot;");
+
+  const lines = ["flowchart LR"];
+  for (const node of nodes) {
+    const [open, close] = GRAPH_STYLES[node.type].mermaid;
+    lines.push(
+      `  n${node.id}${open}"${escape(node.label)}<br/>(${node.type})"${close}`
+    );
+  }
+  for (const edge of edges) {
+    lines.push(
+      `  n${edge.from} ${edge.type === "owns" ? "-.-" : "-->"} n${edge.to}`
+    );
+  }
 
-  // Run existing cleanups before re-execution
-  if (computation.cleanups) {
-    for (let i = computation.cleanups.length - 1; i >= 0; i--) {
-      try {
-        computation.cleanups[i]();
-      } catch (err) {
-        handleError(err);
-      }
-    }
-    computation.cleanups = null;
+  const external = nodes.filter((node) => node.external);
+  if (external.length) {
+    lines.push("  classDef external stroke-dasharray: 4 4");
+    lines.push(`  class ${external.map((node) => `n${node.id}`).join(",")} external`);
   }
+  return lines.join("\n");
+}
 
-  const prevListener = Listener;
+/**
+ *
+ * @param {Owner} owner
+ * @param {() => any} fn
+ */
+function runWithOwner(owner, fn) {
   const prevOwner = Owner;
-
-  Listener = computation;
-  const tempOwner = {
-    owned: null,
-    owner: computation.owner,
-    context: computation?.owner?.context ?? null,
-    cleanups: null,
-  };
-  Owner = tempOwner;
+  Owner = owner;
 
   try {
-    computation.fn(computation.value);
+    return fn();
   } finally {
-    // Transfer cleanups from temporary owner to computation
-    if (tempOwner.cleanups) {
-      computation.cleanups = tempOwner.cleanups;
-    }
-
-    // Transfer owned computations from temporary owner to computation
-    // These are computations created during this effect's execution (nested effects)
-    if (tempOwner.owned) {
-      computation.owned = tempOwner.owned;
-    }
-
-    Listener = prevListener;
     Owner = prevOwner;
   }
+}
 
-  computation.state = FRESH;
+// Get current owner
+function getOwner() {
+  return Owner;
+}
+
+// Get the computation currently tracking reads (null when untracked)
+function getListener() {
+  return Listener;
 }
 
 /**
  * @template T
  * @param {() => T} fn
- * @param {T} [initValue]
- * @param {{ equals?: Comparator<any> }|undefined} [opts]
- *
- * @description Creates a memoized derived computation (pure, cacheable).
- *
- * **Lifecycle:**
- * 1. CREATE COMPUTATION:
- *    - pure: true (can have observers)
- *    - value: Stores cached result
- *    - comparator: Checks if recomputed value changed
- *
- * 2. INITIAL COMPUTATION:
- *    - Call updateComputation() immediately
- *    - Establishes dependencies
- *    - Caches result
+ * @returns {T}
  *
- * 3. WHEN DEPENDENCY CHANGES:
- *    a. Memo marked STALE
- *    b. Added to Updates queue (runs before effects)
- *    c. updateComputation() called in microtask
- *    d. New value compared with old:
- *       - If equal → No propagation (optimization!)
- *       - If different → Notify observers
- *
- * 4. WHEN READ (memo accessor called):
- *    a. If STALE → recompute immediately (lazy evaluation)
- *    b. If Listener exists → establish dependency link
- *    c. Return cached value
- *
- * **Key Difference from Effects:**
- * - Memos: Pure, cached, can be observed, lazy recomputation
- * - Effects: Impure, no cache, cannot be observed, always run
+ * @description Runs `fn` without tracking any signal reads.
  *
  * **Example:**
  * ```js
- * const [count, setCount] = createSignal(0);
- *
- * const doubled = createMemo(() => {
- *   console.log('Computing...');
- *   return count() * 2;
+ * createEffect(() => {
+ *   console.log(a(), untrack(b)); // Re-runs when `a` changes, never for `b`
  * });
+ * ```
+ */
+function untrack(fn) {
+  if (Listener === null) return fn();
+
+  const prevListener = Listener;
+  Listener = null;
+
+  try {
+    return fn();
+  } finally {
+    Listener = prevListener;
+  }
+}
+
+/**
+ * @template T
+ * @typedef {object} Context
+ * @property {symbol} id Unique key used in `Owner.context`
+ * @property {T} defaultValue Returned by useContext() when no provider is found
+ * @property {(props: { value: T; children: () => any }) => any} Provider Scopes `value` to the owners created by `children`
+ */
+
+/**
+ * @template T
+ * @param {T} [defaultValue]
+ * @returns {Context<T>}
  *
- * console.log(doubled()); // Computing... 0
- * console.log(doubled()); // 0 (cached!)
+ * @description Creates a context object that can be provided to a subtree
+ * of the ownership tree and read back anywhere below it.
  *
- * setCount(5);
- * // Memo marked STALE but NOT recomputed yet
+ * **Lifecycle:**
+ * 1. CREATE: Allocate a unique symbol id for the context
+ * 2. PROVIDE: `Provider` copies the current `Owner.context` and adds `[id]: value`
+ * 3. INHERIT: Every owner created below (roots, effects, memos) copies the
+ *    context of its parent (see createRoot/runTop/updateComputation)
+ * 4. READ: useContext() walks up the Owner chain looking for `[id]`
  *
- * console.log(doubled()); // Computing... 10 (lazy recompute)
+ * **Example:**
+ * ```js
+ * const ThemeContext = createContext("light");
+ *
+ * createRoot(() => {
+ *   ThemeContext.Provider({
+ *     value: "dark",
+ *     children: () => {
+ *       createEffect(() => {
+ *         console.log(useContext(ThemeContext)); // "dark"
+ *       });
+ *     },
+ *   });
+ * });
  * ```
  */
+function createContext(defaultValue) {
+  const id = Symbol("context");
+  return {
+    id,
+    defaultValue: /** @type {T} */ (defaultValue),
+    Provider: createProvider(id),
+  };
+}
 
 /**
- * Checks if any upstream dependencies have actually changed values.
- * Uses PENDING state to optimize away unnecessary recomputations.
- *
- * This implements the "upstream lookup" optimization from SolidJS to handle
- * the diamond problem:
- *
- *     signal
- *    /      \
- *  memo1  memo2
- *    \      /
- *     memo3
+ * @template T
+ * @param {Context<T>} context
+ * @returns {T}
  *
- * When signal changes, both memo1 and memo2 are marked STALE, which marks memo3 STALE.
- * When memo3 is read, instead of immediately recomputing, we check if memo1 and memo2
- * actually have different values. If they don't, we can skip recomputing memo3.
+ * @description Reads the value of the nearest provider above the current Owner.
+ * Falls back to `context.defaultValue` when there is none (or no Owner at all).
  *
- * @param {Computation<any>} computation
- * @returns {boolean} true if dependencies changed and we need to recompute
+ * **Shadowing:**
+ * ```js
+ * Ctx.Provider({ value: 1, children: () => {
+ *   useContext(Ctx); // 1
+ *   Ctx.Provider({ value: 2, children: () => {
+ *     useContext(Ctx); // 2 (inner provider wins)
+ *   }});
+ * }});
+ * ```
  */
-function lookUpstream(computation) {
-  if (IS_DEV) {
-    console.log(`[lookUpstream] Checking if dependencies actually changed`);
-  }
-
-  // Mark as PENDING while we check upstream
-  computation.state = PENDING;
-
-  // Check each source dependency
-  for (let i = 0; i < computation.sources.length; i++) {
-    const source = computation.sources[i];
-
-    // If source is a computation (memo), recursively check it
-    if (source && "fn" in source) {
-      // If source is STALE, check upstream recursively
-      if (source.state === STALE) {
-        if (lookUpstream(source)) {
-          updateComputation(source);
-        }
-      }
+function useContext(context) {
+  if (!Owner) return context.defaultValue;
 
-      // If source is still PENDING after checking, it means there's a cycle
-      // (we're in the middle of checking this computation's dependencies)
-      if (source.state === PENDING) {
-        if (IS_DEV) {
-          console.log(`[lookUpstream] Detected cycle, forcing recomputation`);
-        }
-        computation.state = STALE;
-        return true;
-      }
+  let owner = /** @type {Owner | null} */ (Owner);
+  while (owner) {
+    if (owner.context && context.id in owner.context) {
+      return owner.context[context.id];
     }
+    owner = owner.owner;
   }
 
-  // After checking all sources, assume we need to recompute
-  // A full optimization would compare old vs new values here
-  computation.state = STALE;
-  return true;
+  return context.defaultValue;
 }
 
-function createMemo(fn, initValue, opts) {
-  /** @type {Computation<T>} */
-  const computation = {
-    fn,
-    owner: Owner,
-    state: FRESH,
-    sources: [],
-    sourceSlots: [],
-    observers: [],
-    observerSlots: [],
-    cleanups: null,
-    value: initValue,
-    pure: true,
-    comparator: opts?.equals,
-    user: true,
-  };
-
-  if (Owner) {
-    (Owner.owned ??= []).push(computation);
-  }
-
-  // Run immediately to compute initial value
-  updateComputation(computation);
-
-  function read() {
-    // Debug logging
-    if (IS_DEV) {
-      console.log(
-        `[createMemo.read] state=${
-          computation.state === FRESH
-            ? "FRESH"
-            : computation.state === STALE
-            ? "STALE"
-            : "PENDING"
-        }, value=${computation.value}`
-      );
-    }
-
-    // If stale, check if we actually need to recompute
-    if (computation.state === STALE) {
-      // Use PENDING state optimization: check if dependencies actually changed
-      if (lookUpstream(computation)) {
-        updateComputation(computation);
-      }
-    }
-
-    // Track dependency
-    if (Listener) {
-      // IMPORTANT: Get indices BEFORE pushing
-      const observerIndex = computation.observers.length; // Where observer will be in memo's observers array
-      const sourceIndex = Listener.sources.length; // Where memo will be in observer's sources array
-
-      computation.observers.push(Listener);
-      computation.observerSlots.push(sourceIndex); // Store where THIS memo is in observer's sources
-
-      Listener.sources.push(computation);
-      Listener.sourceSlots.push(observerIndex); // Store where THIS observer is in memo's observers
-    }
-
-    return computation.value;
-  }
+/**
+ * @param {symbol} id
+ *
+ * @description Builds the `Provider` for a context.
+ *
+ * The provider is a computation (like a component's render effect), so its
+ * subtree is owned by the current Owner and disposed with it. The context is
+ * written on the computation's temporary owner, which is the `owner` of every
+ * computation created by `children`, so they (and anything created later via
+ * `runWithOwner(getOwner(), ...)` from inside them) inherit the value.
+ *
+ * `children` runs untracked: reading signals while building the subtree must
+ * not re-create the whole subtree.
+ */
+function createProvider(id) {
+  /**
+   * @param {{ value: any; children: () => any }} props
+   */
+  return function provider(props) {
+    let result;
+
+    createComputed(() => {
+      result = untrack(() => {
+        const owner = /** @type {Owner} */ (Owner);
+        owner.context = { ...owner.context, [id]: props.value };
+        return props.children();
+      });
+    });
 
-  return read;
+    return result;
+  };
 }
 
 /**
- * @param {Computation<any>} computation
+ * @template T
+ * @param {(dispose: () => void) => { result: T, dispose: (() => void); }} fn - Function that receives dispose callback
  *
- * @description Re-executes a computation and propagates changes if value changed.
+ * @description Creates a new reactive root scope.
+ * All computations created within fn are owned by this root.
  *
  * **Lifecycle:**
- * 1. CLEANUP: Remove from old dependencies (cleanupSources)
+ * 1. CREATE ROOT:
+ *    - Save current Owner
+ *    - Create new root owner
+ *    - Set as current Owner
  *
- * 2. SETUP CONTEXT:
- *    - Save/set Listener (enables dependency tracking)
- *    - Create new Owner scope
+ * 2. EXECUTE:
+ *    - Run fn with dispose callback
+ *    - All createEffect/createMemo calls are owned by root
+ *    - Can call dispose callback to clean up
  *
- * 3. EXECUTE:
- *    - Run computation.fn(previousValue)
- *    - Catch and handle errors
- *    - New dependencies auto-tracked
+ * 3. RESTORE:
+ *    - Restore previous Owner
+ *    - Return result
  *
- * 4. COMPARE VALUES:
- *    - Use comparator (or Object.is) to check equality
- *    - If equal → No propagation (prevents cascading updates)
+ * **Errors:** an error thrown by fn goes to the nearest catchError handler
+ * (an ErrorBoundary included); createRoot then returns `undefined`. With no
+ * handler it is rethrown.
  *
- * 5. PROPAGATE (if changed):
- *    a. Update cached value
- *    b. Mark all observers STALE
- *    c. Queue observers:
- *       - Pure (memos) → Updates queue
- *       - Impure (effects) → Effects queue
+ * **Example:**
+ * ```js
+ * const dispose = createRoot((dispose) => {
+ *   const [count, setCount] = createSignal(0);
  *
- * 6. FINALIZE:
- *    - Restore context
- *    - Mark state = FRESH
+ *   createEffect(() => {
+ *     console.log('Count:', count());
+ *   });
  *
- * **Optimization - Comparison:**
- * ```js
- * const expensive = createMemo(() => {
- *   const result = heavyComputation();
- *   return result; // Returns same reference
+ *   return dispose; // Return disposer for later cleanup
  * });
  *
- * // If dependencies change but result is same:
- * // → Recomputes (unavoidable)
- * // → Compares: Object.is(oldResult, newResult) = true
- * // → Does NOT notify observers (optimization!)
+ * // Later...
+ * dispose(); // Cleans up all owned computations
  * ```
- *
- * **Used For:**
- * - Memo recomputation (when STALE or read)
- * - Effect re-execution (when STALE)
  */
-function updateComputation(computation) {
-  cleanupSources(computation);
-
-  if (IS_DEV) {
-    console.log(
-      `[updateComputation] Starting, owned:`,
-      computation.owned?.length ?? "none"
-    );
-  }
-
-  // Dispose owned computations (effects created inside this effect)
-  // This must happen BEFORE running cleanups, as owned computations may have their own cleanups
-  if (computation.owned) {
-    if (IS_DEV) {
-      console.log(
-        `[updateComputation] Disposing ${computation.owned.length} owned computations`
-      );
-    }
-    for (let i = computation.owned.length - 1; i >= 0; i--) {
-      const child = computation.owned[i];
-      if (child) {
-        if (IS_DEV) {
-          console.log(`[updateComputation] Disposing child computation`);
-        }
-        disposeComputation(child);
-      }
-    }
-    computation.owned = null;
-  }
-
-  // Run existing cleanups before re-execution
-  if (computation.cleanups) {
-    for (let i = computation.cleanups.length - 1; i >= 0; i--) {
-      try {
-        const cleanup = computation.cleanups[i];
-        if (cleanup) {
-          cleanup();
-        }
-      } catch (err) {
-        handleError(err);
-      }
-    }
-    computation.cleanups = null;
-  }
-
-  const prevListener = Listener;
+function createRoot(fn) {
   const prevOwner = Owner;
 
-  Listener = computation;
-  const tempOwner = {
+  /** @type {Owner} */
+  const root = {
     owned: null,
-    owner: computation.owner,
-    context: computation?.owner?.context ?? null,
     cleanups: null,
+    owner: prevOwner,
+    context: prevOwner?.context ?? null,
   };
-  Owner = tempOwner;
 
-  let nextValue;
+  DevHooks.afterCreateOwner?.(root);
+  // Child roots are not owned (the parent does not dispose them), but
+  // getGraph shows them under the parent in dev mode
+  if (DevMode && prevOwner) (prevOwner.roots ??= new Set()).add(root);
+
+  Owner = root;
+  // Effects created by fn run once the whole root is built
+  ExecCount++;
+
+  let result;
   try {
-    nextValue = computation.fn(computation.value);
-  } catch (e) {
-    handleError(e);
-    return;
+    const disposeRoot = () => dispose(root);
+    if (Leaks) watchRoot(Leaks, root, disposeRoot);
+    result = fn(disposeRoot);
+  } catch (err) {
+    handleError(err, root);
   } finally {
-    // Transfer cleanups from temporary owner to computation
-    if (tempOwner.cleanups) {
-      computation.cleanups = tempOwner.cleanups;
+    Owner = prevOwner;
+    ExecCount--;
+  }
+
+  runUpdates();
+  return result;
+}
+
+/**
+ * @param {Owner} owner
+ *
+ * @description Disposes a reactive owner and all its owned computations.
+ * This function cleans up all owned computations and registered cleanup
+ * functions associated with the given owner to prevent memory leaks.
+ *
+ * **Lifecycle:**
+ * 1. DISPOSE OWNED COMPUTATIONS:
+ *    - Recursively dispose all owned computations
+ *    - Maintains ownership hierarchy cleanup
+ *
+ * 2. RUN CLEANUP FUNCTIONS:
+ *    - Execute all registered cleanup callbacks
+ *    - Clear timers, event listeners, etc.
+ *
+ * **Note:** This is typically used for root-level owners created by createRoot().
+ * For disposing individual computations, use disposeComputation().
+ *
+ * **Example:**
+ * ```js
+ * const rootDisposer = createRoot((dispose) => {
+ *   createEffect(() => {
+ *     const timer = setInterval(() => {...}, 1000);
+ *
+ *     onCleanup(() => {
+ *       clearInterval(timer); // Runs on disposal
+ *     });
+ *   });
+ *
+ *   return dispose;
+ * });
+ *
+ * // Later...
+ * rootDisposer(); // Cleans up all effects and timers
+ * ```
+ */
+function dispose(owner) {
+  if (!owner) return;
+
+  // 1. Dispose all owned computations
+  if (owner.owned) {
+    for (let i = owner.owned.length - 1; i >= 0; i--) {
+      const computation = owner.owned[i];
+      disposeComputation(/** @type {Computation<any>} */ (computation));
     }
+    owner.owned = null;
+  }
 
-    // Transfer owned computations from temporary owner to computation
-    // These are computations created during this effect's execution (nested effects)
-    // IMPORTANT: We replace computation.owned (which is null after disposal above)
-    // with the NEW owned computations created during this run
-    if (tempOwner.owned) {
-      if (IS_DEV) {
-        console.log(
-          `[updateComputation] Transferring ${tempOwner.owned.length} owned computations to parent`
-        );
+  // 2. Run cleanup functions registered via onCleanup() at owner level
+  if (owner.cleanups) {
+    for (let i = owner.cleanups.length - 1; i >= 0; i--) {
+      try {
+        /** @type {() => void} */ (owner.cleanups[i])();
+      } catch (err) {
+        handleError(err, owner);
       }
-      computation.owned = tempOwner.owned;
-    } else {
-      // No new owned computations, ensure it's null
-      computation.owned = null;
     }
-
-    Listener = prevListener;
-    Owner = prevOwner;
+    owner.cleanups = null;
   }
 
-  // Check equality
-  const isEqual = (computation.comparator ?? Object.is)(
-    computation.value,
-    nextValue
-  );
+  DevHooks.afterDispose?.(owner);
+  Leaks?.disposed.add(owner);
+  owner.owner?.roots?.delete(owner);
 
-  if (!isEqual) {
-    computation.value = nextValue;
+  // Note: We don't remove from parent's owned list because:
+  // 1. Owner type doesn't match Computation<any>[] type (architectural issue)
+  // 2. Root owners created by createRoot() typically don't need parent removal
+  // 3. If needed, this should be handled at the createRoot level
+}
 
-    // Notify observers
-    for (let i = 0; i < computation.observers.length; i++) {
-      const observer = /** @type {Computation<any>} */ (
-        computation.observers[i]
-      );
-      observer.state = STALE;
+/**
+ * @param {Computation<any>} computation
+ *
+ * @description Disposes a computation and all its owned computations recursively.
+ * This function cleans up all sources, owned computations, and registered cleanup
+ * functions associated with the given computation to prevent memory leaks.
+ *
+ * **Why Recursive Disposal?**
+ *
+ * Problem: Disposing a computation should also clean up all its children.
+ * Solution: Recursively dispose owned computations and run cleanups.
+ *
+ * **Lifecycle:**
+ * 1. CLEANUP SOURCES:
+ *    - Remove from all signal observers (break bidirectional links)
+ *    - Clear sources and sourceSlots arrays
+ *
+ * 2. DISPOSE CHILDREN:
+ *    - Recursively dispose all owned computations
+ *    - Maintains ownership hierarchy cleanup
+ *
+ * 3. RUN CLEANUP FUNCTIONS:
+ *    - Execute all registered cleanup callbacks
+ *    - Clear timers, event listeners, etc.
+ *
+ * 4. REMOVE FROM PARENT:
+ *    - Remove this computation from parent's owned list
+ *    - Prevents memory leaks and double-disposal
+ *
+ * **Example:**
+ * ```js
+ * createEffect(() => {
+ *   const timer = setInterval(() => {...}, 1000);
+ *
+ *   onCleanup(() => {
+ *     clearInterval(timer); // Runs on disposal
+ *   });
+ *
+ *   createEffect(() => {
+ *     // Nested effect - owned by parent
+ *   });
+ * });
+ * // On dispose: nested effect → cleanup → parent cleanup
+ * ```
+ */
+function disposeComputation(computation) {
+  if (!computation) return;
 
-      if (observer.pure) {
-        Updates.push(observer);
-      } else {
-        Effects.push(observer);
+  // 1. Clean up sources (remove from signals' observers)
+  cleanupSources(computation);
+
+  // 2. Dispose owned computations recursively (THIS computation's children, not parent's!)
+  // ✅ FIXED: Was using computation.owner.owned (parent's children) instead of computation.owned (this computation's children)
+  if (computation.owned) {
+    for (let i = computation.owned.length - 1; i >= 0; i--) {
+      const child = computation.owned[i];
+      if (child) {
+        disposeComputation(child);
       }
     }
+    computation.owned = null;
   }
 
-  if (IS_DEV) {
-    console.log(
-      `[updateComputation] Setting computation.state = FRESH, has ${computation.observers.length} observers`
-    );
-    if (computation.observers.length > 0) {
-      for (let i = 0; i < computation.observers.length; i++) {
-        const obs = computation.observers[i];
-        console.log(
-          `  observer[${i}].state = ${
-            obs.state === FRESH
-              ? "FRESH"
-              : obs.state === STALE
-              ? "STALE"
-              : "PENDING"
-          }`
-        );
+  // 3. Run cleanup functions registered via onCleanup()
+  if (computation.cleanups) {
+    for (let i = computation.cleanups.length - 1; i >= 0; i--) {
+      try {
+        const cleanup = computation.cleanups[i];
+        if (cleanup) {
+          cleanup();
+        }
+      } catch (err) {
+        handleError(err, computation.owner);
+      }
+    }
+    computation.cleanups = null;
+  }
+
+  // 4. Remove from parent's owned list
+  // ✅ FIXED: Now properly removes this computation from parent's owned array
+  if (computation.owner?.owned) {
+    const index = computation.owner.owned.indexOf(computation);
+    if (index !== -1) {
+      // Swap with last element for O(1) removal
+      const lastIndex = computation.owner.owned.length - 1;
+      if (index < lastIndex) {
+        const lastChild = computation.owner.owned[lastIndex];
+        if (lastChild) {
+          computation.owner.owned[index] = lastChild;
+        }
       }
+      computation.owner.owned.pop();
     }
   }
 
+  // Mark as disposed (FRESH so a pending queue entry is skipped)
   computation.state = FRESH;
+  computation.disposed = true;
+
+  DevHooks.afterDispose?.(computation);
 }
 
-/** @param {() => void} fn  */
-function createComputed(fn) {
+/** Key of the error handler record in `Owner.context` (see catchError) */
+const ERROR = Symbol("error");
+
+/**
+ * @typedef {object} ErrorHandler
+ * @property {(error: any) => void} handler Function registered by catchError()
+ * @property {Computation<any>} owner Owner node created by catchError()
+ */
+
+/**
+ * @param {any} e
+ * @param {Owner | null} [owner] Owner the error happened under (defaults to the current Owner)
+ *
+ * @description Routes an error to the nearest catchError() handler above `owner`.
+ *
+ * **Lifecycle:**
+ * 1. LOOKUP: Walk up the Owner chain for a `context[ERROR]` record
+ * 2. NO HANDLER: Log and rethrow (previous behaviour)
+ * 3. HANDLER: Call it with the error
+ *    - If the handler itself throws, that error continues to the next
+ *      handler above the boundary that registered it
+ */
+function handleError(e, owner = Owner) {
+  /** @type {ErrorHandler | undefined} */
+  let record;
+  while (owner) {
+    if (owner.context && ERROR in owner.context) {
+      record = owner.context[ERROR];
+      break;
+    }
+    owner = owner.owner;
+  }
+
+  if (!record) {
+    // Simple error handling - log to console
+    console.error("Computation error:", e);
+    throw e;
+  }
+
+  try {
+    record.handler(e);
+  } catch (err) {
+    handleError(err, record.owner.owner);
+  }
+}
+
+/**
+ * @template T
+ * @param {() => T} fn
+ * @param {(error: any) => void} handler
+ * @returns {T | undefined}
+ *
+ * @description Runs `fn` under a new owner that catches every error thrown
+ * by it or by any computation (effect, memo, cleanup) created below it.
+ *
+ * **Lifecycle:**
+ * 1. CREATE OWNER: A no-op computation owned by the current Owner, so the
+ *    whole subtree is disposed with its parent
+ * 2. REGISTER: `context[ERROR] = { handler }` (inherited by descendants)
+ * 3. EXECUTE: Run fn under that owner
+ *    - Synchronous errors are handled immediately (returns undefined)
+ *    - Later errors (in flushes/cleanups) reach the handler via handleError()
+ *
+ * **Example:**
+ * ```js
+ * catchError(
+ *   () => {
+ *     createEffect(() => {
+ *       if (count() > 3) throw new Error("Too big");
+ *     });
+ *   },
+ *   (err) => console.warn("Caught:", err.message)
+ * );
+ *
+ * setCount(4); // Logs "Caught: Too big", the flush keeps going
+ * ```
+ */
+function catchError(fn, handler) {
   /** @type {Computation<any>} */
-  const computation = {
-    fn,
+  const node = {
+    fn: () => {},
     state: FRESH,
     sources: [],
     sourceSlots: [],
-    cleanups: null,
     observers: [],
     observerSlots: [],
+    cleanups: null,
     owner: Owner,
     pure: false,
-    user: false, // System effect
+    user: false,
   };
+  node.context = { ...Owner?.context, [ERROR]: { handler, owner: node } };
 
   if (Owner) {
-    if (!Owner.owned) Owner.owned = [];
-    Owner.owned.push(computation);
+    (Owner.owned ??= []).push(node);
   }
 
-  // Run immediately, synchronously
-  runTop(computation);
+  const prevOwner = Owner;
+  Owner = node;
 
-  return computation;
+  try {
+    return fn();
+  } catch (err) {
+    handleError(err, node);
+  } finally {
+    Owner = prevOwner;
+  }
 }
 
 /**
- * @param {() => void} fn
+ * @template T, F
+ * @param {{ children: () => T; fallback?: (error: any, reset: () => void) => F }} props
+ * @returns {{ value: () => T | F | undefined; error: () => any; reset: () => void }}
  *
- * @description Batches multiple signal updates into a single reactive update cycle.
+ * @description Error boundary built on catchError().
+ *
+ * - `value()` is the result of `children` or, after an error, of `fallback`
+ * - `error()` is the caught error (undefined while healthy)
+ * - `reset()` clears the error, disposes the current subtree and creates it again
  *
  * **Lifecycle:**
- * 1. INCREMENT: ExecCount++ (prevents immediate updates)
+ * 1. RENDER: A memo runs `children` inside catchError()
+ * 2. ERROR: The handler writes the `error` signal → the memo re-runs,
+ *    disposing the failed subtree, and returns `fallback(error, reset)`
+ * 3. RESET: Clear `error` and bump a version signal → the memo re-runs,
+ *    disposing the fallback's owners and running `children` from scratch
  *
- * 2. EXECUTE: Run fn()
- *    - Signal writes mark observers STALE
- *    - Observers added to queues
- *    - runUpdates() returns early (Pending check)
- *    - NO computations execute yet
+ * **Example:**
+ * ```js
+ * const boundary = ErrorBoundary({
+ *   children: () => createDashboard(),
+ *   fallback: (err, reset) => ({ message: err.message, retry: reset }),
+ * });
  *
- * 3. DECREMENT: ExecCount-- (in finally block)
+ * createEffect(() => render(boundary.value()));
+ * ```
+ */
+function ErrorBoundary(props) {
+  const [error, setError] = createSignal(/** @type {any} */ (undefined), {
+    internal: true,
+  });
+  const [version, setVersion] = createSignal(0, { internal: true });
+
+  const reset = () => {
+    batch(() => {
+      setError(undefined);
+      setVersion((v) => v + 1);
+    });
+  };
+
+  const value = createMemo(() => {
+    version();
+    const err = error();
+
+    if (err !== undefined) {
+      const fallback = props.fallback;
+      return fallback ? untrack(() => fallback(err, reset)) : undefined;
+    }
+
+    // Wrap in a function: the setter would treat a thrown function as an updater
+    return catchError(
+      () => untrack(props.children),
+      (e) => setError(() => e)
+    );
+  });
+
+  return { value, error, reset };
+}
+
+/**
+ * @param {() => void} fn - Cleanup function to run on disposal
  *
- * 4. FLUSH: If ExecCount === 0, call runUpdates()
- *    - Schedules microtask
- *    - All batched updates execute once
+ * @description Registers a cleanup function to run when the current reactive scope is disposed.
  *
- * **Why Batching?**
- * Without batching:
+ * **Lifecycle:**
+ * - Cleanup functions run in reverse order (LIFO - Last In, First Out)
+ * - Called before computation re-execution (if registered in computation)
+ * - Called on manual disposal
+ * - Called when parent owner is disposed
+ *
+ * **Common Use Cases:**
+ * - Clear timers: clearInterval, clearTimeout
+ * - Remove event listeners
+ * - Cancel subscriptions
+ * - Close connections
+ * - Free resources
+ *
+ * **Example:**
  * ```js
- * setCount(1); // Effect runs
- * setCount(2); // Effect runs
- * setCount(3); // Effect runs
- * // Effect executed 3 times!
+ * createEffect(() => {
+ *   const timer = setInterval(() => {
+ *     console.log('Tick');
+ *   }, 1000);
+ *
+ *   // Cleanup runs when effect is disposed or re-runs
+ *   onCleanup(() => {
+ *     clearInterval(timer);
+ *     console.log('Timer cleared');
+ *   });
+ * });
  * ```
  *
- * With batching:
+ * **Multiple Cleanups:**
  * ```js
- * batch(() => {
- *   setCount(1); // Queued
- *   setCount(2); // Queued (deduplicated)
- *   setCount(3); // Queued (deduplicated)
+ * createEffect(() => {
+ *   const timer = setInterval(() => {}, 1000);
+ *   const listener = () => console.log('click');
+ *
+ *   document.addEventListener('click', listener);
+ *
+ *   onCleanup(() => clearInterval(timer));  // Runs second
+ *   onCleanup(() => document.removeEventListener('click', listener)); // Runs first (LIFO)
  * });
- * // Effect executes ONCE with final value (3)
  * ```
+ */
+function onCleanup(fn) {
+  if (!Owner) {
+    console.warn("onCleanup called outside reactive scope");
+    return;
+  }
+
+  if (!Owner.cleanups) {
+    Owner.cleanups = [];
+  }
+
+  Owner.cleanups.push(fn);
+}
+
+/**
+ * @param {Computation<any>} computation
  *
- * **Nested Batching:**
+ * @description Removes computation from all its source signal observers.
+ *
+ * **Lifecycle Position:**
+ * Called before EVERY computation re-execution (runTop/updateComputation).
+ *
+ * **Why Clean Before Re-run?**
+ * - Dependencies might change between executions
+ * - Old dependencies shouldn't trigger this computation anymore
+ * - New dependencies will be tracked during re-execution
+ *
+ * **Example:**
  * ```js
- * batch(() => {           // ExecCount = 1
- *   setCount(1);
+ * const [flag, setFlag] = createSignal(true);
+ * const [a, setA] = createSignal(1);
+ * const [b, setB] = createSignal(2);
  *
- *   batch(() => {         // ExecCount = 2
- *     setCount(2);
- *   });                   // ExecCount = 1 (no flush)
+ * createEffect(() => {
+ *   if (flag()) {
+ *     console.log(a()); // Tracked
+ *   } else {
+ *     console.log(b()); // Tracked
+ *   }
+ * });
  *
- *   setCount(3);
- * });                     // ExecCount = 0 → FLUSH!
+ * // Initially: sources = [flag, a]
+ * setFlag(false);
+ * // Before re-run: cleanupSources() removes from flag and a
+ * // During re-run: sources = [flag, b] (new tracking!)
  * ```
  */
-function batch(fn) {
-  ExecCount++;
+function cleanupSources(computation) {
+  if (!computation.sources?.length) return;
+
+  while (computation.sources.length) {
+    const source = /** @type {SignalState<any>} */ (computation.sources.pop());
+    const slot = /** @type {number} */ (computation.sourceSlots.pop());
+
+    if (!source?.observers) continue;
+
+    removeObserver(source, slot);
+  }
+}
+
+/**
+ * @param {Computation<any>} computation
+ *
+ * @description Executes a computation, establishing reactive context.
+ *
+ * **Lifecycle:**
+ * 1. CLEANUP: Remove from old dependencies (cleanupSources)
+ *    - Breaks old bidirectional links
+ *    - Prepares for new tracking
+ *
+ * 2. SETUP CONTEXT:
+ *    - Save current Listener/Owner
+ *    - Set Listener = this computation (enables dependency tracking)
+ *    - Create new Owner scope (for nested computations)
+ *    - Mark state = FRESH (before running, so self-writes can re-mark it)
+ *
+ * 3. EXECUTE:
+ *    - Run computation.fn()
+ *    - Any signal reads automatically tracked (via Listener)
+ *    - New bidirectional links created
+ *
+ * 4. RESTORE CONTEXT:
+ *    - Restore previous Listener/Owner
+ *    - Errors thrown by fn are routed to the nearest catchError() handler
+ *
+ * **Why Save/Restore Context?**
+ * Enables nested computations to track independently:
+ *
+ * ```js
+ * createEffect(() => {           // Listener = Effect1
+ *   const a = signal1();          // signal1 → Effect1
+ *
+ *   createEffect(() => {          // Listener = Effect2
+ *     const b = signal2();        // signal2 → Effect2 (not Effect1!)
+ *   });
+ *
+ *   const c = signal3();          // Listener = Effect1 (restored)
+ * });                             // signal3 → Effect1
+ * ```
+ */
+function runTop(computation) {
+  computation.runs = (computation.runs ?? 0) + 1;
+  if (Tracing) traceRun(computation);
+  const frame = Profiler && enterProfile(Profiler);
+
+  // Defer releasing lazy memos until we know what this run reads again
+  const prevReleases = Releases;
+  Releases = [];
+
+  cleanupSources(computation);
+
+  // Run existing cleanups before re-execution
+  if (computation.cleanups) {
+    for (let i = computation.cleanups.length - 1; i >= 0; i--) {
+      try {
+        computation.cleanups[i]();
+      } catch (err) {
+        handleError(err, computation.owner);
+      }
+    }
+    computation.cleanups = null;
+  }
+
+  const prevListener = Listener;
+  const prevOwner = Owner;
+
+  Listener = computation;
+  /** @type {Owner} */
+  const tempOwner = {
+    owned: null,
+    owner: computation.owner,
+    context: computation?.owner?.context ?? null,
+    cleanups: null,
+    roots: computation.roots,
+  };
+  Owner = tempOwner;
+
+  // Mark FRESH before running: a write made by fn itself must be able to
+  // mark this computation STALE again (and not be overwritten afterwards).
+  // Unbounded self-writes are stopped by the flush (MAX_FLUSH_PASSES)
+  computation.state = FRESH;
+
   try {
-    fn();
+    computation.fn(computation.value);
+  } catch (err) {
+    handleError(err, computation.owner);
   } finally {
-    ExecCount--;
-    if (ExecCount === 0) {
-      runUpdates();
+    // Transfer cleanups from temporary owner to computation
+    if (tempOwner.cleanups) {
+      computation.cleanups = tempOwner.cleanups;
+    }
+
+    // Transfer owned computations from temporary owner to computation
+    // These are computations created during this effect's execution (nested effects)
+    if (tempOwner.owned) {
+      computation.owned = tempOwner.owned;
     }
+
+    // Signals created during this run and live child roots (dev mode), for getGraph
+    computation.sourceMap = tempOwner.sourceMap;
+    computation.roots = tempOwner.roots;
+
+    Listener = prevListener;
+    Owner = prevOwner;
+    flushReleases(prevReleases);
+    if (frame) exitProfile(computation, frame);
   }
 }
 
+/**
+ * @template T
+ * @param {() => T} fn
+ * @param {T} [initValue]
+ * @param {{ equals?: Comparator<any>; lazy?: boolean; name?: string }|undefined} [opts]
+ *
+ * @description Creates a memoized derived computation (pure, cacheable).
+ *
+ * **Lifecycle:**
+ * 1. CREATE COMPUTATION:
+ *    - pure: true (can have observers)
+ *    - value: Stores cached result
+ *    - comparator: Checks if recomputed value changed
+ *
+ * 2. INITIAL COMPUTATION:
+ *    - Call updateComputation() immediately
+ *    - Establishes dependencies
+ *    - Caches result
+ *
+ * 3. WHEN DEPENDENCY CHANGES:
+ *    a. Memo marked STALE
+ *    b. Added to Updates queue (runs before effects)
+ *    c. updateComputation() called in microtask
+ *    d. New value compared with old:
+ *       - If equal → No propagation (optimization!)
+ *       - If different → Notify observers
+ *
+ * 4. WHEN READ (memo accessor called):
+ *    a. If STALE → recompute immediately (lazy evaluation)
+ *    b. If Listener exists → establish dependency link
+ *    c. Return cached value
+ *
+ * **Lazy Mode (`{ lazy: true }`):**
+ * - Not computed on creation, only on first read
+ * - Never queued in Updates: observers pull it when they are flushed
+ * - When its last observer goes away, or shortly after an untracked read
+ *   while it has none, it drops its source subscriptions (marked STALE, so
+ *   upstream writes no longer reach it)
+ * - The next read recomputes it on demand
+ *
+ * ```js
+ * const report = createMemo(() => buildReport(rows()), undefined, { lazy: true });
+ * // Costs nothing until a screen reads report()
+ * ```
+ *
+ * **Key Difference from Effects:**
+ * - Memos: Pure, cached, can be observed, lazy recomputation
+ * - Effects: Impure, no cache, cannot be observed, always run
+ *
+ * **Example:**
+ * ```js
+ * const [count, setCount] = createSignal(0);
+ *
+ * const doubled = createMemo(() => {
+ *   console.log('Computing...');
+ *   return count() * 2;
+ * });
+ *
+ * console.log(doubled()); // Computing... 0
+ * console.log(doubled()); // 0 (cached!)
+ *
+ * setCount(5);
+ * // Memo marked STALE but NOT recomputed yet
+ *
+ * console.log(doubled()); // Computing... 10 (lazy recompute)
+ * ```
+ */
+
+/**
+ * Checks if any upstream dependencies have actually changed values.
+ * Uses PENDING state to optimize away unnecessary recomputations.
+ *
+ * This implements the "upstream lookup" optimization from SolidJS to handle
+ * the diamond problem:
+ *
+ *     signal
+ *    /      \
+ *  memo1  memo2
+ *    \      /
+ *     memo3
+ *
+ * When signal changes, memo1 and memo2 are marked STALE and memo3 (two hops
+ * away) is marked PENDING by markDownstream(). When memo3 is read or flushed,
+ * instead of immediately recomputing, we bring memo1 and memo2 up to date
+ * first. Only if one of them really produced a different value (which marks
+ * memo3 STALE, see updateComputation) do we need to recompute memo3.
+ *
+ * @param {Computation<any>} computation A PENDING computation
+ * @returns {boolean} true if dependencies changed and we need to recompute
+ */
+function lookUpstream(computation) {
+  if (IS_DEV) {
+    console.log(`[lookUpstream] Checking if dependencies actually changed`);
+  }
+
+  // Check each source dependency
+  for (let i = 0; i < computation.sources.length; i++) {
+    const source = computation.sources[i];
+
+    // Signals are always current, only memos can be behind
+    if (source && "fn" in source && source.state !== FRESH) {
+      updateIfNecessary(source);
+
+      // A source produced a new value and marked us STALE: no need to
+      // look any further
+      if (computation.state === STALE) return true;
+    }
+  }
+
+  return computation.state === STALE;
+}
+
+/**
+ * @param {Computation<any>} computation
+ *
+ * @description Brings a STALE or PENDING computation up to date (pull phase).
+ *
+ * - STALE → recompute
+ * - PENDING → resolve upstream first (lookUpstream), then recompute only if
+ *   a source really changed, otherwise just mark FRESH
+ * - FRESH → nothing to do
+ */
+function updateIfNecessary(computation) {
+  if (computation.state === PENDING) {
+    lookUpstream(computation);
+  }
+
+  if (computation.state === STALE) {
+    updateComputation(computation);
+  } else {
+    computation.state = FRESH;
+  }
+}
+
+/**
+ * @param {Computation<any>} computation
+ *
+ * @description Queues a computation that was just marked STALE or PENDING.
+ *
+ * - Effects → Effects queue
+ * - Memos → Updates queue (eagerly brought up to date before effects run)
+ * - Lazy memos → not queued: they are pulled by whoever reads them
+ */
+function enqueue(computation) {
+  if (!computation.pure) {
+    Effects.push(computation);
+    if (computation.priority === Priority.IMMEDIATE) PreemptRequested = true;
+  } else if (!computation.lazy) {
+    Updates.push(computation);
+  }
+}
+
+/**
+ * @param {Computation<any>} computation A memo that was just marked STALE
+ *
+ * @description Marks everything downstream of `computation` as PENDING (push phase).
+ *
+ * PENDING means "one of my sources might change": the node is queued, but it
+ * is only recomputed if updateIfNecessary() finds a source whose value really
+ * changed. Nodes that are already STALE or PENDING are skipped (and so is
+ * their subtree, which was marked when they were).
+ *
+ * ```
+ * setA(1)
+ *   a ──→ memo1 (STALE) ──→ memo2 (PENDING) ──→ effect (PENDING)
+ * ```
+ */
+function markDownstream(computation) {
+  for (let i = 0; i < computation.observers.length; i++) {
+    const observer = /** @type {Computation<any>} */ (
+      computation.observers[i]
+    );
+
+    if (observer.state === FRESH) {
+      observer.state = PENDING;
+
+      enqueue(observer);
+
+      if (observer.observers.length) {
+        markDownstream(observer);
+      }
+    }
+  }
+}
+
+function createMemo(fn, initValue, opts) {
+  /** @type {Computation<T>} */
+  const computation = {
+    fn,
+    owner: Owner,
+    state: FRESH,
+    sources: [],
+    sourceSlots: [],
+    observers: [],
+    observerSlots: [],
+    cleanups: null,
+    value: initValue,
+    pure: true,
+    comparator: opts?.equals,
+    user: true,
+    lazy: opts?.lazy,
+    name: opts?.name,
+  };
+
+  if (Owner) {
+    (Owner.owned ??= []).push(computation);
+  }
+  DevHooks.afterCreateOwner?.(computation);
+  if (Leaks) watchNode(Leaks, computation);
+
+  if (computation.lazy) {
+    // Computed on first read
+    computation.state = STALE;
+  } else {
+    // Run immediately to compute initial value
+    updateComputation(computation);
+  }
+
+  function read() {
+    // Debug logging
+    if (IS_DEV) {
+      console.log(
+        `[createMemo.read] state=${
+          computation.state === FRESH
+            ? "FRESH"
+            : computation.state === STALE
+            ? "STALE"
+            : "PENDING"
+        }, value=${computation.value}`
+      );
+    }
+
+    // If STALE or PENDING, pull upstream changes and recompute only if needed
+    if (computation.state !== FRESH) {
+      updateIfNecessary(computation);
+    }
+
+    // Track dependency
+    if (Listener) {
+      readHandler(computation, Listener);
+    } else if (computation.lazy && !computation.observers.length) {
+      // Untracked read of an unobserved lazy memo: nobody needs its updates
+      releaseAfterUntrackedRead(computation);
+    }
+
+    return computation.value;
+  }
+  read._state = computation;
+  read[Symbol.asyncIterator] = () => iterateAccessor(read);
+
+  return read;
+}
+
+/**
+ * @param {Computation<any>} computation
+ *
+ * @description Re-executes a computation and propagates changes if value changed.
+ *
+ * **Lifecycle:**
+ * 1. CLEANUP: Remove from old dependencies (cleanupSources)
+ *
+ * 2. SETUP CONTEXT:
+ *    - Save/set Listener (enables dependency tracking)
+ *    - Create new Owner scope
+ *
+ * 3. EXECUTE:
+ *    - Run computation.fn(previousValue)
+ *    - Catch and handle errors
+ *    - New dependencies auto-tracked
+ *
+ * 4. COMPARE VALUES:
+ *    - Use comparator (or Object.is) to check equality
+ *    - If equal → No propagation (prevents cascading updates)
+ *
+ * 5. PROPAGATE (if changed):
+ *    a. Update cached value
+ *    b. Mark all observers STALE
+ *    c. Queue observers:
+ *       - Pure (memos) → Updates queue
+ *       - Impure (effects) → Effects queue
+ *
+ * 6. FINALIZE:
+ *    - Restore context
+ *    - (state was already set to FRESH right before executing, so a write
+ *      made by the computation itself leaves it STALE for the next flush)
+ *
+ * **Optimization - Comparison:**
+ * ```js
+ * const expensive = createMemo(() => {
+ *   const result = heavyComputation();
+ *   return result; // Returns same reference
+ * });
+ *
+ * // If dependencies change but result is same:
+ * // → Recomputes (unavoidable)
+ * // → Compares: Object.is(oldResult, newResult) = true
+ * // → Does NOT notify observers (optimization!)
+ * ```
+ *
+ * **Used For:**
+ * - Memo recomputation (when STALE or read)
+ * - Effect re-execution (when STALE)
+ */
+function updateComputation(computation) {
+  computation.runs = (computation.runs ?? 0) + 1;
+  if (Tracing) traceRun(computation);
+  const frame = Profiler && enterProfile(Profiler);
+
+  // Defer releasing lazy memos until we know what this run reads again
+  const prevReleases = Releases;
+  Releases = [];
+
+  cleanupSources(computation);
+
+  if (IS_DEV) {
+    console.log(
+      `[updateComputation] Starting, owned:`,
+      computation.owned?.length ?? "none"
+    );
+  }
+
+  // Dispose owned computations (effects created inside this effect)
+  // This must happen BEFORE running cleanups, as owned computations may have their own cleanups
+  if (computation.owned) {
+    if (IS_DEV) {
+      console.log(
+        `[updateComputation] Disposing ${computation.owned.length} owned computations`
+      );
+    }
+    for (let i = computation.owned.length - 1; i >= 0; i--) {
+      const child = computation.owned[i];
+      if (child) {
+        if (IS_DEV) {
+          console.log(`[updateComputation] Disposing child computation`);
+        }
+        disposeComputation(child);
+      }
+    }
+    computation.owned = null;
+  }
+
+  // Run existing cleanups before re-execution
+  if (computation.cleanups) {
+    for (let i = computation.cleanups.length - 1; i >= 0; i--) {
+      try {
+        const cleanup = computation.cleanups[i];
+        if (cleanup) {
+          cleanup();
+        }
+      } catch (err) {
+        handleError(err, computation.owner);
+      }
+    }
+    computation.cleanups = null;
+  }
+
+  const prevListener = Listener;
+  const prevOwner = Owner;
+
+  Listener = computation;
+  /** @type {Owner} */
+  const tempOwner = {
+    owned: null,
+    owner: computation.owner,
+    context: computation?.owner?.context ?? null,
+    cleanups: null,
+    roots: computation.roots,
+  };
+  Owner = tempOwner;
+
+  // Mark FRESH before running (see runTop): self-writes re-mark it STALE
+  computation.state = FRESH;
+
+  let nextValue;
+  try {
+    nextValue = computation.fn(computation.value);
+  } catch (e) {
+    handleError(e, computation.owner);
+    return;
+  } finally {
+    // Transfer cleanups from temporary owner to computation
+    if (tempOwner.cleanups) {
+      computation.cleanups = tempOwner.cleanups;
+    }
+
+    // Transfer owned computations from temporary owner to computation
+    // These are computations created during this effect's execution (nested effects)
+    // IMPORTANT: We replace computation.owned (which is null after disposal above)
+    // with the NEW owned computations created during this run
+    if (tempOwner.owned) {
+      if (IS_DEV) {
+        console.log(
+          `[updateComputation] Transferring ${tempOwner.owned.length} owned computations to parent`
+        );
+      }
+      computation.owned = tempOwner.owned;
+    } else {
+      // No new owned computations, ensure it's null
+      computation.owned = null;
+    }
+
+    // Signals created during this run and live child roots (dev mode), for getGraph
+    computation.sourceMap = tempOwner.sourceMap;
+    computation.roots = tempOwner.roots;
+
+    Listener = prevListener;
+    Owner = prevOwner;
+    flushReleases(prevReleases);
+    if (frame) exitProfile(computation, frame);
+  }
+
+  // Check equality
+  const isEqual = (computation.comparator ?? Object.is)(
+    computation.value,
+    nextValue
+  );
+
+  if (!isEqual) {
+    computation.value = nextValue;
+
+    // Observers inherit our causes, with this memo added to the path
+    const causes =
+      Tracing &&
+      computation.lastRun?.causes.map((cause) => ({
+        write: cause.write,
+        via: [...cause.via, computation.name ?? "memo"],
+      }));
+
+    // Notify observers: they were (usually) marked PENDING by the write that
+    // got us here, now we know they really need to re-run
+    for (let i = 0; i < computation.observers.length; i++) {
+      const observer = /** @type {Computation<any>} */ (
+        computation.observers[i]
+      );
+      if (causes) addCauses(observer, causes);
+
+      if (observer.state === FRESH) {
+        enqueue(observer);
+
+        if (observer.observers.length) {
+          markDownstream(observer);
+        }
+      }
+      observer.state = STALE;
+    }
+  }
+
+  if (IS_DEV) {
+    console.log(
+      `[updateComputation] Done, has ${computation.observers.length} observers`
+    );
+    if (computation.observers.length > 0) {
+      for (let i = 0; i < computation.observers.length; i++) {
+        const obs = computation.observers[i];
+        console.log(
+          `  observer[${i}].state = ${
+            obs.state === FRESH
+              ? "FRESH"
+              : obs.state === STALE
+              ? "STALE"
+              : "PENDING"
+          }`
+        );
+      }
+    }
+  }
+}
+
+/** @param {() => void} fn  */
+function createComputed(fn) {
+  /** @type {Computation<any>} */
+  const computation = {
+    fn,
+    state: FRESH,
+    sources: [],
+    sourceSlots: [],
+    cleanups: null,
+    observers: [],
+    observerSlots: [],
+    owner: Owner,
+    pure: false,
+    user: false, // System effect
+  };
+
+  if (Owner) {
+    if (!Owner.owned) Owner.owned = [];
+    Owner.owned.push(computation);
+  }
+  DevHooks.afterCreateOwner?.(computation);
+  if (Leaks) watchNode(Leaks, computation);
+
+  // Run immediately, synchronously
+  runTop(computation);
+
+  return computation;
+}
+
+/**
+ * @param {() => void} fn
+ *
+ * @description Batches multiple signal updates into a single reactive update cycle.
+ *
+ * **Lifecycle:**
+ * 1. INCREMENT: ExecCount++ (prevents immediate updates)
+ *
+ * 2. EXECUTE: Run fn()
+ *    - Signal writes mark observers STALE
+ *    - Observers added to queues
+ *    - runUpdates() returns early (Pending check)
+ *    - NO computations execute yet
+ *
+ * 3. DECREMENT: ExecCount-- (in finally block)
+ *
+ * 4. FLUSH: If ExecCount === 0, call runUpdates()
+ *    - Schedules microtask
+ *    - All batched updates execute once
+ *
+ * **Why Batching?**
+ * Without batching:
+ * ```js
+ * setCount(1); // Effect runs
+ * setCount(2); // Effect runs
+ * setCount(3); // Effect runs
+ * // Effect executed 3 times!
+ * ```
+ *
+ * With batching:
+ * ```js
+ * batch(() => {
+ *   setCount(1); // Queued
+ *   setCount(2); // Queued (deduplicated)
+ *   setCount(3); // Queued (deduplicated)
+ * });
+ * // Effect executes ONCE with final value (3)
+ * ```
+ *
+ * **Nested Batching:**
+ * ```js
+ * batch(() => {           // ExecCount = 1
+ *   setCount(1);
+ *
+ *   batch(() => {         // ExecCount = 2
+ *     setCount(2);
+ *   });                   // ExecCount = 1 (no flush)
+ *
+ *   setCount(3);
+ * });                     // ExecCount = 0 → FLUSH!
+ * ```
+ */
+function batch(fn) {
+  ExecCount++;
+  try {
+    fn();
+  } finally {
+    ExecCount--;
+    if (ExecCount === 0) {
+      runUpdates();
+    }
+  }
+}
+
+/**
+ * @param {SchedulerMode} mode
+ *
+ * @description Chooses when a flush runs after a write (outside batches):
+ *
+ * | Mode | Flush runs | Use |
+ * |------|------------|-----|
+ * | "sync" | Immediately, before the setter returns | Tests, server code |
+ * | "microtask" | In a microtask (default) | UI: many writes, one flush |
+ * | "macrotask" | setImmediate / MessageChannel / setTimeout | Yield to I/O and rendering |
+ * | function | Whenever it calls `flush` | Custom loops (rAF, test clocks) |
+ *
+ * Batches, roots and running flushes always defer: effects created while
+ * building a root run once the root is built, in every mode.
+ *
+ * **Example:**
+ * ```js
+ * setScheduler("sync");
+ * const [count, setCount] = createSignal(0);
+ * createEffect(() => console.log(count())); // logs 0 now
+ * setCount(1);                              // logs 1 now
+ *
+ * setScheduler((flush) => requestAnimationFrame(flush));
+ * ```
+ */
+function setScheduler(mode) {
+  if (typeof mode === "function") {
+    schedule = mode;
+  } else if (mode === "sync") {
+    schedule = (flush) => flush();
+  } else if (mode === "microtask") {
+    schedule = queueMicrotask;
+  } else if (mode === "macrotask") {
+    schedule = scheduleMacrotask;
+  } else {
+    throw new TypeError(`Unknown scheduler mode "${mode}"`);
+  }
+}
+
+/**
+ * @param {() => void} callback
+ * @description Runs `callback` on the next macrotask: setImmediate (Node.js),
+ * else a MessageChannel message (no 4ms clamping), else setTimeout
+ */
+function scheduleMacrotask(callback) {
+  if (typeof setImmediate === "function") {
+    setImmediate(callback);
+  } else if (typeof MessageChannel === "function") {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => {
+      channel.port1.close();
+      callback();
+    };
+    channel.port2.postMessage(null);
+  } else {
+    setTimeout(callback, 0);
+  }
+}
+
+/**
+ * @param {number | null} budget Milliseconds a flush may run before yielding
+ *   to the event loop (null disables time slicing)
+ *
+ * @description Enables time-sliced flushing: a big flush runs in slices of
+ * about `budget` ms, continued on the next macrotask (setImmediate /
+ * MessageChannel), so input handling and rendering are not blocked.
+ *
+ * Memos are never split from the effects of their slice: every slice first
+ * runs all queued memos, then as many effects as the budget allows.
+ * Use getFlushStats() to tune the budget.
+ *
+ * **Example:**
+ * ```js
+ * setTimeSlicing(8); // leave room for a 60fps frame
+ * setRows(tenThousandRows);
+ * await settled();
+ * console.log(getFlushStats().slices); // e.g. 12
+ * ```
+ */
+function setTimeSlicing(budget) {
+  if (budget !== null && !(budget > 0)) {
+    throw new RangeError("Time slicing budget must be a positive number of ms");
+  }
+  SliceBudget = budget;
+}
+
+/**
+ * @returns {FlushStats | null} Stats of the last completed flush
+ */
+function getFlushStats() {
+  return LastFlushStats && { ...LastFlushStats };
+}
+
+/**
+ * @template T
+ * @param {() => T} [fn] Writes to apply (batched) before flushing
+ * @returns {T | undefined} The result of `fn`
+ *
+ * @description Runs `fn` as a batch and flushes all pending work before
+ * returning, whatever the scheduler (deferred LOW / IDLE effects and time
+ * slicing included). Inside a running flush or batch the work is picked up
+ * by that flush / batch instead. If `fn` throws, the error propagates and
+ * the writes made before it are scheduled like a regular batch.
+ *
+ * **Example:**
+ * ```js
+ * flushSync(() => setCount(5));
+ * // Every memo and effect depending on count has run here
+ * ```
+ */
+function flushSync(fn) {
+  /** @type {T | undefined} */
+  let result;
+  if (fn) {
+    ExecCount++;
+    try {
+      result = fn();
+    } catch (err) {
+      // Don't strand the writes made before the throw: schedule them as batch() does
+      if (--ExecCount === 0) runUpdates();
+      throw err;
+    }
+    ExecCount--;
+  }
+
+  const queued = Updates.length || Effects.length || Deferred.length;
+  if (!ExecCount && (Pending || queued)) {
+    // Deferred (LOW / IDLE) effects included
+    Effects = Deferred.concat(Effects);
+    Deferred = [];
+    flushUpdates(false, Priority.IDLE);
+  }
+  return result;
+}
+
+/**
+ * @returns {Promise<void>}
+ *
+ * @description Resolves once no update is queued, scheduled or deferred
+ * (immediately if nothing is pending).
+ *
+ * **Example:**
+ * ```js
+ * setCount(1);
+ * await settled(); // effects have run, whatever the scheduler
+ * ```
+ */
+function settled() {
+  if (!Pending && !Updates.length && !Effects.length && !Deferred.length) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    SettledCallbacks.push(() => resolve());
+  });
+}
+
+/**
+ * @param {() => void} callback
+ * @param {number} [timeoutMs] Run `callback` after this long even if never idle
+ * @returns {() => void} Cancels the callback
+ *
+ * @description Runs `callback` once the runtime is idle: nothing queued,
+ * scheduled or deferred (see settled()). Uses requestIdleCallback when the
+ * host has it, so the browser is idle too; otherwise (Node.js) checks the
+ * runtime on every macrotask until it is.
+ */
+function requestIdle(callback, timeoutMs) {
+  const isIdle = () =>
+    !Pending && !Updates.length && !Effects.length && !Deferred.length;
+  let cancelled = false;
+  const run = () => {
+    if (cancelled) return;
+    cancelled = true;
+    clearTimeout(timer);
+    callback();
+  };
+
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer;
+  if (timeoutMs !== undefined) timer = setTimeout(run, timeoutMs);
+
+  if (typeof requestIdleCallback === "function") {
+    /** @type {(deadline: IdleDeadline) => void} */
+    const onIdle = () => {
+      if (cancelled) return;
+      if (isIdle()) run();
+      else id = requestIdleCallback(onIdle);
+    };
+    let id = requestIdleCallback(onIdle);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      cancelIdleCallback(id);
+    };
+  }
+
+  const check = () => {
+    if (cancelled) return;
+    if (isIdle()) run();
+    else scheduleMacrotask(check);
+  };
+  scheduleMacrotask(check);
+  return () => {
+    cancelled = true;
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * @template T
+ * @param {() => T} source
+ * @param {{ timeoutMs?: number; equals?: Comparator<T> }} [options]
+ *   - timeoutMs: longest time the value may lag behind `source`
+ *   - equals: comparator of the deferred value (skips equal updates)
+ * @returns {() => T}
+ *
+ * @description Creates a low-priority copy of `source`: it follows `source`
+ * only once the scheduler is idle, and no later than `timeoutMs`. Expensive
+ * derivations read the deferred value so that urgent updates (typing,
+ * scrolling) flush first.
+ *
+ * **Lifecycle:**
+ * 1. CREATE: Starts with the current value of `source`
+ * 2. CHANGE: A computed tracks `source`, keeps its latest value and requests
+ *    one idle callback (further changes are coalesced into it)
+ * 3. IDLE / TIMEOUT: The deferred value is set to the latest source value
+ * 4. DISPOSE: The owner's cleanup cancels a pending idle callback
+ *
+ * **Example:**
+ * ```js
+ * const [query, setQuery] = createSignal("");
+ * const deferredQuery = createDeferred(query, { timeoutMs: 200 });
+ *
+ * // Filtering a big list never delays the input echo
+ * const results = createMemo(() => search(deferredQuery()));
+ * ```
+ */
+function createDeferred(source, options = {}) {
+  let latest = untrack(source);
+  const [value, setValue] = createSignal(latest, { equals: options.equals });
+
+  /** @type {(() => void) | null} */
+  let cancel = null;
+  let initialized = false;
+  createComputed(() => {
+    latest = source();
+    if (!initialized) {
+      initialized = true;
+      return;
+    }
+    if (cancel) return;
+    cancel = requestIdle(() => {
+      cancel = null;
+      setValue(() => latest);
+    }, options.timeoutMs);
+  });
+
+  if (getOwner()) {
+    onCleanup(() => {
+      cancel?.();
+      cancel = null;
+    });
+  }
+
+  return value;
+}
+
+/**
+ * @template T
+ * @typedef {object} QueueEntry
+ * @property {T} task
+ * @property {PriorityLevel} priority Priority given to enqueue()
+ * @property {number} rank Heap key: priority, aged by enqueue time
+ * @property {number} sequence Enqueue order (FIFO among equal ranks)
+ * @property {number} enqueuedAt now() at enqueue
+ * @property {number} deadline Absolute time it becomes overdue (Infinity: never)
+ * @property {number} index Position in the rank heap (-1 once removed)
+ * @property {number} deadlineIndex Position in the deadline heap (-1: not in it)
+ */
+
+/**
+ * @typedef {object} TaskHandle
+ * @property {() => boolean} cancel Removes the task (false if it already ran or was cancelled)
+ * @property {() => boolean} isQueued
+ */
+
+/**
+ * @template T
+ * @description Array-backed binary min-heap that keeps each entry's
+ * position in `entry[indexKey]`, so any entry can be removed in O(log n).
+ */
+class BinaryHeap {
+  /**
+   * @param {(a: QueueEntry<T>, b: QueueEntry<T>) => number} compare
+   * @param {"index" | "deadlineIndex"} indexKey
+   */
+  constructor(compare, indexKey) {
+    /** @type {QueueEntry<T>[]} */
+    this.items = [];
+    this.compare = compare;
+    this.indexKey = indexKey;
+  }
+
+  /** @returns {QueueEntry<T> | undefined} */
+  peek() {
+    return this.items[0];
+  }
+
+  /** @param {QueueEntry<T>} entry */
+  push(entry) {
+    entry[this.indexKey] = this.items.length;
+    this.items.push(entry);
+    this.siftUp(this.items.length - 1);
+  }
+
+  /** @param {QueueEntry<T>} entry */
+  remove(entry) {
+    const index = entry[this.indexKey];
+    const last = /** @type {QueueEntry<T>} */ (this.items.pop());
+    entry[this.indexKey] = -1;
+    if (last === entry) return;
+
+    this.items[index] = last;
+    last[this.indexKey] = index;
+    this.siftUp(index);
+    this.siftDown(last[this.indexKey]);
+  }
+
+  /** @param {number} index */
+  siftUp(index) {
+    const items = this.items;
+    const entry = /** @type {QueueEntry<T>} */ (items[index]);
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parent = /** @type {QueueEntry<T>} */ (items[parentIndex]);
+      if (this.compare(entry, parent) >= 0) break;
+      items[index] = parent;
+      parent[this.indexKey] = index;
+      index = parentIndex;
+    }
+    items[index] = entry;
+    entry[this.indexKey] = index;
+  }
+
+  /** @param {number} index */
+  siftDown(index) {
+    const items = this.items;
+    const entry = /** @type {QueueEntry<T>} */ (items[index]);
+    const length = items.length;
+    for (;;) {
+      let child = 2 * index + 1;
+      if (child >= length) break;
+      const right = child + 1;
+      if (
+        right < length &&
+        this.compare(
+          /** @type {QueueEntry<T>} */ (items[right]),
+          /** @type {QueueEntry<T>} */ (items[child])
+        ) < 0
+      ) {
+        child = right;
+      }
+      const smallest = /** @type {QueueEntry<T>} */ (items[child]);
+      if (this.compare(smallest, entry) >= 0) break;
+      items[index] = smallest;
+      smallest[this.indexKey] = index;
+      index = child;
+    }
+    items[index] = entry;
+    entry[this.indexKey] = index;
+  }
+}
+
+/**
+ * @template T
+ * @description Scheduling queue: a binary heap ordered by priority and
+ * enqueue time. enqueue / dequeue / cancel are O(log n).
+ *
+ * **Ordering:**
+ * 1. Overdue tasks first (their deadline has passed), earliest deadline first
+ * 2. Then by aged priority: a waiting task gains one priority level every
+ *    `agingMs`, so LOW / IDLE work cannot starve behind a stream of urgent
+ *    tasks. Aging only depends on the enqueue time, so the key is fixed:
+ *    `rank = priority * agingMs + enqueuedAt`
+ * 3. FIFO among equal ranks
+ *
+ * **Example:**
+ * ```js
+ * const queue = new PriorityQueue({ agingMs: 500 });
+ *
+ * const handle = queue.enqueue(sendAnalytics, Priority.LOW);
+ * queue.enqueue(saveDraft, Priority.NORMAL, { deadline: 100 }); // overdue after 100ms
+ * handle.cancel();
+ *
+ * let task;
+ * while ((task = queue.dequeue())) task();
+ *
+ * queue.sizeByPriority(); // { IMMEDIATE: 0, HIGH: 0, NORMAL: 0, LOW: 0, IDLE: 0 }
+ * ```
+ */
+class PriorityQueue {
+  /**
+   * @param {{ agingMs?: number; now?: () => number }} [options]
+   *   - agingMs: wait time worth one priority level (default 1000, Infinity disables aging)
+   *   - now: clock in ms (default performance.now)
+   */
+  constructor(options = {}) {
+    this.agingMs = options.agingMs ?? 1000;
+    this.now = options.now ?? (() => performance.now());
+    this.sequence = 0;
+
+    /** @type {BinaryHeap<T>} */
+    this.heap = new BinaryHeap(
+      (a, b) => a.rank - b.rank || a.sequence - b.sequence,
+      "index"
+    );
+    /** Entries with a deadline, earliest first */
+    /** @type {BinaryHeap<T>} */
+    this.deadlines = new BinaryHeap(
+      (a, b) => a.deadline - b.deadline || a.sequence - b.sequence,
+      "deadlineIndex"
+    );
+    /** Queued entries in enqueue order (oldest first) */
+    /** @type {Set<QueueEntry<T>>} */
+    this.entries = new Set();
+    /** Queued entries per priority level */
+    this.counts = [0, 0, 0, 0, 0];
+  }
+
+  /**
+   * @param {T} task
+   * @param {PriorityLevel} [priority]
+   * @param {{ deadline?: number }} [options]
+   *   - deadline: ms from now after which the task is overdue
+   * @returns {TaskHandle}
+   */
+  enqueue(task, priority = Priority.NORMAL, options = {}) {
+    const enqueuedAt = this.now();
+    /** @type {QueueEntry<T>} */
+    const entry = {
+      task,
+      priority,
+      rank:
+        this.agingMs === Infinity
+          ? priority
+          : priority * this.agingMs + enqueuedAt,
+      sequence: this.sequence++,
+      enqueuedAt,
+      deadline:
+        options.deadline === undefined ? Infinity : enqueuedAt + options.deadline,
+      index: -1,
+      deadlineIndex: -1,
+    };
+
+    this.heap.push(entry);
+    if (entry.deadline !== Infinity) this.deadlines.push(entry);
+    this.entries.add(entry);
+    this.counts[priority] = (this.counts[priority] ?? 0) + 1;
+
+    return {
+      cancel: () => this.remove(entry),
+      isQueued: () => entry.index !== -1,
+    };
+  }
+
+  /**
+   * @returns {T | null} The next task (removed from the queue), null if empty
+   */
+  dequeue() {
+    const entry = this.next();
+    if (!entry) return null;
+    this.remove(entry);
+    return entry.task;
+  }
+
+  /**
+   * @returns {T | null} The next task, left in the queue
+   */
+  peek() {
+    return this.next()?.task ?? null;
+  }
+
+  /** @returns {QueueEntry<T> | undefined} */
+  next() {
+    const urgent = this.deadlines.peek();
+    if (urgent && urgent.deadline <= this.now()) return urgent;
+    return this.heap.peek();
+  }
+
+  /**
+   * @param {QueueEntry<T>} entry
+   * @returns {boolean} false if the entry was no longer queued
+   */
+  remove(entry) {
+    if (entry.index === -1) return false;
+
+    this.heap.remove(entry);
+    if (entry.deadlineIndex !== -1) this.deadlines.remove(entry);
+    this.entries.delete(entry);
+    this.counts[entry.priority] = (this.counts[entry.priority] ?? 1) - 1;
+    return true;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  isEmpty() {
+    return this.entries.size === 0;
+  }
+
+  /**
+   * @returns {Record<keyof typeof Priority, number>} Queued tasks per level
+   */
+  sizeByPriority() {
+    /** @type {Record<string, number>} */
+    const sizes = {};
+    for (const [name, level] of Object.entries(Priority)) {
+      sizes[name] = this.counts[level] ?? 0;
+    }
+    return /** @type {Record<keyof typeof Priority, number>} */ (sizes);
+  }
+
+  /**
+   * @returns {number} How long (ms) the oldest queued task has waited, 0 if empty
+   */
+  oldestAge() {
+    const oldest = this.entries.values().next().value;
+    return oldest ? this.now() - oldest.enqueuedAt : 0;
+  }
+
+  clear() {
+    for (const entry of this.entries) {
+      entry.index = -1;
+      entry.deadlineIndex = -1;
+    }
+    this.heap.items = [];
+    this.deadlines.items = [];
+    this.entries.clear();
+    this.counts = [0, 0, 0, 0, 0];
+  }
+}
+
+/** Internal signal behind useTransition()'s `isPending` */
+const [transitionPending, setTransitionPending] = createSignal(false, {
+  internal: true,
+});
+
+/**
+ * @param {() => any} fn
+ * @returns {Promise<void>} Resolves once the transition is committed
+ *
+ * @description Runs `fn` as a transition: its writes are held back until all
+ * async work started by the transition has settled, then committed together.
+ *
+ * **Lifecycle:**
+ * 1. START: Create the transition (or join the one still pending)
+ * 2. EXECUTE: Run fn untracked with `Transition.running = true`
+ *    - Writes go to `signal.tValue` (observers are NOT notified)
+ *    - Reads inside fn see those transition values
+ *    - A returned promise (and resources loading during fn) are awaited
+ * 3. WAIT: Everything outside keeps seeing the committed `signal.value`
+ * 4. COMMIT: Once every promise settled, write all `tValue`s in one batch
+ *    and resolve the returned promise
+ *
+ * **Limitations:**
+ * - Only writes made synchronously inside fn belong to the transition
+ *   (writes after an `await` are regular writes)
+ * - Memos are not forked: they pick up the new values on commit
+ * - A regular write to a signal that also has a pending transition value
+ *   is overwritten by the commit
+ *
+ * **Example:**
+ * ```js
+ * const [tab, setTab] = createSignal("home");
+ *
+ * startTransition(() => {
+ *   setTab("settings");
+ *   tab(); // "settings" (inside the transition)
+ *   return preload("settings");
+ * }).then(() => {
+ *   tab(); // "settings" (committed)
+ * });
+ *
+ * tab(); // "home" until preload() settles
+ * ```
+ */
+function startTransition(fn) {
+  let transition = Transition;
+
+  if (!transition) {
+    /** @type {() => void} */
+    let resolve = () => {};
+    const done = new Promise((r) => (resolve = /** @type {() => void} */ (r)));
+
+    setTransitionPending(true);
+
+    transition = Transition = {
+      sources: new Set(),
+      promises: new Set(),
+      running: false,
+      done,
+      resolve,
+    };
+
+    // Give fn (and anything it starts) a chance to register async work
+    queueMicrotask(() => settleTransition(/** @type {TransitionState} */ (transition)));
+  }
+
+  transition.running = true;
+  try {
+    const result = untrack(fn);
+    if (result && typeof result.then === "function") {
+      transition.promises.add(result);
+    }
+  } finally {
+    transition.running = false;
+  }
+
+  return transition.done;
+}
+
+/**
+ * @param {TransitionState} transition
+ *
+ * @description Waits until no async work of the transition is left (work
+ * registered while waiting is awaited too), then commits it.
+ */
+async function settleTransition(transition) {
+  while (transition.promises.size) {
+    const pending = [...transition.promises];
+    transition.promises.clear();
+    await Promise.allSettled(pending);
+  }
+
+  commitTransition(transition);
+}
+
+/**
+ * @param {TransitionState} transition
+ *
+ * @description Writes every transition value to its signal in a single
+ * batch (so observers run once), clears `isPending` and resolves `done`.
+ */
+function commitTransition(transition) {
+  if (Transition === transition) {
+    Transition = null;
+  }
+
+  batch(() => {
+    for (const state of transition.sources) {
+      const value = state.tValue;
+      delete state.tValue;
+      writeSignal(state, value);
+    }
+    setTransitionPending(false);
+  });
+
+  transition.resolve();
+}
+
+/**
+ * @returns {[() => boolean, (fn: () => any) => Promise<void>]}
+ *
+ * @description Returns `[isPending, start]`: `isPending()` is true while a
+ * transition is waiting to commit, `start` is startTransition().
+ *
+ * **Example:**
+ * ```js
+ * const [isPending, start] = useTransition();
+ *
+ * createEffect(() => {
+ *   spinner.hidden = !isPending();
+ * });
+ *
+ * start(() => setPage(2));
+ * ```
+ */
+function useTransition() {
+  return [transitionPending, startTransition];
+}
+
+/**
+ * @typedef {"unresolved" | "pending" | "ready" | "refreshing" | "errored"} ResourceState
+ */
+
+/**
+ * @template T
+ * @typedef {{
+ *   (): T | undefined;
+ *   readonly state: ResourceState;
+ *   readonly loading: boolean;
+ *   readonly error: any;
+ *   readonly latest: T | undefined;
+ * }} Resource
+ */
+
+/**
+ * @template T
+ * @typedef {object} ResourceActions
+ * @property {(value: T | undefined) => T | undefined} mutate Sets the value locally (optimistic updates)
+ * @property {() => T | Promise<T> | undefined} refetch Calls the fetcher again with the current source
+ */
+
+/**
+ * @template T, S
+ * @typedef {(source: S, info: { value: T | undefined; refetching: boolean }) => T | Promise<T>} ResourceFetcher
+ */
+
+/**
+ * @template T
+ * @typedef {{ initialValue?: T; name?: string }} ResourceOptions
+ */
+
+/**
+ * @template T, S
+ * @param {(() => S | false | null | undefined) | ResourceFetcher<T, true>} source
+ * @param {ResourceFetcher<T, S> | ResourceOptions<T>} [fetcher]
+ * @param {ResourceOptions<T>} [options]
+ * @returns {[Resource<T>, ResourceActions<T>]}
+ *
+ * @description Creates a signal that reflects the result of an async request.
+ *
+ * Called as `createResource(fetcher, options?)` or
+ * `createResource(source, fetcher, options?)`.
+ *
+ * **Lifecycle:**
+ * 1. CREATE: Signals for value, error and state
+ * 2. LOAD: A computed tracks `source()`
+ *    - `false`/`null`/`undefined` → don't fetch
+ *    - Otherwise call `fetcher(source, { value, refetching })` untracked
+ *    - state → "pending" (or "refreshing" when a value exists)
+ * 3. RESOLVE: Only the latest request may write:
+ *    - value + state "ready", or error + state "errored"
+ *    - Responses of older requests that arrive later are ignored
+ * 4. SOURCE CHANGES: The computed re-runs → LOAD again
+ * 5. DISPOSE: With its owner; pending requests never write after teardown
+ *
+ * **Accessor:**
+ * - `resource()` → current value (throws the error when "errored", so it
+ *   reaches the nearest catchError()/ErrorBoundary). While loading, it also
+ *   registers with the nearest Suspense boundary
+ * - `resource.latest` → same value, but never suspends
+ * - `resource.loading` / `.error` / `.state` → tracked reads
+ *
+ * Requests started inside startTransition() are part of the transition: it
+ * commits only after they settle, together with their result.
+ *
+ * **Example:**
+ * ```js
+ * const [userId, setUserId] = createSignal(1);
+ * const [user, { mutate, refetch }] = createResource(userId, (id) =>
+ *   fetch(`/api/users/${id}`).then((r) => r.json())
+ * );
+ *
+ * createEffect(() => {
+ *   if (user.loading) console.log("Loading...");
+ *   else if (user.error) console.log("Failed:", user.error);
+ *   else console.log("User:", user()?.name);
+ * });
+ *
+ * setUserId(2); // Refetches, a late answer for user 1 is ignored
+ * ```
+ */
+function createResource(source, fetcher, options) {
+  /** @type {(() => S | false | null | undefined) | true} */
+  let dynamic;
+  /** @type {ResourceFetcher<T, any>} */
+  let load;
+  /** @type {ResourceOptions<T>} */
+  let opts;
+
+  if (typeof fetcher === "function") {
+    dynamic = /** @type {() => S | false | null | undefined} */ (source);
+    load = fetcher;
+    opts = options ?? {};
+  } else {
+    dynamic = true;
+    load = /** @type {ResourceFetcher<T, true>} */ (source);
+    opts = fetcher ?? {};
+  }
+
+  const [value, setValue] = createSignal(opts.initialValue, {
+    name: opts.name,
+  });
+  const [error, setError] = createSignal(/** @type {any} */ (undefined), {
+    internal: true,
+  });
+  const [state, setState] = createSignal(
+    /** @type {ResourceState} */ (
+      opts.initialValue !== undefined ? "ready" : "unresolved"
+    ),
+    { internal: true }
+  );
+
+  /** @type {PromiseLike<T> | null} Latest request, the only one allowed to write */
+  let pending = null;
+  let disposed = false;
+  /** @type {Set<SuspenseBoundary>} Suspense boundaries waiting for this resource */
+  const boundaries = new Set();
+
+  // The request the boundaries were waiting for is over (or abandoned)
+  const releaseBoundaries = () => {
+    for (const boundary of boundaries) boundary.decrement();
+    boundaries.clear();
+  };
+
+  /**
+   * @param {PromiseLike<T> | null} request
+   * @param {T | undefined} result
+   * @param {any} [err]
+   * @param {TransitionState | null} [transition]
+   */
+  function loadEnd(request, result, err, transition = null) {
+    if (pending !== request || disposed) return;
+    pending = null;
+    releaseBoundaries();
+
+    const write = () =>
+      batch(() => {
+        if (err !== undefined) {
+          setError(() => err);
+          setState("errored");
+        } else {
+          setValue(() => result);
+          setError(undefined);
+          setState("ready");
+        }
+      });
+
+    // Still waiting to commit: the result belongs to the transition
+    if (transition && transition === Transition) {
+      transition.running = true;
+      try {
+        write();
+      } finally {
+        transition.running = false;
+      }
+    } else {
+      write();
+    }
+  }
+
+  /**
+   * @param {boolean} refetching
+   * @returns {T | Promise<T> | undefined}
+   */
+  function fetch(refetching) {
+    if (disposed) return;
+
+    // Tracked when called from the computed below: source changes refetch
+    const lookup = dynamic === true ? true : dynamic();
+    if (lookup == null || lookup === false) {
+      // Abandons any request in flight: back to the value we have (if any)
+      pending = null;
+      releaseBoundaries();
+      batch(() => {
+        setError(undefined);
+        setState(untrack(value) !== undefined ? "ready" : "unresolved");
+      });
+      return;
+    }
+
+    /** @type {T | PromiseLike<T>} */
+    let result;
+    try {
+      result = untrack(() => load(lookup, { value: value(), refetching }));
+    } catch (err) {
+      pending = null;
+      loadEnd(null, undefined, err);
+      return;
+    }
+
+    // Synchronous fetchers resolve right away
+    if (!result || typeof (/** @type {any} */ (result).then) !== "function") {
+      pending = null;
+      loadEnd(null, /** @type {T} */ (result));
+      return /** @type {T} */ (result);
+    }
+
+    const request = /** @type {PromiseLike<T>} */ (result);
+    const transition = Transition?.running ? Transition : null;
+    pending = request;
+    transition?.promises.add(request);
+
+    batch(() => {
+      setState(untrack(value) !== undefined ? "refreshing" : "pending");
+      setError(undefined);
+    });
+
+    request.then(
+      (v) => loadEnd(request, v, undefined, transition),
+      (e) =>
+        loadEnd(request, undefined, e ?? new Error("Resource failed"), transition)
+    );
+
+    return /** @type {Promise<T>} */ (request);
+  }
+
+  if (Owner) {
+    onCleanup(() => {
+      disposed = true;
+      pending = null;
+      releaseBoundaries();
+    });
+  }
+
+  if (dynamic === true) {
+    fetch(false);
+  } else {
+    createComputed(() => {
+      fetch(false);
+    });
+  }
+
+  const read = /** @type {Resource<T>} */ (
+    () => {
+      // Reading a loading resource suspends the nearest boundary (once)
+      if (pending) {
+        const boundary = useContext(SuspenseContext);
+        if (boundary && !boundaries.has(boundary)) {
+          boundaries.add(boundary);
+          boundary.increment();
+        }
+      }
+
+      const v = value();
+      if (state() === "errored") throw error();
+      return v;
+    }
+  );
+
+  Object.defineProperties(read, {
+    state: { get: () => state() },
+    error: { get: () => error() },
+    loading: {
+      get: () => {
+        const s = state();
+        return s === "pending" || s === "refreshing";
+      },
+    },
+    latest: { get: () => value() },
+  });
+
+  return [
+    read,
+    {
+      mutate: (v) => {
+        setValue(() => v);
+        return v;
+      },
+      refetch: () => fetch(true),
+    },
+  ];
+}
+
+/**
+ * @typedef {object} SuspenseBoundary
+ * @property {() => void} increment A resource read below the boundary started loading
+ * @property {() => void} decrement That resource finished (or was disposed)
+ */
+
+/**
+ * @typedef {object} SuspenseListCoordinator
+ * @property {(settled: () => boolean) => () => boolean} register Adds a boundary, returns whether it may reveal
+ */
+
+/** @type {Context<SuspenseBoundary | undefined>} */
+const SuspenseContext = createContext();
+
+/** @type {Context<SuspenseListCoordinator | undefined>} */
+const SuspenseListContext = createContext();
+
+/**
+ * @template T, F
+ * @param {{ children: () => T; fallback?: () => F }} props
+ * @returns {{ ready: () => boolean; fallback: () => boolean; value: () => T | F | undefined }}
+ *
+ * @description Boundary that waits for the resources read beneath it.
+ *
+ * - `ready()` → true once every tracked resource resolved (and, inside a
+ *   SuspenseList, once the list allows this boundary to reveal)
+ * - `fallback()` → `!ready()`
+ * - `value()` → the result of `children`, or of `props.fallback` while not ready
+ *
+ * **Lifecycle:**
+ * 1. PROVIDE: `children` run once, under a SuspenseContext provider
+ * 2. TRACK: A resource read while loading (now, or later in an effect/memo
+ *    owned below) increments the boundary's pending count, once per request
+ * 3. RESOLVE: The resource settles (or is disposed) → decrement
+ * 4. REVEAL: count back to 0 → `ready()` flips to true
+ *
+ * Nested boundaries shadow outer ones: a resource only suspends the nearest
+ * boundary above the computation that read it.
+ *
+ * **Example:**
+ * ```js
+ * const boundary = Suspense({
+ *   fallback: () => "Loading profile...",
+ *   children: () => {
+ *     const [user] = createResource(userId, fetchUser);
+ *     createEffect(() => render(user()));
+ *     return "profile";
+ *   },
+ * });
+ *
+ * createEffect(() => console.log(boundary.value()));
+ * // "Loading profile..." → "profile"
+ * ```
+ */
+function Suspense(props) {
+  const [count, setCount] = createSignal(0, { internal: true });
+
+  /** @type {SuspenseBoundary} */
+  const boundary = {
+    increment: () => setCount((c) => c + 1),
+    decrement: () => setCount((c) => c - 1),
+  };
+
+  const settled = () => count() === 0;
+  const list = useContext(SuspenseListContext);
+  const revealed = list ? list.register(settled) : settled;
+  const ready = createMemo(() => revealed());
+
+  /** @type {T | undefined} */
+  let content;
+  // Boundaries nested inside this one are not part of the surrounding list
+  SuspenseListContext.Provider({
+    value: undefined,
+    children: () =>
+      SuspenseContext.Provider({
+        value: boundary,
+        children: () => {
+          content = props.children();
+        },
+      }),
+  });
+
+  const value = createMemo(() => {
+    if (ready()) return content;
+    const fallback = props.fallback;
+    return fallback ? untrack(fallback) : undefined;
+  });
+
+  return { ready, fallback: () => !ready(), value };
+}
+
+/**
+ * @template T
+ * @param {{ revealOrder?: "forwards" | "backwards" | "together"; children: () => T }} props
+ * @returns {T}
+ *
+ * @description Coordinates the reveal order of the Suspense boundaries
+ * created directly by `children` (in creation order).
+ *
+ * - `"forwards"` → a boundary reveals once it and every boundary before it are settled
+ * - `"backwards"` → once it and every boundary after it are settled
+ * - `"together"` (default) → all reveal at once, when all are settled
+ *
+ * **Example:**
+ * ```js
+ * SuspenseList({
+ *   revealOrder: "forwards",
+ *   children: () => {
+ *     header = Suspense({ children: () => loadHeader() });
+ *     feed = Suspense({ children: () => loadFeed() });
+ *   },
+ * });
+ * // feed.ready() never becomes true before header.ready()
+ * ```
+ */
+function SuspenseList(props) {
+  const revealOrder = props.revealOrder ?? "together";
+  const [boundaries, setBoundaries] = createSignal(
+    /** @type {(() => boolean)[]} */ ([]),
+    { internal: true }
+  );
+
+  /** @type {SuspenseListCoordinator} */
+  const coordinator = {
+    register(settled) {
+      const index = untrack(boundaries).length;
+      setBoundaries((list) => [...list, settled]);
+
+      return createMemo(() => {
+        const list = boundaries();
+        const from = revealOrder === "backwards" ? index : 0;
+        const to = revealOrder === "forwards" ? index + 1 : list.length;
+
+        for (let i = from; i < to; i++) {
+          if (!(/** @type {() => boolean} */ (list[i]))()) return false;
+        }
+        return true;
+      });
+    },
+  };
+
+  return SuspenseListContext.Provider({
+    value: coordinator,
+    children: props.children,
+  });
+}
+
+/**
+ * @param {(() => void)[]} disposers
+ */
+function disposeAll(disposers) {
+  for (let i = 0; i < disposers.length; i++) {
+    /** @type {() => void} */ (disposers[i])();
+  }
+}
+
+/**
+ * @template T, U
+ * @param {() => readonly T[] | null | undefined | false} list
+ * @param {(item: T, index: () => number) => U} mapFn
+ * @param {{ fallback?: () => U }} [options]
+ * @returns {() => U[]}
+ *
+ * @description Maps a reactive array, keyed by item reference: each item is
+ * mapped once and its result reused for as long as the item stays in the list.
+ *
+ * **Lifecycle:**
+ * 1. CREATE: Every new item gets its own root (createRoot) in which
+ *    `mapFn(item, index)` runs untracked → effects/memos created by mapFn are
+ *    owned by that item
+ * 2. UPDATE (list() changed): Diff old vs new items by identity
+ *    - Skip the common prefix and suffix
+ *    - Moved items keep their mapped result; their `index` signal is updated
+ *    - New items are mapped in a new root
+ *    - Removed items have their root disposed
+ * 3. DISPOSE: All item roots are disposed with the owner that called mapArray
+ *
+ * `index` is only tracked (a signal per item) when mapFn declares it.
+ *
+ * **Example:**
+ * ```js
+ * const [todos, setTodos] = createSignal([a, b, c]);
+ *
+ * const rows = mapArray(todos, (todo, index) => {
+ *   createEffect(() => console.log(`#${index()} ${todo.title}`));
+ *   return { todo, el: renderRow(todo) };
+ * });
+ *
+ * setTodos([c, a]);
+ * // c and a keep their rows (index effects re-run), b's root is disposed
+ * ```
+ */
+function mapArray(list, mapFn, options = {}) {
+  /** @type {readonly T[]} */
+  let items = [];
+  /** @type {U[]} */
+  let mapped = [];
+  /** @type {(() => void)[]} */
+  let disposers = [];
+  /** @type {((index: number) => number)[] | null} */
+  let indexes = mapFn.length > 1 ? [] : null;
+  let len = 0;
+
+  onCleanup(() => disposeAll(disposers));
+
+  return createMemo(() => {
+    const newItems = list() || [];
+    const newLen = newItems.length;
+    /** @type {any} */ (newItems)[$TRACK];
+
+    return untrack(() => {
+      /** @type {number} */
+      let i;
+      /** @type {number} */
+      let j = 0;
+
+      /**
+       * @param {() => void} disposer
+       * @returns {U}
+       */
+      const mapper = (disposer) => {
+        disposers[j] = disposer;
+        if (indexes) {
+          const [index, setIndex] = createSignal(j);
+          indexes[j] = setIndex;
+          return mapFn(/** @type {T} */ (newItems[j]), index);
+        }
+        return /** @type {(item: T) => U} */ (mapFn)(/** @type {T} */ (newItems[j]));
+      };
+
+      // Fast path: empty list
+      if (newLen === 0) {
+        if (len !== 0) {
+          disposeAll(disposers);
+          disposers = [];
+          items = [];
+          mapped = [];
+          len = 0;
+          if (indexes) indexes = [];
+        }
+        if (options.fallback) {
+          const fallback = options.fallback;
+          items = [];
+          mapped = [
+            createRoot((disposer) => {
+              disposers[0] = disposer;
+              return fallback();
+            }),
+          ];
+          len = 1;
+        }
+        return mapped;
+      }
+
+      // Fast path: first items (or leaving the fallback)
+      if (len === 0 || items.length === 0) {
+        if (len !== 0) disposeAll(disposers);
+        disposers = [];
+        if (indexes) indexes = [];
+        mapped = new Array(newLen);
+        for (j = 0; j < newLen; j++) {
+          mapped[j] = createRoot(mapper);
+        }
+        items = newItems.slice(0);
+        len = newLen;
+        return mapped;
+      }
+
+      /** @type {U[]} */
+      const temp = new Array(newLen);
+      /** @type {(() => void)[]} */
+      const tempDisposers = new Array(newLen);
+      /** @type {((index: number) => number)[]} */
+      const tempIndexes = new Array(newLen);
+
+      // Skip the common prefix
+      let start = 0;
+      let end = Math.min(len, newLen);
+      while (start < end && items[start] === newItems[start]) start++;
+
+      // Common suffix: reuse in place (shifted)
+      let newEnd = newLen - 1;
+      for (
+        end = len - 1;
+        end >= start && newEnd >= start && items[end] === newItems[newEnd];
+        end--, newEnd--
+      ) {
+        temp[newEnd] = /** @type {U} */ (mapped[end]);
+        tempDisposers[newEnd] = /** @type {() => void} */ (disposers[end]);
+        if (indexes) tempIndexes[newEnd] = /** @type {any} */ (indexes[end]);
+      }
+
+      // 0) Map every new item to its positions (a chain for duplicates),
+      //    scanning backwards so they are found in natural order
+      /** @type {Map<T, number>} */
+      const newIndices = new Map();
+      /** @type {number[]} */
+      const newIndicesNext = new Array(newEnd + 1);
+      for (j = newEnd; j >= start; j--) {
+        const item = /** @type {T} */ (newItems[j]);
+        const next = newIndices.get(item);
+        newIndicesNext[j] = next === undefined ? -1 : next;
+        newIndices.set(item, j);
+      }
+
+      // 1) Keep old items that are still present, dispose the others
+      for (i = start; i <= end; i++) {
+        const item = /** @type {T} */ (items[i]);
+        const target = newIndices.get(item);
+        if (target !== undefined && target !== -1) {
+          temp[target] = /** @type {U} */ (mapped[i]);
+          tempDisposers[target] = /** @type {() => void} */ (disposers[i]);
+          if (indexes) tempIndexes[target] = /** @type {any} */ (indexes[i]);
+          newIndices.set(item, /** @type {number} */ (newIndicesNext[target]));
+        } else {
+          /** @type {() => void} */ (disposers[i])();
+        }
+      }
+
+      // 2) Fill the new positions: reused results (moved) or new roots,
+      //    in a copy so previously returned arrays stay untouched
+      mapped = mapped.slice(0, (len = newLen));
+      for (j = start; j < newLen; j++) {
+        if (j in temp) {
+          mapped[j] = /** @type {U} */ (temp[j]);
+          disposers[j] = /** @type {() => void} */ (tempDisposers[j]);
+          if (indexes) {
+            indexes[j] = /** @type {any} */ (tempIndexes[j]);
+            /** @type {(index: number) => number} */ (indexes[j])(j);
+          }
+        } else {
+          mapped[j] = createRoot(mapper);
+        }
+      }
+
+      // 3) Drop what is left past the new length, 4) remember the items
+      disposers.length = newLen;
+      if (indexes) indexes.length = newLen;
+      items = newItems.slice(0);
+
+      return mapped;
+    });
+  });
+}
+
+/**
+ * @template T, U
+ * @param {() => readonly T[] | null | undefined | false} list
+ * @param {(item: () => T, index: number) => U} mapFn
+ * @param {{ fallback?: () => U }} [options]
+ * @returns {() => U[]}
+ *
+ * @description Maps a reactive array, keyed by position: each slot is mapped
+ * once and receives a signal of the item currently at that position.
+ *
+ * **Lifecycle:**
+ * 1. CREATE: Every new slot gets its own root (createRoot) in which
+ *    `mapFn(item, index)` runs untracked; `item` is a signal, `index` is fixed
+ * 2. UPDATE (list() changed):
+ *    - A slot whose value changed only has its item signal written
+ *    - Growing the list creates trailing slots
+ *    - Shrinking the list disposes trailing slots' roots
+ * 3. DISPOSE: All slot roots are disposed with the owner that called indexArray
+ *
+ * Prefer it over mapArray when items are primitives or are replaced rather
+ * than moved.
+ *
+ * **Example:**
+ * ```js
+ * const [names, setNames] = createSignal(["a", "b"]);
+ *
+ * const rows = indexArray(names, (name, i) => {
+ *   createEffect(() => console.log(`#${i} ${name()}`));
+ *   return i;
+ * });
+ *
+ * setNames(["a", "c"]); // only slot 1's effect re-runs
+ * setNames(["a"]);      // slot 1's root is disposed
+ * ```
+ */
+function indexArray(list, mapFn, options = {}) {
+  /** @type {readonly T[]} */
+  let items = [];
+  /** @type {U[]} */
+  let mapped = [];
+  /** @type {(() => void)[]} */
+  let disposers = [];
+  /** @type {((value: () => T) => T)[]} */
+  let signals = [];
+  let len = 0;
+
+  onCleanup(() => disposeAll(disposers));
+
+  return createMemo(() => {
+    const newItems = list() || [];
+    const newLen = newItems.length;
+    /** @type {any} */ (newItems)[$TRACK];
+
+    return untrack(() => {
+      let i = 0;
+
+      /**
+       * @param {() => void} disposer
+       * @returns {U}
+       */
+      const mapper = (disposer) => {
+        disposers[i] = disposer;
+        const [item, setItem] = createSignal(/** @type {T} */ (newItems[i]));
+        signals[i] = /** @type {any} */ (setItem);
+        return mapFn(item, i);
+      };
+
+      // Fast path: empty list
+      if (newLen === 0) {
+        if (len !== 0) {
+          disposeAll(disposers);
+          disposers = [];
+          items = [];
+          mapped = [];
+          signals = [];
+          len = 0;
+        }
+        if (options.fallback) {
+          const fallback = options.fallback;
+          mapped = [
+            createRoot((disposer) => {
+              disposers[0] = disposer;
+              return fallback();
+            }),
+          ];
+          len = 1;
+        }
+        return mapped;
+      }
+
+      // Leaving the fallback
+      if (items.length === 0 && len !== 0) {
+        disposeAll(disposers);
+        disposers = [];
+        mapped = [];
+        len = 0;
+      }
+
+      // Copy so previously returned arrays stay untouched
+      mapped = mapped.slice(0, newLen);
+      for (i = 0; i < newLen; i++) {
+        if (i >= items.length) {
+          mapped[i] = createRoot(mapper);
+        } else if (items[i] !== newItems[i]) {
+          // Wrapped: the item itself may be a function
+          const value = /** @type {T} */ (newItems[i]);
+          /** @type {(value: () => T) => T} */ (signals[i])(() => value);
+        }
+      }
+
+      // Dispose trailing slots
+      for (; i < items.length; i++) {
+        /** @type {() => void} */ (disposers[i])();
+      }
+
+      len = signals.length = disposers.length = newLen;
+      items = newItems.slice(0);
+      return mapped;
+    });
+  });
+}
+
+/** `Symbol.observable` where a polyfill defines it, "@@observable" otherwise */
+const $$observable = /** @type {any} */ (Symbol).observable || "@@observable";
+
+/**
+ * @template T
+ * @typedef {((value: T) => void) | { next?: (value: T) => void }} Observer
+ */
+
+/**
+ * @template T
+ * @typedef {object} Observable
+ * @property {(observer: Observer<T>) => { unsubscribe(): void }} subscribe
+ */
+
+/**
+ * @template T
+ * @typedef {{ subscribe(observer: ((value: T) => void) & {
+ *     next: (value: T) => void,
+ *     error: (err: unknown) => void,
+ *     complete: () => void,
+ *   }): (() => void) | { unsubscribe(): void } }
+ *   | ((set: (value: T) => void) => (() => void) | void)} Producer
+ * @description A subscribe-style object (RxJS observables and
+ * `subscribe(callback)` stores included) or a function that starts pushing
+ * values and may return its teardown
+ */
+
+/**
+ * @template T
+ * @param {() => T} accessor
+ * @returns {Observable<T>}
+ *
+ * @description Exposes an accessor through the Observable protocol: each
+ * subscriber gets its own effect (in its own root) that pushes every new value.
+ *
+ * **Lifecycle:**
+ * 1. SUBSCRIBE: createRoot → createEffect tracking `accessor()`, the observer
+ *    is called untracked (it must not become a dependency)
+ * 2. PUSH: first value when the effect first runs, then on every change
+ * 3. UNSUBSCRIBE: disposes the root; also done automatically when the owner
+ *    that subscribed is disposed
+ *
+ * **Example:**
+ * ```js
+ * import { from as rxFrom } from "rxjs";
+ *
+ * const [count, setCount] = createSignal(0);
+ * rxFrom(observable(count))
+ *   .pipe(filter((n) => n % 2 === 0))
+ *   .subscribe(console.log);
+ * ```
+ */
+function observable(accessor) {
+  return {
+    subscribe(observer) {
+      if (!(observer instanceof Object) || observer == null) {
+        throw new TypeError("Expected the observer to be an object.");
+      }
+
+      const handler =
+        typeof observer === "function" ? observer : observer.next?.bind(observer);
+      if (!handler) return { unsubscribe() {} };
+
+      const disposeSubscription = createRoot((disposer) => {
+        createEffect(() => {
+          const value = accessor();
+          untrack(() => handler(value));
+        });
+        return disposer;
+      });
+
+      if (getOwner()) onCleanup(disposeSubscription);
+
+      return {
+        unsubscribe() {
+          disposeSubscription();
+        },
+      };
+    },
+
+    [$$observable]() {
+      return this;
+    },
+  };
+}
+
+/**
+ * @template T
+ * @param {Producer<T>} producer
+ * @param {T} [initialValue] Value until the producer first emits
+ * @returns {() => T | undefined}
+ *
+ * @description Turns an external push source into an accessor. Every emission
+ * notifies (sources may legitimately emit the same value twice).
+ *
+ * The subscription is released when the owner calling from() is disposed.
+ * Errors pushed by an observable go to the nearest catchError handler.
+ *
+ * **Example:**
+ * ```js
+ * const now = from((set) => {
+ *   const id = setInterval(() => set(Date.now()), 1000);
+ *   return () => clearInterval(id);
+ * }, Date.now());
+ *
+ * const position = from(rxjsMouseMoves$);
+ * ```
+ */
+function from(producer, initialValue) {
+  const [value, setValue] = createSignal(
+    /** @type {T | undefined} */ (initialValue),
+    { equals: () => false }
+  );
+  /** @param {T} next */
+  const set = (next) => {
+    setValue(() => next);
+  };
+
+  /** @type {(() => void) | void} */
+  let release;
+  if (typeof producer === "function") {
+    release = producer(set);
+  } else {
+    const owner = Owner;
+    // Callable observer: works with subscribe(fn) (e.g. Svelte-style stores)
+    // and subscribe({ next, error, complete }) (Observables)
+    const observer = Object.assign(/** @param {T} v */ (v) => set(v), {
+      next: set,
+      error: (/** @type {unknown} */ err) => handleError(err, owner),
+      complete() {},
+    });
+    const subscription = producer.subscribe(observer);
+    release =
+      typeof subscription === "function"
+        ? subscription
+        : () => subscription.unsubscribe();
+  }
+
+  if (getOwner()) {
+    onCleanup(() => {
+      if (typeof release === "function") release();
+    });
+  }
+
+  return value;
+}
+
+/**
+ * @template T
+ * @param {() => T} accessor
+ * @returns {AsyncIterableIterator<T>}
+ *
+ * @description Iterates the successive values of an accessor (signals and
+ * memos expose it as `[Symbol.asyncIterator]`).
+ *
+ * **Lifecycle:**
+ * 1. START: An effect (in its own root) tracks `accessor()`; the current
+ *    value is the first one yielded
+ * 2. NEXT: Resolves with the latest value not yielded yet, or waits for one
+ * 3. BACKPRESSURE: Values are coalesced, a slow consumer gets the latest
+ *    value instead of a growing buffer
+ * 4. END: `return()` (e.g. `break` in for-await), or disposal of the owner
+ *    that created the iterator, disposes the effect and ends the iteration
+ * 5. ERROR: An error thrown by `accessor()` rejects the pending (or next)
+ *    `next()` call, so for-await throws it, and ends the iteration
+ *
+ * **Example:**
+ * ```js
+ * for await (const count of countSignal) {
+ *   console.log(count);
+ *   if (count > 10) break;
+ * }
+ * ```
+ */
+function iterateAccessor(accessor) {
+  /** @type {T} */
+  let latest;
+  let hasValue = false;
+  let done = false;
+  /** @type {{ error: unknown } | null} Accessor error not handed to next() yet */
+  let failure = null;
+  /** @type {{ resolve: (result: IteratorResult<T>) => void, reject: (err: unknown) => void } | null} */
+  let waiting = null;
+
+  const disposeEffect = createRoot((disposer) => {
+    createEffect(() => {
+      /** @type {T} */
+      let value;
+      try {
+        value = accessor();
+      } catch (error) {
+        // Ends the iteration: the pending (or next) next() call rejects
+        if (waiting) {
+          const { reject } = waiting;
+          waiting = null;
+          reject(error);
+        } else {
+          failure = { error };
+        }
+        queueMicrotask(finish);
+        return;
+      }
+
+      if (waiting) {
+        const { resolve } = waiting;
+        waiting = null;
+        resolve({ value, done: false });
+      } else {
+        latest = value;
+        hasValue = true;
+      }
+    });
+    return disposer;
+  });
+
+  /** @returns {Promise<IteratorResult<T>>} */
+  const finish = () => {
+    if (!done) {
+      done = true;
+      disposeEffect();
+      const pending = waiting;
+      waiting = null;
+      pending?.resolve({ value: undefined, done: true });
+    }
+    return Promise.resolve({ value: undefined, done: true });
+  };
+
+  if (getOwner()) onCleanup(finish);
+
+  return {
+    next() {
+      if (failure) {
+        const { error } = failure;
+        failure = null;
+        return Promise.reject(error);
+      }
+      if (done) return Promise.resolve({ value: undefined, done: true });
+      if (hasValue) {
+        hasValue = false;
+        return Promise.resolve({ value: latest, done: false });
+      }
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+      });
+    },
+    return: finish,
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+}
+
+/**
+ * @template T
+ * @param {() => T} accessor
+ * @returns {ReadableStream<T>}
+ *
+ * @description WHATWG ReadableStream of an accessor's successive values.
+ * Pull-based: a value is only taken when the reader wants one (values in
+ * between are coalesced, see iterateAccessor). Closes when the owner that
+ * created it is disposed; cancelling the stream stops tracking.
+ *
+ * **Example:**
+ * ```js
+ * toReadableStream(logLine)
+ *   .pipeThrough(new TextEncoderStream())
+ *   .pipeTo(Writable.toWeb(process.stdout));
+ * ```
+ */
+function toReadableStream(accessor) {
+  const iterator = iterateAccessor(accessor);
+
+  return new ReadableStream({
+    async pull(controller) {
+      const result = await iterator.next();
+      if (result.done) {
+        controller.close();
+      } else {
+        controller.enqueue(result.value);
+      }
+    },
+    async cancel() {
+      await iterator.return?.();
+    },
+  });
+}
+
+/**
+ * @template T
+ * @param {AsyncIterable<T>} iterable
+ * @param {T} [initialValue] Value until the first item arrives
+ * @returns {() => T | undefined}
+ *
+ * @description Turns an async source into an accessor holding its latest item.
+ *
+ * **Lifecycle:**
+ * 1. PULL: One item at a time; the next one is only requested once the
+ *    previous one was written (the source is never drained ahead)
+ * 2. ERROR: The accessor throws the error (→ nearest catchError/ErrorBoundary
+ *    of the computation reading it)
+ * 3. CLEANUP: Disposal of the owner stops the loop and calls the upstream
+ *    iterator's `return()` (closing generators / destroying streams)
+ *
+ * **Example:**
+ * ```js
+ * async function* ticks() {
+ *   for (let i = 0; ; i++) {
+ *     await sleep(1000);
+ *     yield i;
+ *   }
+ * }
+ *
+ * const tick = fromAsyncIterable(ticks(), -1);
+ * ```
+ */
+function fromAsyncIterable(iterable, initialValue) {
+  const [value, setValue] = createSignal(
+    /** @type {T | undefined} */ (initialValue),
+    { equals: () => false }
+  );
+  /** @type {unknown} */
+  let error;
+  let failed = false;
+  let stopped = false;
+  const iterator = iterable[Symbol.asyncIterator]();
+
+  (async () => {
+    try {
+      while (!stopped) {
+        const result = await iterator.next();
+        if (stopped || result.done) break;
+        setValue(() => result.value);
+      }
+    } catch (err) {
+      if (stopped) return;
+      error = err;
+      failed = true;
+      setValue((current) => current);
+    }
+  })();
+
+  if (getOwner()) {
+    onCleanup(() => {
+      stopped = true;
+      // A pending next() may never settle: do not wait for it
+      Promise.resolve(iterator.return?.()).catch(() => {});
+    });
+  }
+
+  const read = () => {
+    const current = value();
+    if (failed) throw error;
+    return current;
+  };
+  read[Symbol.asyncIterator] = () => iterateAccessor(read);
+
+  return read;
+}
+
+/**
+ * @template T
+ * @param {ReadableStream<T> | AsyncIterable<T>} stream WHATWG ReadableStream
+ *   or Node.js Readable (any async iterable)
+ * @param {T} [initialValue]
+ * @returns {() => T | undefined}
+ *
+ * @description fromAsyncIterable() for streams: a ReadableStream is read
+ * through a reader (cancelled on cleanup), a Node.js Readable through its
+ * async iterator (destroyed on cleanup).
+ *
+ * **Example:**
+ * ```js
+ * const lastLine = fromReadable(
+ *   readline.createInterface({ input: fs.createReadStream("app.log") })
+ * );
+ * ```
+ */
+function fromReadable(stream, initialValue) {
+  if (!("getReader" in stream)) {
+    return fromAsyncIterable(stream, initialValue);
+  }
+
+  const reader = stream.getReader();
+  /** @type {AsyncIterable<T>} */
+  const iterable = {
+    [Symbol.asyncIterator]: () => ({
+      next: () =>
+        reader
+          .read()
+          .then((result) =>
+            result.done
+              ? { value: undefined, done: true }
+              : { value: result.value, done: false }
+          ),
+      async return() {
+        await reader.cancel();
+        return { value: undefined, done: true };
+      },
+    }),
+  };
+  return fromAsyncIterable(iterable, initialValue);
+}
+
 // Export
 export {
   createSignal,
@@ -1740,11 +5467,56 @@ export {
   createMemo,
   createComputed,
   batch,
+  setScheduler,
+  flushSync,
+  settled,
+  createDeferred,
+  setTimeSlicing,
+  getFlushStats,
+  Priority,
+  PriorityQueue,
   createRoot,
   dispose,
   disposeComputation,
   onCleanup,
   getOwner,
+  getListener,
+  getGraph,
+  graphToJSON,
+  graphToDOT,
+  graphToMermaid,
+  enableTracing,
+  disableTracing,
+  getTrace,
+  clearTrace,
+  getLastRunCause,
+  startProfiling,
+  stopProfiling,
+  enableLeakDetection,
+  disableLeakDetection,
+  checkLeaks,
+  verifyGraph,
+  autoVerifyGraph,
+  setDevMode,
+  DevHooks,
   runWithOwner,
+  untrack,
+  createContext,
+  useContext,
+  catchError,
+  ErrorBoundary,
+  startTransition,
+  useTransition,
+  createResource,
+  Suspense,
+  SuspenseList,
+  mapArray,
+  indexArray,
+  observable,
+  from,
+  toReadableStream,
+  fromAsyncIterable,
+  fromReadable,
+  $TRACK,
   Owner,
 };
@@ -1,13 +1,9 @@
-const Priority = {
-  IMMEDIATE: 0, // User input, animations
-  HIGH: 1, // Data fetching, critical updates
-  NORMAL: 2, // Regular updates
-  LOW: 3, // Analytics, logging
-  IDLE: 4, // Cleanup, preloading
-};
+// Priority levels and the task queue now live in the runtime:
+// createEffect(fn, { priority }), new PriorityQueue({ agingMs })
+import { Priority, PriorityQueue } from "./siganl-0.js";
 
 /**
- * A simple priority queue for scheduling tasks.
+ * Patterns built on the runtime's PriorityQueue.
  *
  * ### Scheduler with Priorities
  *
@@ -264,30 +260,7 @@ const Priority = {
  * }
  * ```
  */
-class PriorityQueue {
-  constructor() {
-    this.queues = Array(5)
-      .fill(null)
-      .map(() => []);
-  }
-
-  enqueue(task, priority = Priority.NORMAL) {
-    this.queues[priority].push(task);
-  }
-
-  dequeue() {
-    for (const queue of this.queues) {
-      if (queue.length > 0) {
-        return queue.shift();
-      }
-    }
-    return null;
-  }
-
-  isEmpty() {
-    return this.queues.every((q) => q.length === 0);
-  }
-}
+export { PriorityQueue };
 
 //
 /**
@@ -0,0 +1,1058 @@
+// Deep reactive stores built on top of siganl-0.js
+import {
+  batch,
+  createSignal,
+  getListener,
+  getOwner,
+  onCleanup,
+  untrack,
+  $TRACK,
+} from "./siganl-0.js";
+
+/** Read on a store proxy → the underlying raw object */
+const $RAW = Symbol("store-raw");
+/** Read on a store proxy → the proxy itself */
+const $PROXY = Symbol("store-proxy");
+/** Node key notified when keys are added / removed, or an array changes */
+const $SELF = Symbol("store-self");
+
+/**
+ * @typedef {readonly [() => void, (value: undefined) => void]} StoreNode
+ * @description Notification-only signal: values live in the raw object, the
+ * node just records who read a property and re-runs them when it is written.
+ */
+
+/**
+ * @typedef {object} StoreRange
+ * @property {number} [from] First index (default 0)
+ * @property {number} [to] Last index, inclusive (default length - 1)
+ * @property {number} [by] Step, a positive number (default 1)
+ */
+
+/**
+ * @typedef {string | number | symbol
+ *   | readonly (string | number)[]
+ *   | ((item: any, index: number) => boolean)
+ *   | StoreRange} StorePathPart
+ * @description One step of a setStore() path:
+ * - key / index → that property
+ * - array of keys → each of them
+ * - predicate (arrays only) → every item it returns true for
+ * - range (arrays only) → every index in `from..to` stepping `by`
+ */
+
+/**
+ * @typedef {(...args: any[]) => void} SetStoreFunction
+ * @description `setStore(...path, value)` where the leaf `value` may be an
+ * updater `(prev, traversed) => next` (`prev` is the raw, untracked value).
+ * Objects are shallow-merged, everything else (including arrays) replaces
+ * the property; `undefined` deletes it.
+ */
+
+/** Per raw object: property → node (read tracking) */
+/** @type {WeakMap<object, Map<PropertyKey, StoreNode>>} */
+const PropertyNodes = new WeakMap();
+/** Per raw object: property → node (`in` tracking) */
+/** @type {WeakMap<object, Map<PropertyKey, StoreNode>>} */
+const HasNodes = new WeakMap();
+/** @type {WeakMap<object, any>} */
+const Proxies = new WeakMap();
+
+/**
+ * @typedef {object} JSONPatchOperation
+ * @property {"add" | "remove" | "replace" | "move" | "copy" | "test"} op
+ * @property {string} path JSON Pointer (RFC 6901) from the store root
+ * @property {string} [from] Source pointer (move / copy)
+ * @property {any} [value] Plain snapshot (add / replace / test)
+ */
+
+/**
+ * @typedef {(patches: JSONPatchOperation[], inversePatches: JSONPatchOperation[]) => void} PatchListener
+ * @description Called once per setStore() / applyPatches() call that changed
+ * something. Applying `inversePatches` undoes `patches`.
+ */
+
+/** Per raw root: patch listeners (see onPatches) */
+/** @type {WeakMap<object, Set<PatchListener>>} */
+const PatchListeners = new WeakMap();
+
+/**
+ * @typedef {object} PatchRecorder
+ * @property {JSONPatchOperation[]} patches
+ * @property {JSONPatchOperation[]} inverse In application order (reversed on emit)
+ */
+
+/**
+ * Patches of the setStore() / applyPatches() call in progress
+ * (null when nobody listens: paths are not even built then)
+ * @type {PatchRecorder | null}
+ */
+let Recorder = null;
+
+/**
+ * @param {any} value
+ * @returns {value is object}
+ *
+ * @description Only plain objects and arrays are made reactive; class
+ * instances, dates, maps... are stored as opaque values.
+ */
+function isWrappable(value) {
+  if (value === null || typeof value !== "object") return false;
+  if (value[$PROXY]) return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null || Array.isArray(value);
+}
+
+/**
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ * @description Store proxy → raw object (anything else is returned as is)
+ */
+function toRaw(value) {
+  if (value === null || typeof value !== "object") return value;
+  return /** @type {any} */ (value)[$RAW] || value;
+}
+
+/**
+ * @param {WeakMap<object, Map<PropertyKey, StoreNode>>} registry
+ * @param {object} target
+ * @param {PropertyKey} property
+ * @returns {StoreNode}
+ */
+function getNode(registry, target, property) {
+  let nodes = registry.get(target);
+  if (!nodes) registry.set(target, (nodes = new Map()));
+
+  let node = nodes.get(property);
+  if (!node) {
+    node = createSignal(undefined, { equals: () => false, internal: true });
+    nodes.set(property, node);
+  }
+  return node;
+}
+
+/**
+ * @param {WeakMap<object, Map<PropertyKey, StoreNode>>} registry
+ * @param {object} target
+ * @param {PropertyKey} property
+ */
+function notify(registry, target, property) {
+  registry.get(target)?.get(property)?.[1](undefined);
+}
+
+/**
+ * @param {object} target
+ * @param {PropertyKey} property
+ */
+function track(target, property) {
+  if (getListener()) getNode(PropertyNodes, target, property)[0]();
+}
+
+/** @type {ProxyHandler<any>} */
+const proxyTraps = {
+  get(target, property, receiver) {
+    if (property === $RAW) return target;
+    if (property === $PROXY) return receiver;
+    if (property === $TRACK) {
+      track(target, $SELF);
+      return receiver;
+    }
+
+    const value = Reflect.get(target, property, receiver);
+    // Own data properties are tracked; prototype methods (array.map...) are
+    // not, they read through the proxy anyway
+    if (typeof value !== "function" || Object.hasOwn(target, property)) {
+      const desc = Object.getOwnPropertyDescriptor(target, property);
+      if (!desc?.get) track(target, property);
+    }
+
+    return isWrappable(value) ? wrap(value) : value;
+  },
+
+  has(target, property) {
+    if (property === $RAW || property === $PROXY || property === $TRACK) {
+      return true;
+    }
+    if (getListener()) getNode(HasNodes, target, property)[0]();
+    return property in target;
+  },
+
+  ownKeys(target) {
+    track(target, $SELF);
+    return Reflect.ownKeys(target);
+  },
+
+  set() {
+    console.warn("Cannot mutate a store directly, use setStore");
+    return true;
+  },
+
+  deleteProperty() {
+    console.warn("Cannot mutate a store directly, use setStore");
+    return true;
+  },
+};
+
+/**
+ * @template {object} T
+ * @param {T} raw
+ * @returns {T}
+ * @description One proxy per raw object, so identity is stable across reads
+ */
+function wrap(raw) {
+  let proxy = Proxies.get(raw);
+  if (!proxy) Proxies.set(raw, (proxy = new Proxy(raw, proxyTraps)));
+  return proxy;
+}
+
+/**
+ * @param {any} state Raw object
+ * @param {PropertyKey} property
+ * @param {any} value `undefined` deletes the property
+ * @param {PropertyKey[] | null} [path] Path of `state` from the store root
+ *   (only needed while patches are recorded)
+ *
+ * @description The single write primitive: updates the raw object and
+ * notifies only the nodes affected by this property.
+ *
+ * ```
+ * 1. SKIP if the value is unchanged
+ * 2. RECORD the JSON Patch operation (if someone listens, see onPatches)
+ * 3. WRITE raw value (delete on undefined)
+ * 4. NOTIFY:
+ *    - readers of `property`
+ *    - `in` checks if the property appeared / disappeared
+ *    - arrays: dropped indices and `length` if the length changed
+ *    - shape readers (ownKeys, $TRACK)
+ * ```
+ */
+function setProperty(state, property, value, path) {
+  // Proxy traps always see string keys
+  if (typeof property === "number") property = String(property);
+  value = toRaw(value);
+  const hadProperty = property in state;
+  if (state[property] === value && (value !== undefined || !hadProperty)) {
+    return;
+  }
+
+  if (Recorder && path) recordWrite(Recorder, state, property, value, path);
+
+  const len = state.length;
+
+  if (value === undefined) {
+    delete state[property];
+  } else {
+    state[property] = value;
+  }
+
+  const shapeChanged = hadProperty !== property in state;
+  if (shapeChanged) notify(HasNodes, state, property);
+  notify(PropertyNodes, state, property);
+
+  if (Array.isArray(state) && state.length !== len) {
+    for (let i = state.length; i < len; i++) {
+      notify(PropertyNodes, state, String(i));
+    }
+    notify(PropertyNodes, state, "length");
+  }
+
+  if (shapeChanged || Array.isArray(state)) {
+    notify(PropertyNodes, state, $SELF);
+  }
+}
+
+/**
+ * @param {any} state Raw object
+ * @param {any} value Plain object whose own keys are written into `state`
+ * @param {PropertyKey[] | null} path Path of `state` (see setProperty)
+ */
+function mergeStoreNode(state, value, path) {
+  const keys = Object.keys(value);
+  for (let i = 0; i < keys.length; i++) {
+    const key = /** @type {string} */ (keys[i]);
+    setProperty(state, key, value[key], path);
+  }
+}
+
+/**
+ * @param {PropertyKey[] | null} path
+ * @param {PropertyKey} key
+ * @returns {PropertyKey[] | null}
+ */
+function join(path, key) {
+  return path && [...path, key];
+}
+
+/**
+ * @param {any} current Raw object the remaining path applies to
+ * @param {any[]} path Remaining path parts, the last item is the value
+ * @param {PropertyKey[]} [traversed] Keys walked so far, innermost first
+ */
+function updatePath(current, path, traversed = []) {
+  /** @type {any} */
+  let part;
+  let prev = current;
+
+  if (path.length > 1) {
+    part = path.shift();
+    const isArray = Array.isArray(current);
+
+    if (Array.isArray(part)) {
+      // Several keys
+      for (let i = 0; i < part.length; i++) {
+        updatePath(current, [part[i], ...path], traversed);
+      }
+      return;
+    }
+    if (isArray && typeof part === "function") {
+      // Predicate filter
+      for (let i = 0; i < current.length; i++) {
+        if (part(current[i], i)) {
+          updatePath(current, [i, ...path], traversed);
+        }
+      }
+      return;
+    }
+    if (isArray && part !== null && typeof part === "object") {
+      // Range
+      const { from = 0, to = current.length - 1, by = 1 } = /** @type {StoreRange} */ (part);
+      if (!(by > 0)) {
+        throw new RangeError(`Store range step must be a positive number, got ${by}`);
+      }
+      for (let i = from; i <= to; i += by) {
+        updatePath(current, [i, ...path], traversed);
+      }
+      return;
+    }
+    if (path.length > 1) {
+      updatePath(current[part], path, [part, ...traversed]);
+      return;
+    }
+
+    prev = current[part];
+    traversed = [part, ...traversed];
+  }
+
+  let value = path[0];
+  if (typeof value === "function") {
+    value = value(prev, traversed);
+    if (toRaw(value) === prev) return;
+  }
+  if (part === undefined && value == undefined) return;
+
+  value = toRaw(value);
+  // Path of `prev`, only built while patches are recorded
+  const at = Recorder && [...traversed].reverse();
+  if (
+    part === undefined ||
+    (isWrappable(prev) && isWrappable(value) && !Array.isArray(value))
+  ) {
+    mergeStoreNode(prev, value, at);
+  } else {
+    setProperty(current, part, value, at && at.slice(0, -1));
+  }
+}
+
+/**
+ * @param {any[]} current Raw root array
+ * @param {any} next Array (replaces items in place) or updater
+ */
+function updateArray(current, next) {
+  if (typeof next === "function") next = next(current, []);
+  next = toRaw(next);
+  const path = Recorder && [];
+
+  if (!Array.isArray(next)) {
+    mergeStoreNode(current, next, path);
+    return;
+  }
+  if (current === next) return;
+
+  for (let i = 0; i < next.length; i++) {
+    setProperty(current, i, next[i], path);
+  }
+  setProperty(current, "length", next.length, path);
+}
+
+/**
+ * @template {object} T
+ * @param {T} initial Plain object or array (used as the raw state, not copied)
+ * @returns {readonly [T, SetStoreFunction]}
+ *
+ * @description Creates a deep reactive store: a read-only proxy whose
+ * properties are tracked one by one, lazily, on first read.
+ *
+ * **Lifecycle:**
+ * 1. READ: `store.a.b` inside a computation creates (once) and reads a
+ *    per-property signal for `a` on the root and `b` on the nested object.
+ *    Nested objects are proxied on access.
+ * 2. WRITE: `setStore(...path, value)` walks the path and writes each leaf
+ *    through setProperty() → only readers of the changed properties re-run.
+ *    All writes of one call are batched.
+ * 3. DIRECT MUTATION: ignored with a warning (the proxy is read-only)
+ *
+ * **Example:**
+ * ```js
+ * const [state, setState] = createStore({
+ *   user: { name: "Ada" },
+ *   todos: [{ title: "a", done: false }, { title: "b", done: true }],
+ * });
+ *
+ * createEffect(() => console.log(state.user.name)); // only tracks user.name
+ *
+ * setState("user", "name", "Grace");                       // key path
+ * setState("todos", 0, "done", true);                      // index
+ * setState("todos", (todo) => !todo.done, "done", true);   // predicate
+ * setState("todos", { from: 0, to: 1 }, "title", (t) => t.toUpperCase());
+ * setState("todos", [0, 1], "done", false);                // several keys
+ * setState("user", { age: 36 });                           // shallow merge
+ * ```
+ */
+function createStore(initial) {
+  const raw = toRaw(initial);
+  if (!isWrappable(raw)) {
+    throw new TypeError("createStore expects a plain object or an array");
+  }
+
+  const store = wrap(raw);
+
+  /** @type {SetStoreFunction} */
+  const setStore = (...args) => {
+    recordPatches(raw, () =>
+      batch(() => {
+        if (Array.isArray(raw) && args.length === 1) {
+          updateArray(raw, args[0]);
+        } else {
+          updatePath(raw, args);
+        }
+      })
+    );
+  };
+
+  return /** @type {const} */ ([store, setStore]);
+}
+
+/**
+ * @template {object} T
+ * @param {T} raw
+ * @param {PropertyKey[] | null} path Path of `raw` (see setProperty)
+ * @param {Map<object, Map<string, any>>} drafts Drafts of this produce() call
+ * @returns {T}
+ * @description Mutable, untracked view of a raw object: every assignment
+ * goes through setProperty(). One draft per object and path, so identity
+ * checks (`indexOf`, `===`) work inside the producer.
+ */
+function draft(raw, path, drafts) {
+  let byPath = drafts.get(raw);
+  if (!byPath) drafts.set(raw, (byPath = new Map()));
+
+  const pathKey = path ? toPointer(path) : "";
+  let proxy = byPath.get(pathKey);
+  if (!proxy) {
+    proxy = new Proxy(raw, {
+      get(target, property) {
+        if (property === $RAW) return target;
+        const value = /** @type {any} */ (target)[property];
+        return isWrappable(value)
+          ? draft(value, join(path, property), drafts)
+          : value;
+      },
+
+      set(target, property, value) {
+        setProperty(target, property, value, path);
+        return true;
+      },
+
+      deleteProperty(target, property) {
+        setProperty(target, property, undefined, path);
+        return true;
+      },
+    });
+    byPath.set(pathKey, proxy);
+  }
+  return proxy;
+}
+
+/**
+ * @template T
+ * @param {(state: T) => void} fn
+ * @returns {(state: T, traversed?: PropertyKey[]) => T}
+ *
+ * @description Setter modifier: `fn` mutates a draft of the state and each
+ * mutation is applied as a fine-grained write (same batch as setStore).
+ *
+ * **Example:**
+ * ```js
+ * setState("todos", produce((todos) => {
+ *   todos.push({ title: "c", done: false }); // notifies index 2 and length
+ *   todos[0].done = true;                    // notifies todos[0].done
+ * }));
+ * ```
+ */
+function produce(fn) {
+  return (state, traversed = []) => {
+    if (isWrappable(state)) {
+      const path = Recorder && [...traversed].reverse();
+      fn(draft(toRaw(state), path, new Map()));
+    }
+    return state;
+  };
+}
+
+/** Key of the virtual parent reconcile() diffs the store root under */
+const $ROOT = Symbol("store-root");
+
+/**
+ * @param {any} target Incoming value
+ * @param {any} parent Raw object holding the current value
+ * @param {PropertyKey} property
+ * @param {boolean} merge
+ * @param {string | null} key
+ * @param {PropertyKey[] | null} path Path of `parent[property]` (see setProperty)
+ *
+ * @description Recursively diffs `target` against `parent[property]` and
+ * writes only what differs:
+ * - Different types / keys → replace the property
+ * - Objects → diff each key, delete keys missing from `target`
+ * - Arrays → match items by `key` (or identity), move matched items into
+ *   place and diff them, replace the rest, truncate the length
+ */
+function applyState(target, parent, property, merge, key, path) {
+  const previous = parent[property];
+  if (target === previous) return;
+
+  const isArray = Array.isArray(target);
+  if (
+    property !== $ROOT &&
+    (!isWrappable(target) ||
+      !isWrappable(previous) ||
+      isArray !== Array.isArray(previous) ||
+      (key && target[key] !== previous[key]))
+  ) {
+    setProperty(parent, property, target, path && path.slice(0, -1));
+    return;
+  }
+
+  if (isArray) {
+    /**
+     * @param {any} item
+     * @returns {any} What array items are matched by
+     */
+    const keyOf = (item) => (key && isWrappable(item) ? item[key] : item);
+    /**
+     * @param {any} a
+     * @param {any} b
+     */
+    const same = (a, b) => a === b || (!!key && keyOf(a) === keyOf(b));
+
+    if (
+      target.length &&
+      previous.length &&
+      (!merge || (key && target[0] && target[0][key] != null))
+    ) {
+      // Common prefix: diff in place
+      let start = 0;
+      let end = Math.min(previous.length, target.length);
+      for (; start < end && same(previous[start], target[start]); start++) {
+        const at = join(path, start);
+        applyState(target[start], previous, start, merge, key, at);
+      }
+
+      // Common suffix: remember the current items
+      /** @type {any[]} */
+      const temp = new Array(target.length);
+      let newEnd = target.length - 1;
+      for (
+        end = previous.length - 1;
+        end >= start && newEnd >= start && same(previous[end], target[newEnd]);
+        end--, newEnd--
+      ) {
+        temp[newEnd] = previous[end];
+      }
+
+      // Pure insertion / removal in the middle
+      if (start > newEnd || start > end) {
+        let j = start;
+        for (; j <= newEnd; j++) setProperty(previous, j, target[j], path);
+        for (; j < target.length; j++) {
+          setProperty(previous, j, temp[j], path);
+          applyState(target[j], previous, j, merge, key, join(path, j));
+        }
+        if (previous.length > target.length) {
+          setProperty(previous, "length", target.length, path);
+        }
+        return;
+      }
+
+      // Map each incoming key to its positions (a chain for duplicates)
+      /** @type {Map<any, number>} */
+      const newIndices = new Map();
+      /** @type {number[]} */
+      const newIndicesNext = new Array(newEnd + 1);
+      for (let j = newEnd; j >= start; j--) {
+        const keyValue = keyOf(target[j]);
+        const next = newIndices.get(keyValue);
+        newIndicesNext[j] = next === undefined ? -1 : next;
+        newIndices.set(keyValue, j);
+      }
+
+      // Find where the current items go
+      for (let i = start; i <= end; i++) {
+        const item = previous[i];
+        const keyValue = keyOf(item);
+        const j = newIndices.get(keyValue);
+        if (j !== undefined && j !== -1) {
+          temp[j] = item;
+          newIndices.set(keyValue, /** @type {number} */ (newIndicesNext[j]));
+        }
+      }
+
+      // Move matched items and diff them, insert the others as is
+      for (let j = start; j < target.length; j++) {
+        if (j in temp) {
+          setProperty(previous, j, temp[j], path);
+          applyState(target[j], previous, j, merge, key, join(path, j));
+        } else {
+          setProperty(previous, j, target[j], path);
+        }
+      }
+    } else {
+      for (let i = 0; i < target.length; i++) {
+        applyState(target[i], previous, i, merge, key, join(path, i));
+      }
+    }
+
+    if (previous.length > target.length) {
+      setProperty(previous, "length", target.length, path);
+    }
+    return;
+  }
+
+  const targetKeys = Object.keys(target);
+  for (let i = 0; i < targetKeys.length; i++) {
+    const k = /** @type {string} */ (targetKeys[i]);
+    applyState(target[k], previous, k, merge, key, join(path, k));
+  }
+  const previousKeys = Object.keys(previous);
+  for (let i = 0; i < previousKeys.length; i++) {
+    const k = /** @type {string} */ (previousKeys[i]);
+    if (target[k] === undefined) setProperty(previous, k, undefined, path);
+  }
+}
+
+/**
+ * @template T
+ * @param {T} value New snapshot (e.g. a server payload)
+ * @param {{ key?: string | null; merge?: boolean }} [options]
+ *   - key: property identifying array items (default "id", null = identity)
+ *   - merge: diff unkeyed arrays by position instead of replacing items
+ * @returns {(state: any, traversed?: PropertyKey[]) => T}
+ *
+ * @description Setter modifier that diffs `value` against the current state
+ * and only writes (→ notifies) the paths that changed. Objects matched by
+ * `key` keep their identity, so mapArray() keeps their mapped results.
+ *
+ * **Example:**
+ * ```js
+ * const [state, setState] = createStore({ todos: [] });
+ *
+ * poll("/api/todos", (payload) => {
+ *   setState("todos", reconcile(payload)); // only changed todos re-render
+ * });
+ * ```
+ */
+function reconcile(value, options = {}) {
+  const { merge = false, key = "id" } = options;
+  const next = unwrap(value);
+
+  return (state, traversed = []) => {
+    if (!isWrappable(state) || !isWrappable(next)) return next;
+    const path = Recorder && [...traversed].reverse();
+    applyState(next, { [$ROOT]: toRaw(state) }, $ROOT, merge, key, path);
+    return state;
+  };
+}
+
+/**
+ * @template T
+ * @param {T} value Store (or any part of one)
+ * @returns {T}
+ *
+ * @description Returns a plain deep copy of the current store value: no
+ * proxies, no tracking, and it does not change with later writes.
+ * Non-plain objects (dates, class instances...) are shared, not copied.
+ *
+ * **Example:**
+ * ```js
+ * localStorage.setItem("state", JSON.stringify(unwrap(state)));
+ * ```
+ */
+function unwrap(value) {
+  return copyRaw(toRaw(value), new Map());
+}
+
+/**
+ * @param {any} value
+ * @param {Map<object, any>} seen Copies made so far (keeps shared references and cycles)
+ * @returns {any}
+ */
+function copyRaw(value, seen) {
+  value = toRaw(value);
+  if (!isWrappable(value)) return value;
+
+  let copy = seen.get(value);
+  if (copy) return copy;
+
+  if (Array.isArray(value)) {
+    copy = new Array(value.length);
+    seen.set(value, copy);
+    for (let i = 0; i < value.length; i++) copy[i] = copyRaw(value[i], seen);
+    return copy;
+  }
+
+  copy = Object.create(Object.getPrototypeOf(value));
+  seen.set(value, copy);
+  const keys = Object.keys(value);
+  for (let i = 0; i < keys.length; i++) {
+    const k = /** @type {string} */ (keys[i]);
+    copy[k] = copyRaw(value[k], seen);
+  }
+  return copy;
+}
+
+/**
+ * @param {PropertyKey[]} path
+ * @returns {string} JSON Pointer
+ */
+function toPointer(path) {
+  let pointer = "";
+  for (let i = 0; i < path.length; i++) {
+    pointer += `/${String(path[i]).replace(/~/g, "~0").replace(/\//g, "~1")}`;
+  }
+  return pointer;
+}
+
+/**
+ * @param {string} pointer JSON Pointer
+ * @returns {string[]}
+ */
+function parsePointer(pointer) {
+  if (pointer === "") return [];
+  if (pointer[0] !== "/") {
+    throw new Error(`Invalid JSON Pointer "${pointer}"`);
+  }
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((key) => key.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * @param {PatchRecorder} recorder
+ * @param {any} state Raw object about to be written
+ * @param {string | symbol} property
+ * @param {any} value Raw value (`undefined` deletes)
+ * @param {PropertyKey[]} path Path of `state`
+ *
+ * @description Turns one setProperty() write into patch + inverse operations.
+ * Arrays: `length` writes become removes / adds of the affected indices,
+ * deleted indices (holes) become `null` like in JSON.
+ */
+function recordWrite(recorder, state, property, value, path) {
+  if (typeof property === "symbol") return;
+
+  if (Array.isArray(state) && property === "length") {
+    for (let i = state.length - 1; i >= value; i--) {
+      const at = toPointer([...path, i]);
+      recorder.patches.push({ op: "remove", path: at });
+      const removed = unwrap(state[i]) ?? null;
+      recorder.inverse.push({ op: "add", path: at, value: removed });
+    }
+    for (let i = state.length; i < value; i++) {
+      const at = toPointer([...path, i]);
+      recorder.patches.push({ op: "add", path: at, value: null });
+      recorder.inverse.push({ op: "remove", path: at });
+    }
+    return;
+  }
+
+  const pointer = toPointer([...path, property]);
+  const prev = unwrap(state[property]) ?? null;
+
+  if (value === undefined && Array.isArray(state)) {
+    recorder.patches.push({ op: "replace", path: pointer, value: null });
+    recorder.inverse.push({ op: "replace", path: pointer, value: prev });
+  } else if (value === undefined) {
+    recorder.patches.push({ op: "remove", path: pointer });
+    recorder.inverse.push({ op: "add", path: pointer, value: prev });
+  } else if (!(property in state)) {
+    recorder.patches.push({ op: "add", path: pointer, value: unwrap(value) });
+    recorder.inverse.push({ op: "remove", path: pointer });
+  } else {
+    recorder.patches.push({ op: "replace", path: pointer, value: unwrap(value) });
+    recorder.inverse.push({ op: "replace", path: pointer, value: prev });
+  }
+}
+
+/**
+ * @param {object} root Raw store root
+ * @param {() => void} fn Writes to record
+ *
+ * @description Records the patches of `fn` (only if the store has listeners)
+ * and emits them as one array once `fn` is done.
+ */
+function recordPatches(root, fn) {
+  const listeners = PatchListeners.get(root);
+  const prevRecorder = Recorder;
+  /** @type {PatchRecorder | null} */
+  const recorder = listeners?.size ? { patches: [], inverse: [] } : null;
+
+  Recorder = recorder;
+  try {
+    fn();
+  } finally {
+    Recorder = prevRecorder;
+  }
+
+  if (!listeners || !recorder || !recorder.patches.length) return;
+
+  const inverse = recorder.inverse.reverse();
+  for (const listener of [...listeners]) {
+    untrack(() => listener(recorder.patches, inverse));
+  }
+}
+
+/**
+ * @param {any} store Store proxy (or its raw root)
+ * @param {PatchListener} listener
+ * @returns {() => void} Unsubscribe
+ *
+ * @description Subscribes to the JSON Patch stream of a store: every
+ * setStore() / applyPatches() call that changes something emits its
+ * operations (RFC 6902) and the inverse operations for undo.
+ *
+ * Called under an owner, the subscription ends when the owner is disposed.
+ *
+ * **Example:**
+ * ```js
+ * const history = [];
+ *
+ * createRoot(() => {
+ *   onPatches(state, (patches, inverse) => {
+ *     socket.send(JSON.stringify(patches));
+ *     history.push(inverse);
+ *   });
+ * });
+ *
+ * const undo = () => applyPatches(state, history.pop());
+ * ```
+ */
+function onPatches(store, listener) {
+  const root = toRaw(store);
+  let listeners = PatchListeners.get(root);
+  if (!listeners) PatchListeners.set(root, (listeners = new Set()));
+
+  listeners.add(listener);
+
+  const unsubscribe = () => {
+    listeners.delete(listener);
+  };
+  if (getOwner()) onCleanup(unsubscribe);
+  return unsubscribe;
+}
+
+/**
+ * @param {any} root Raw store root
+ * @param {string} pointer
+ * @returns {{ parent: any; key: string }} Raw parent object and the
+ *   (array index normalized) key of `pointer`
+ */
+function resolvePointer(root, pointer) {
+  const keys = parsePointer(pointer);
+  if (!keys.length) {
+    throw new Error(`JSON Patch cannot target the store root`);
+  }
+
+  let parent = root;
+  for (let i = 0; i < keys.length - 1; i++) {
+    parent = parent[/** @type {string} */ (keys[i])];
+    if (!isWrappable(parent)) {
+      throw new Error(`Invalid JSON Patch path "${pointer}"`);
+    }
+  }
+
+  let key = /** @type {string} */ (keys[keys.length - 1]);
+  if (Array.isArray(parent)) {
+    if (key === "-") key = String(parent.length);
+    if (!/^(0|[1-9]\d*)$/.test(key) || Number(key) > parent.length) {
+      throw new Error(`Invalid JSON Patch array index "${pointer}"`);
+    }
+  }
+  return { parent, key };
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function jsonEquals(a, b) {
+  if (a === b) return true;
+  if (!isWrappable(a) || !isWrappable(b)) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => Object.hasOwn(b, key) && jsonEquals(a[key], b[key]));
+}
+
+/**
+ * @param {any} root Raw store root
+ * @param {JSONPatchOperation} patch
+ * @param {JSONPatchOperation[]} inverse Receives the undo operations
+ *   (in application order)
+ *
+ * @description Applies one operation through setProperty() (arrays insert
+ * and remove by shifting items, so only moved indices notify).
+ */
+function applyPatch(root, patch, inverse) {
+  /** @param {string} pointer */
+  const get = (pointer) => {
+    const { parent, key } = resolvePointer(root, pointer);
+    if (!(key in parent)) {
+      throw new Error(`JSON Patch path "${pointer}" does not exist`);
+    }
+    return parent[key];
+  };
+
+  /**
+   * @param {string} pointer
+   * @param {any} value
+   */
+  const add = (pointer, value) => {
+    const { parent, key } = resolvePointer(root, pointer);
+    if (Array.isArray(parent)) {
+      for (let i = parent.length; i > Number(key); i--) {
+        setProperty(parent, i, parent[i - 1]);
+      }
+      setProperty(parent, key, value);
+      // "-" resolved to the actual index
+      const at = [...parsePointer(pointer).slice(0, -1), key];
+      inverse.push({ op: "remove", path: toPointer(at) });
+    } else {
+      inverse.push(
+        key in parent
+          ? { op: "replace", path: pointer, value: unwrap(parent[key]) }
+          : { op: "remove", path: pointer }
+      );
+      setProperty(parent, key, value);
+    }
+  };
+
+  /** @param {string} pointer */
+  const remove = (pointer) => {
+    const value = get(pointer);
+    const { parent, key } = resolvePointer(root, pointer);
+    if (Array.isArray(parent)) {
+      for (let i = Number(key); i < parent.length - 1; i++) {
+        setProperty(parent, i, parent[i + 1]);
+      }
+      setProperty(parent, "length", parent.length - 1);
+    } else {
+      setProperty(parent, key, undefined);
+    }
+    inverse.push({ op: "add", path: pointer, value: unwrap(value) });
+    return value;
+  };
+
+  switch (patch.op) {
+    case "add":
+      add(patch.path, unwrap(patch.value));
+      break;
+    case "remove":
+      remove(patch.path);
+      break;
+    case "replace": {
+      const prev = get(patch.path);
+      const { parent, key } = resolvePointer(root, patch.path);
+      setProperty(parent, key, unwrap(patch.value));
+      inverse.push({ op: "replace", path: patch.path, value: prev });
+      break;
+    }
+    case "move": {
+      const from = /** @type {string} */ (patch.from);
+      if (patch.path.startsWith(`${from}/`)) {
+        throw new Error(`JSON Patch cannot move "${from}" into itself`);
+      }
+      add(patch.path, remove(from));
+      break;
+    }
+    case "copy":
+      add(patch.path, unwrap(get(/** @type {string} */ (patch.from))));
+      break;
+    case "test":
+      if (!jsonEquals(unwrap(get(patch.path)), patch.value)) {
+        throw new Error(`JSON Patch test failed at "${patch.path}"`);
+      }
+      break;
+    default:
+      throw new Error(`Unknown JSON Patch operation "${patch.op}"`);
+  }
+}
+
+/**
+ * @param {any} store Store proxy
+ * @param {readonly JSONPatchOperation[]} patches RFC 6902 operations
+ *
+ * @description Applies a patch array (e.g. from a replica, or inverse
+ * patches for undo) as one batched update: dependents re-run once.
+ *
+ * Operations are applied in order and atomically: if one fails (invalid
+ * path, failed `test`), the ones before it are rolled back and the error
+ * is rethrown, so the store is unchanged and listeners get nothing.
+ * Otherwise listeners (onPatches) receive the operations and their inverse.
+ *
+ * **Example:**
+ * ```js
+ * applyPatches(state, [
+ *   { op: "replace", path: "/user/name", value: "Grace" },
+ *   { op: "add", path: "/todos/-", value: { title: "c" } },
+ * ]);
+ * ```
+ */
+function applyPatches(store, patches) {
+  const root = toRaw(store);
+
+  recordPatches(root, () =>
+    batch(() => {
+      /** @type {JSONPatchOperation[]} */
+      const inverse = [];
+      try {
+        for (const patch of patches) applyPatch(root, patch, inverse);
+      } catch (err) {
+        // RFC 6902: the document must not change if any operation fails
+        for (let i = inverse.length - 1; i >= 0; i--) {
+          applyPatch(root, /** @type {JSONPatchOperation} */ (inverse[i]), []);
+        }
+        throw err;
+      }
+
+      // The operations are recorded as given (their low-level writes are not)
+      if (Recorder) {
+        Recorder.inverse.push(...inverse);
+        for (const patch of patches) Recorder.patches.push(unwrap(patch));
+      }
+    })
+  );
+}
+
+export {
+  createStore,
+  produce,
+  reconcile,
+  unwrap,
+  onPatches,
+  applyPatches,
+  $RAW,
+};
@@ -0,0 +1,175 @@
+// Test: Context API (createContext / useContext / Provider)
+import {
+  createSignal,
+  createEffect,
+  createMemo,
+  createRoot,
+  createContext,
+  useContext,
+  getOwner,
+  runWithOwner,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+(async () => {
+  console.log("=== Test: Context API ===\n");
+
+  await test("useContext returns the default value without a provider", () => {
+    const Ctx = createContext("default");
+    assertEqual(useContext(Ctx), "default");
+    createRoot(() => {
+      assertEqual(useContext(Ctx), "default");
+    });
+  });
+
+  await test("Provider scopes a value to its subtree", () => {
+    const Ctx = createContext("default");
+    createRoot(() => {
+      const seen = Ctx.Provider({
+        value: "provided",
+        children: () => useContext(Ctx),
+      });
+      assertEqual(seen, "provided");
+      assertEqual(useContext(Ctx), "default", "Value must not leak upward");
+    });
+  });
+
+  await test("Nested providers shadow outer ones", () => {
+    const Ctx = createContext(0);
+    /** @type {number[]} */
+    const seen = [];
+    createRoot(() => {
+      Ctx.Provider({
+        value: 1,
+        children: () => {
+          seen.push(useContext(Ctx));
+          Ctx.Provider({
+            value: 2,
+            children: () => seen.push(useContext(Ctx)),
+          });
+          seen.push(useContext(Ctx));
+        },
+      });
+    });
+    assertEqual(seen.join(","), "1,2,1");
+  });
+
+  await test("Effects and memos inside a provider see the value", async () => {
+    const Ctx = createContext("default");
+    const [count, setCount] = createSignal(0);
+    /** @type {string[]} */
+    const seen = [];
+    /** @type {() => string} */
+    let label = () => "";
+
+    createRoot(() => {
+      Ctx.Provider({
+        value: "provided",
+        children: () => {
+          label = createMemo(() => `${useContext(Ctx)}:${count()}`);
+          createEffect(() => {
+            count();
+            seen.push(useContext(Ctx));
+          });
+        },
+      });
+    });
+
+    await nextTick();
+    setCount(1);
+    await nextTick();
+
+    assertEqual(seen.join(","), "provided,provided");
+    assertEqual(label(), "provided:1");
+  });
+
+  await test("runWithOwner sees the value of the captured owner", async () => {
+    const Ctx = createContext("default");
+    /** @type {any} */
+    let captured = null;
+    /** @type {string[]} */
+    const seen = [];
+
+    createRoot(() => {
+      Ctx.Provider({
+        value: "outer",
+        children: () =>
+          Ctx.Provider({
+            value: "inner",
+            children: () => {
+              captured = getOwner();
+            },
+          }),
+      });
+    });
+
+    runWithOwner(captured, () => {
+      seen.push(useContext(Ctx));
+      createEffect(() => seen.push(useContext(Ctx)));
+    });
+
+    await nextTick();
+    assertEqual(seen.join(","), "inner,inner");
+  });
+
+  await test("Provider value is disposed with its root", async () => {
+    const Ctx = createContext("default");
+    const [count, setCount] = createSignal(0);
+    let runs = 0;
+
+    const dispose = createRoot((dispose) => {
+      Ctx.Provider({
+        value: "provided",
+        children: () => {
+          createEffect(() => {
+            count();
+            runs++;
+          });
+        },
+      });
+      return dispose;
+    });
+
+    await nextTick();
+    dispose();
+    setCount(1);
+    await nextTick();
+    assertEqual(runs, 1, "Effect inside provider should be disposed");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
@@ -0,0 +1,183 @@
+// Test: createDeferred (idle-time copies of a source)
+import {
+  createSignal,
+  createMemo,
+  createEffect,
+  createRoot,
+  createDeferred,
+  setTimeSlicing,
+  settled,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+const wait = (/** @type {number} */ ms) =>
+  new Promise((resolve) => setTimeout(resolve, ms));
+
+(async () => {
+  console.log("=== Test: createDeferred ===\n");
+
+  await test("Starts with the source value and follows it once idle", async () => {
+    const [count, setCount] = createSignal(1);
+    const deferred = createRoot(() => createDeferred(count));
+    assertEqual(deferred(), 1);
+
+    setCount(2);
+    await settled();
+    assertEqual(deferred(), 1, "Must not follow within the same flush");
+    await nextTick();
+    assertEqual(deferred(), 2);
+  });
+
+  await test("Urgent effects run before the deferred value updates", async () => {
+    const [text, setText] = createSignal("");
+    /** @type {string[]} */
+    const log = [];
+
+    createRoot(() => {
+      const deferred = createDeferred(text);
+      createEffect(() => log.push(`urgent:${text()}`));
+      createEffect(() => log.push(`deferred:${deferred()}`));
+    });
+    await nextTick();
+    log.length = 0;
+
+    setText("a");
+    await Promise.resolve();
+    setText("ab");
+    await nextTick();
+    await nextTick();
+
+    assertEqual(log.join(","), "urgent:a,urgent:ab,deferred:ab");
+  });
+
+  await test("Waits while the scheduler is busy, timeoutMs bounds the lag", async () => {
+    setTimeSlicing(1);
+    const [source, setSource] = createSignal(0);
+    const [rows, setRows] = createSignal(0);
+    /** @type {(() => number)[]} */
+    const deferreds = [];
+
+    createRoot(() => {
+      deferreds.push(createDeferred(source));
+      deferreds.push(createDeferred(source, { timeoutMs: 5 }));
+      // Enough slow effects to keep a sliced flush going for a while
+      for (let i = 0; i < 60; i++) {
+        createEffect(() => {
+          if (!rows()) return;
+          const end = performance.now() + 1;
+          while (performance.now() < end);
+        });
+      }
+    });
+    await settled();
+
+    setSource(1);
+    setRows(1);
+    await wait(20);
+    const [idle, bounded] = /** @type {(() => number)[]} */ (deferreds);
+    assertEqual(bounded(), 1, "timeoutMs forces the update");
+    assertEqual(idle(), 0, "Still busy: not idle yet");
+
+    await settled();
+    await nextTick();
+    assertEqual(idle(), 1);
+    setTimeSlicing(null);
+  });
+
+  await test("equals skips equal updates", async () => {
+    const [value, setValue] = createSignal({ id: 1, label: "a" });
+    let runs = 0;
+
+    createRoot(() => {
+      const deferred = createDeferred(value, {
+        equals: (a, b) => a.id === b.id,
+      });
+      createEffect(() => {
+        deferred();
+        runs++;
+      });
+    });
+    await nextTick();
+
+    setValue({ id: 1, label: "b" });
+    await nextTick();
+    await nextTick();
+    assertEqual(runs, 1);
+
+    setValue({ id: 2, label: "c" });
+    await nextTick();
+    await nextTick();
+    assertEqual(runs, 2);
+  });
+
+  await test("Works on memos", async () => {
+    const [count, setCount] = createSignal(2);
+    const deferred = createRoot(() => {
+      const doubled = createMemo(() => count() * 2);
+      return createDeferred(doubled);
+    });
+    assertEqual(deferred(), 4);
+    setCount(5);
+    await nextTick();
+    await nextTick();
+    assertEqual(deferred(), 10);
+  });
+
+  await test("Disposing the owner cancels the pending callback", async () => {
+    const [count, setCount] = createSignal(0);
+    let runs = 0;
+
+    const { deferred, dispose } = createRoot((dispose) => {
+      const deferred = createDeferred(count, { timeoutMs: 5 });
+      createEffect(() => {
+        deferred();
+        runs++;
+      });
+      return { deferred, dispose };
+    });
+    await nextTick();
+
+    setCount(1);
+    await Promise.resolve();
+    dispose();
+    await wait(20);
+
+    assertEqual(deferred(), 0, "Idle callback and timeout must be cancelled");
+    assertEqual(runs, 1);
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
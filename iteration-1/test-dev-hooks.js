@@ -0,0 +1,277 @@
+// Test: Developer hooks and the graph inspector (DevHooks / getGraph)
+import {
+  createSignal,
+  createEffect,
+  createMemo,
+  createRoot,
+  getOwner,
+  getGraph,
+  setDevMode,
+  mapArray,
+  DevHooks,
+  settled,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+/**
+ * @param {import("./siganl-0.js").Graph} graph
+ * @param {string} name
+ */
+function byName(graph, name) {
+  const node = graph.nodes.find((n) => n.name === name);
+  if (!node) throw new Error(`No node named ${name}`);
+  return node;
+}
+
+(async () => {
+  console.log("=== Test: DevHooks / getGraph ===\n");
+
+  await test("DevHooks report creations, flushes and disposals", async () => {
+    /** @type {string[]} */
+    const events = [];
+    DevHooks.afterCreateSignal = (signal) => events.push(`signal:${signal.name}`);
+    DevHooks.afterCreateOwner = (owner) =>
+      events.push(`owner:${"fn" in owner ? owner.name : "root"}`);
+    DevHooks.afterUpdate = (stats) => events.push(`update:${stats.effects}`);
+    DevHooks.afterDispose = (owner) =>
+      events.push(`dispose:${"fn" in owner ? owner.name : "root"}`);
+
+    try {
+      const dispose = createRoot((dispose) => {
+        const [count] = createSignal(0, { name: "count" });
+        const doubled = createMemo(() => count() * 2, undefined, {
+          name: "doubled",
+        });
+        createEffect(() => doubled(), { name: "log" });
+        return dispose;
+      });
+      await settled();
+      dispose();
+    } finally {
+      DevHooks.afterCreateSignal = null;
+      DevHooks.afterCreateOwner = null;
+      DevHooks.afterUpdate = null;
+      DevHooks.afterDispose = null;
+    }
+
+    assertEqual(
+      events.join(","),
+      "owner:root,signal:count,owner:doubled,owner:log,update:1," +
+        "dispose:log,dispose:doubled,dispose:root"
+    );
+  });
+
+  await test("getGraph lists owners, computations and signals with edges", async () => {
+    setDevMode(true);
+    try {
+      const graph = createRoot(() => {
+        const [count] = createSignal(1, { name: "count" });
+        createSignal("unused", { name: "unused" });
+        const doubled = createMemo(() => count() * 2, undefined, {
+          name: "doubled",
+        });
+        createEffect(() => doubled(), { name: "log" });
+        const owner = /** @type {any} */ (getOwner());
+        return () => getGraph(owner);
+      });
+      await settled();
+      const snapshot = graph();
+
+      const root = /** @type {any} */ (
+        snapshot.nodes.find((n) => n.id === snapshot.root)
+      );
+      const count = byName(snapshot, "count");
+      const unused = byName(snapshot, "unused");
+      const doubled = byName(snapshot, "doubled");
+      const log = byName(snapshot, "log");
+
+      assertEqual(root.kind, "owner");
+      assertEqual(root.owned.length, 4);
+      assertEqual(count.kind, "signal");
+      assertEqual(unused.owner, root.id, "Dev mode registers signals");
+      assertEqual(doubled.kind, "memo");
+      assertEqual(doubled.value, 2);
+      assertEqual(doubled.state, "FRESH");
+      assertEqual(log.kind, "effect");
+      assertEqual(doubled.sources.join(), String(count.id));
+      assertEqual(count.observers.join(), String(doubled.id));
+      assertEqual(log.sources.join(), String(doubled.id));
+      assertEqual(doubled.observers.join(), String(log.id));
+      assertEqual(snapshot.nodes.some((n) => n.external), false);
+    } finally {
+      setDevMode(false);
+    }
+  });
+
+  await test("Run counts, read / write counts and states", async () => {
+    setDevMode(true);
+    try {
+      const { setCount, snapshot } = createRoot(() => {
+        const [count, setCount] = createSignal(0, { name: "count" });
+        createEffect(() => count(), { name: "effect" });
+        const owner = /** @type {any} */ (getOwner());
+        return { setCount, snapshot: () => getGraph(owner) };
+      });
+      await settled();
+      setCount(1);
+      setCount(2);
+      assertEqual(byName(snapshot(), "effect").state, "STALE");
+      await settled();
+
+      const graph = snapshot();
+      assertEqual(byName(graph, "effect").runs, 2);
+      assertEqual(byName(graph, "effect").state, "FRESH");
+      assertEqual(byName(graph, "count").writes, 2);
+      assertEqual(byName(graph, "count").reads, 2);
+    } finally {
+      setDevMode(false);
+    }
+  });
+
+  await test("Nodes outside the root are included as external", async () => {
+    const [global] = createSignal(0, { name: "global" });
+    const snapshot = createRoot(() => {
+      createEffect(() => global(), { name: "reader" });
+      const owner = /** @type {any} */ (getOwner());
+      return () => getGraph(owner);
+    });
+    await settled();
+
+    const graph = snapshot();
+    const external = byName(graph, "global");
+    assertEqual(external.external, true);
+    assertEqual(external.owner, null);
+    assertEqual(external.observers.join(), String(byName(graph, "reader").id));
+    assertEqual(graph.nodes[graph.nodes.length - 1], external, "External last");
+  });
+
+  await test("Ids are stable across snapshots, nested owners are walked", async () => {
+    const snapshot = createRoot(() => {
+      createEffect(
+        () => {
+          createMemo(() => 1, undefined, { name: "inner" });
+        },
+        { name: "outer" }
+      );
+      const owner = /** @type {any} */ (getOwner());
+      return () => getGraph(owner);
+    });
+    await settled();
+
+    const first = snapshot();
+    const second = snapshot();
+    assertEqual(byName(first, "outer").id, byName(second, "outer").id);
+    assertEqual(byName(first, "inner").owner, byName(first, "outer").id);
+  });
+
+  await test("Signals created inside computations are owned by them", async () => {
+    setDevMode(true);
+    try {
+      const [trigger, setTrigger] = createSignal(0);
+      const snapshot = createRoot(() => {
+        createEffect(
+          () => {
+            createSignal(trigger(), { name: "local" });
+          },
+          { name: "effect" }
+        );
+        createMemo(() => createSignal(0, { name: "memoLocal" })[0](), undefined, {
+          name: "memo",
+        })();
+        const owner = /** @type {any} */ (getOwner());
+        return () => getGraph(owner);
+      });
+      await settled();
+
+      let graph = snapshot();
+      assertEqual(byName(graph, "local").owner, byName(graph, "effect").id);
+      assertEqual(byName(graph, "local").external, false);
+      assertEqual(byName(graph, "memoLocal").owner, byName(graph, "memo").id);
+
+      setTrigger(1);
+      await settled();
+      graph = snapshot();
+      const locals = graph.nodes.filter((n) => n.name === "local");
+      assertEqual(locals.length, 1, "A re-run replaces the previous run's signals");
+      assertEqual(locals[0].value, 1);
+    } finally {
+      setDevMode(false);
+    }
+  });
+
+  await test("Child roots are listed under the owner that created them", async () => {
+    setDevMode(true);
+    try {
+      const [list, setList] = createSignal(["a", "b"]);
+      const snapshot = createRoot(() => {
+        mapArray(list, (item) => createSignal(item, { name: `item:${item}` })[0])();
+        const owner = /** @type {any} */ (getOwner());
+        return () => getGraph(owner);
+      });
+      await settled();
+
+      let graph = snapshot();
+      /** @param {number | null} id */
+      const node = (id) => /** @type {any} */ (graph.nodes.find((n) => n.id === id));
+      const itemRoot = node(byName(graph, "item:a").owner);
+      const rows = node(itemRoot.owner);
+      assertEqual(itemRoot.kind, "owner");
+      assertEqual(rows.kind, "memo");
+      assertEqual(rows.owner, graph.root);
+      assertEqual(rows.owned.length, 2);
+
+      setList(["b"]);
+      await settled();
+      graph = snapshot();
+      assertEqual(graph.nodes.some((n) => n.name === "item:a"), false, "Disposed roots leave");
+      assertEqual(byName(graph, "item:b").external, false);
+    } finally {
+      setDevMode(false);
+    }
+  });
+
+  await test("getGraph without an owner throws", () => {
+    let message = "";
+    try {
+      getGraph();
+    } catch (err) {
+      message = err instanceof TypeError ? "TypeError" : "other";
+    }
+    assertEqual(message, "TypeError");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
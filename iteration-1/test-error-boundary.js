@@ -0,0 +1,307 @@
+// Test: Owner-scoped error handling (catchError / ErrorBoundary)
+import {
+  createSignal,
+  createEffect,
+  createMemo,
+  createComputed,
+  createRoot,
+  flushSync,
+  onCleanup,
+  catchError,
+  ErrorBoundary,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+(async () => {
+  console.log("=== Test: catchError / ErrorBoundary ===\n");
+
+  await test("catchError handles synchronous errors", () => {
+    /** @type {any[]} */
+    const errors = [];
+    const result = catchError(
+      () => {
+        throw new Error("sync");
+      },
+      (err) => errors.push(err.message)
+    );
+    assertEqual(result, undefined);
+    assertEqual(errors.join(","), "sync");
+  });
+
+  await test("Errors in effects reach the handler, the flush keeps going", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {string[]} */
+    const errors = [];
+    let otherRuns = 0;
+
+    createRoot(() => {
+      catchError(
+        () => {
+          createEffect(() => {
+            if (count() > 0) throw new Error(`bad ${count()}`);
+          });
+        },
+        (err) => errors.push(err.message)
+      );
+      createEffect(() => {
+        count();
+        otherRuns++;
+      });
+    });
+
+    await nextTick();
+    setCount(1);
+    await nextTick();
+
+    assertEqual(errors.join(","), "bad 1");
+    assertEqual(otherRuns, 2, "Sibling effect should still run");
+
+    setCount(2);
+    await nextTick();
+    assertEqual(errors.join(","), "bad 1,bad 2", "Scheduler must not be stuck");
+  });
+
+  await test("Errors in memos and cleanups reach the handler", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {string[]} */
+    const errors = [];
+
+    createRoot(() => {
+      catchError(
+        () => {
+          const checked = createMemo(() => {
+            if (count() === 1) throw new Error("memo");
+            return count();
+          });
+          createEffect(() => {
+            checked();
+            onCleanup(() => {
+              if (count() === 2) throw new Error("cleanup");
+            });
+          });
+        },
+        (err) => errors.push(err.message)
+      );
+    });
+
+    await nextTick();
+    setCount(1);
+    await nextTick();
+    setCount(2);
+    await nextTick();
+    setCount(3);
+    await nextTick();
+
+    assertEqual(errors.join(","), "memo,cleanup");
+  });
+
+  await test("Nearest handler wins, rethrowing bubbles to the outer one", () => {
+    /** @type {string[]} */
+    const seen = [];
+
+    catchError(
+      () => {
+        catchError(
+          () => {
+            throw new Error("inner");
+          },
+          (err) => {
+            seen.push(`inner:${err.message}`);
+            throw new Error("rethrown");
+          }
+        );
+      },
+      (err) => seen.push(`outer:${err.message}`)
+    );
+
+    assertEqual(seen.join(","), "inner:inner,outer:rethrown");
+  });
+
+  await test("createRoot reports errors to an enclosing handler", () => {
+    /** @type {string[]} */
+    const seen = [];
+    /** @type {unknown} */
+    let result = "unset";
+    catchError(
+      () => {
+        result = createRoot(() => {
+          throw new Error("root");
+        });
+      },
+      (err) => seen.push(err.message)
+    );
+    assertEqual(seen.join(","), "root");
+    assertEqual(result, undefined, "A handled error makes createRoot return undefined");
+  });
+
+  await test("createRoot rethrows errors nobody handles", () => {
+    const log = console.error;
+    console.error = () => {};
+    let message = "";
+    try {
+      createRoot(() => {
+        throw new Error("unhandled");
+      });
+    } catch (err) {
+      message = /** @type {Error} */ (err).message;
+    } finally {
+      console.error = log;
+    }
+    assertEqual(message, "unhandled");
+  });
+
+  await test("ErrorBoundary shows the fallback and disposes the subtree", async () => {
+    const [count, setCount] = createSignal(0);
+    let cleanups = 0;
+    let created = 0;
+
+    const boundary = createRoot(() =>
+      ErrorBoundary({
+        children: () => {
+          created++;
+          createEffect(() => {
+            onCleanup(() => cleanups++);
+            if (count() === 1) throw new Error("boom");
+          });
+          return "content";
+        },
+        fallback: (err) => `fallback: ${err.message}`,
+      })
+    );
+
+    await nextTick();
+    assertEqual(boundary.value(), "content");
+    assertEqual(boundary.error(), undefined);
+
+    setCount(1);
+    await nextTick();
+    assertEqual(boundary.value(), "fallback: boom");
+    assertEqual(boundary.error().message, "boom");
+    assertEqual(cleanups, 2, "Failed subtree should be disposed");
+
+    setCount(2);
+    await nextTick();
+    assertEqual(cleanups, 2, "Disposed effect must not re-run");
+
+    boundary.reset();
+    await nextTick();
+    assertEqual(boundary.value(), "content");
+    assertEqual(boundary.error(), undefined);
+    assertEqual(created, 2, "Subtree should be created again");
+  });
+
+  await test("ErrorBoundary catches errors thrown while building children", async () => {
+    let attempts = 0;
+    const boundary = createRoot(() =>
+      ErrorBoundary({
+        children: () => {
+          attempts++;
+          if (attempts === 1) throw new Error("first");
+          return "ok";
+        },
+        fallback: (err, reset) => ({ message: err.message, reset }),
+      })
+    );
+
+    const fallback = /** @type {any} */ (boundary.value());
+    assertEqual(fallback.message, "first");
+
+    fallback.reset();
+    await nextTick();
+    assertEqual(boundary.value(), "ok");
+  });
+
+  await test("An effect writing the signal it reads stops with an infinite loop error", () => {
+    const [count, setCount] = createSignal(0);
+    let message = "";
+    /** @type {() => void} */
+    let dispose = () => {};
+    try {
+      flushSync(() => {
+        dispose = createRoot((dispose) => {
+          createEffect(() => setCount(count() + 1));
+          return dispose;
+        });
+      });
+    } catch (err) {
+      message = err instanceof Error ? err.message : String(err);
+    } finally {
+      dispose();
+    }
+    assertEqual(message.startsWith("Potential infinite loop"), true, message);
+  });
+
+  await test("A createComputed writing the signal it reads stops with an infinite loop error", () => {
+    const [count, setCount] = createSignal(0);
+    let message = "";
+    const dispose = createRoot((dispose) => {
+      createComputed(() => setCount(count() + 1));
+      return dispose;
+    });
+    try {
+      flushSync();
+    } catch (err) {
+      message = err instanceof Error ? err.message : String(err);
+    } finally {
+      dispose();
+    }
+    assertEqual(message.startsWith("Potential infinite loop"), true, message);
+
+    // The scheduler is usable again after the error
+    const [other, setOther] = createSignal(0);
+    let seen = -1;
+    createRoot(() => createEffect(() => (seen = other())));
+    flushSync(() => setOther(3));
+    assertEqual(seen, 3);
+  });
+
+  await test("Bounded self-writes settle", () => {
+    const [count, setCount] = createSignal(0);
+    let runs = 0;
+    createRoot(() =>
+      createEffect(() => {
+        runs++;
+        if (count() < 5) setCount(count() + 1);
+      })
+    );
+    flushSync();
+    assertEqual(count(), 5);
+    assertEqual(runs, 6);
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
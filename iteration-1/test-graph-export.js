@@ -0,0 +1,159 @@
+// Test: Graph export (graphToJSON / graphToDOT / graphToMermaid)
+import {
+  createSignal,
+  createEffect,
+  createMemo,
+  createComputed,
+  createRoot,
+  getOwner,
+  getGraph,
+  graphToJSON,
+  graphToDOT,
+  graphToMermaid,
+  settled,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+/**
+ * @param {string} text
+ * @param {string} part
+ */
+function assertIncludes(text, part) {
+  if (!text.includes(part)) {
+    throw new Error(`Expected output to include ${JSON.stringify(part)}:\n${text}`);
+  }
+}
+
+const [external] = createSignal(10, { name: "external" });
+
+/** count → doubled → log, plus a computed and an external source */
+async function createApp() {
+  const owner = createRoot(() => {
+    const [count] = createSignal(1, { name: "count" });
+    const doubled = createMemo(() => count() * 2 + external(), undefined, {
+      name: "doubled",
+    });
+    createEffect(() => doubled(), { name: "log" });
+    createComputed(() => count());
+    return /** @type {any} */ (getOwner());
+  });
+  await settled();
+  return owner;
+}
+
+(async () => {
+  console.log("=== Test: Graph export ===\n");
+
+  await test("JSON has a stable schema: sorted nodes, typed edges", async () => {
+    const owner = await createApp();
+    const json = graphToJSON(owner);
+
+    assertEqual(json.version, 1);
+    assertEqual(json.nodes.map((n) => n.id).join(), [...json.nodes.map((n) => n.id)].sort((a, b) => a - b).join());
+    const id = (/** @type {string} */ label) =>
+      /** @type {any} */ (json.nodes.find((n) => n.label === label)).id;
+
+    const computed = /** @type {any} */ (json.nodes.find((n) => n.type === "computed"));
+    assertEqual(computed.name, null);
+    assertEqual(computed.label, `computed#${computed.id}`);
+    assertEqual(json.nodes.find((n) => n.id === id("doubled"))?.state, "FRESH");
+    assertEqual(json.nodes.find((n) => n.id === id("external"))?.external, true);
+
+    const edges = json.edges.map((e) => `${e.type}:${e.from}>${e.to}`);
+    const owns = edges.filter((e) => e.startsWith("owns"));
+    assertEqual(owns.length, 3, "Root owns the memo, effect and computed");
+    assertEqual(edges.indexOf(owns[2] ?? "") < edges.findIndex((e) => e.startsWith("depends")), true);
+    assertIncludes(edges.join(" "), `depends:${id("count")}>${id("doubled")}`);
+    assertIncludes(edges.join(" "), `depends:${id("doubled")}>${id("log")}`);
+    assertIncludes(edges.join(" "), `depends:${id("external")}>${id("doubled")}`);
+    assertIncludes(edges.join(" "), `depends:${id("count")}>${computed.id}`);
+
+    assertEqual(JSON.stringify(graphToJSON(owner)), JSON.stringify(json), "Deterministic");
+    assertEqual(JSON.stringify(JSON.parse(JSON.stringify(json))), JSON.stringify(json));
+  });
+
+  await test("A getGraph() snapshot can be exported later", async () => {
+    const owner = await createApp();
+    const snapshot = getGraph(owner);
+    assertEqual(JSON.stringify(graphToJSON(snapshot)), JSON.stringify(graphToJSON(owner)));
+  });
+
+  await test("DOT output: labelled nodes, ownership and dependency edges", async () => {
+    const owner = await createApp();
+    const json = graphToJSON(owner);
+    const dot = graphToDOT(owner);
+    const id = (/** @type {string} */ label) =>
+      /** @type {any} */ (json.nodes.find((n) => n.label === label)).id;
+
+    assertEqual(dot.startsWith("digraph ReactiveGraph {"), true);
+    assertEqual(dot.endsWith("}"), true);
+    assertIncludes(dot, `n${id("count")} [label="count\\n(signal)"`);
+    assertIncludes(dot, `n${id("doubled")} [label="doubled\\n(memo)"`);
+    assertIncludes(dot, `n${id("log")} [label="log\\n(effect)"`);
+    assertIncludes(dot, `n${json.root} -> n${id("log")} [style=dashed, arrowhead=none];`);
+    assertIncludes(dot, `n${id("count")} -> n${id("doubled")};`);
+    assertIncludes(dot, 'style="filled,dotted"');
+  });
+
+  await test("DOT escapes quotes in names", async () => {
+    const owner = createRoot(() => {
+      createSignal(0);
+      createMemo(() => 1, undefined, { name: 'say "hi"' });
+      return /** @type {any} */ (getOwner());
+    });
+    assertIncludes(graphToDOT(owner), 'label="say \\"hi\\"\\n(memo)"');
+    assertIncludes(graphToMermaid(owner), '"say #quot;hi#quot;<br/>(memo)"');
+  });
+
+  await test("Mermaid output: one shape per type, dotted ownership links", async () => {
+    const owner = await createApp();
+    const json = graphToJSON(owner);
+    const mermaid = graphToMermaid(owner);
+    const id = (/** @type {string} */ label) =>
+      /** @type {any} */ (json.nodes.find((n) => n.label === label)).id;
+
+    assertEqual(mermaid.split("\n")[0], "flowchart LR");
+    assertIncludes(mermaid, `n${id("count")}(["count<br/>(signal)"])`);
+    assertIncludes(mermaid, `n${id("doubled")}{{"doubled<br/>(memo)"}}`);
+    assertIncludes(mermaid, `n${id("log")}[["log<br/>(effect)"]]`);
+    assertIncludes(mermaid, `n${json.root} -.- n${id("doubled")}`);
+    assertIncludes(mermaid, `n${id("doubled")} --> n${id("log")}`);
+    const classLine = mermaid.split("\n").find((line) => line.startsWith("  class "));
+    const externals = classLine?.replace(/^  class (\S+) external$/, "$1").split(",");
+    assertEqual(externals?.includes(`n${id("external")}`), true);
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
@@ -0,0 +1,163 @@
+// Test: Index-keyed list mapping (indexArray)
+import {
+  createSignal,
+  createEffect,
+  createRoot,
+  onCleanup,
+  indexArray,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+(async () => {
+  console.log("=== Test: indexArray ===\n");
+
+  await test("Maps each slot once with a signal of its item", async () => {
+    const [list, setList] = createSignal(["a", "b", "c"]);
+    let mapped = 0;
+
+    const rows = createRoot(() =>
+      indexArray(list, (item, index) => {
+        mapped++;
+        return () => `${index}:${item()}`;
+      })
+    );
+
+    const first = rows();
+    assertEqual(first.map((row) => row()).join(","), "0:a,1:b,2:c");
+
+    setList(["c", "b", "a"]);
+    await nextTick();
+    const second = rows();
+    assertEqual(second.map((row) => row()).join(","), "0:c,1:b,2:a");
+    assertEqual(mapped, 3, "Slots must not be mapped again");
+    assertEqual(second[0], first[0], "Slot results are stable");
+  });
+
+  await test("A value change only notifies that slot", async () => {
+    const [list, setList] = createSignal(["a", "b", "c"]);
+    /** @type {string[]} */
+    const runs = [];
+
+    createRoot(() =>
+      indexArray(list, (item, index) => {
+        createEffect(() => runs.push(`${index}:${item()}`));
+        return index;
+      })()
+    );
+
+    await nextTick();
+    runs.length = 0;
+    setList(["a", "x", "c"]);
+    await nextTick();
+    assertEqual(runs.join(","), "1:x");
+  });
+
+  await test("Shrinking disposes trailing slots, growing creates them", async () => {
+    const [list, setList] = createSignal([1, 2, 3]);
+    const [tick, setTick] = createSignal(0);
+    /** @type {number[]} */
+    const disposed = [];
+    /** @type {number[]} */
+    const runs = [];
+
+    const rows = createRoot(() =>
+      indexArray(list, (item, index) => {
+        createEffect(() => {
+          tick();
+          runs.push(index);
+        });
+        onCleanup(() => disposed.push(index));
+        return item;
+      })
+    );
+
+    await nextTick();
+    setList([1]);
+    await nextTick();
+    assertEqual(rows().length, 1);
+    assertEqual(disposed.join(","), "1,2");
+
+    runs.length = 0;
+    setTick(1);
+    await nextTick();
+    assertEqual(runs.join(","), "0", "Disposed slot effects must not re-run");
+
+    setList([1, 5]);
+    await nextTick();
+    assertEqual(rows().map((item) => item()).join(","), "1,5");
+  });
+
+  await test("Function items and the fallback", async () => {
+    const f = () => "f";
+    const g = () => "g";
+    const [list, setList] = createSignal(/** @type {(() => string)[]} */ ([f]));
+
+    const rows = createRoot(() =>
+      indexArray(list, (item) => item, { fallback: () => "empty" })
+    );
+
+    const slot = /** @type {any} */ (rows()[0]);
+    assertEqual(slot(), f);
+    setList([g]);
+    await nextTick();
+    assertEqual(slot(), g, "Function items are stored, not called");
+
+    setList([]);
+    await nextTick();
+    assertEqual(rows().join(","), "empty");
+
+    setList([f]);
+    await nextTick();
+    assertEqual(/** @type {any} */ (rows()[0])(), f);
+  });
+
+  await test("Disposing the owner disposes every slot", () => {
+    const [list] = createSignal(["a", "b"]);
+    /** @type {number[]} */
+    const disposed = [];
+
+    const dispose = createRoot((dispose) => {
+      indexArray(list, (_, index) => onCleanup(() => disposed.push(index)))();
+      return dispose;
+    });
+
+    dispose();
+    assertEqual(disposed.sort().join(","), "0,1");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
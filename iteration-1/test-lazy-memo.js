@@ -0,0 +1,208 @@
+// Test: Lazy memos ({ lazy: true }) only compute while observed
+import { createSignal, createEffect, createMemo } from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+(async () => {
+  console.log("=== Test: Lazy memos ===\n");
+
+  await test("Not computed until first read", () => {
+    const [a] = createSignal(2);
+    let runs = 0;
+    const doubled = createMemo(
+      () => {
+        runs++;
+        return a() * 2;
+      },
+      undefined,
+      { lazy: true }
+    );
+
+    assertEqual(runs, 0, "No eager computation");
+    assertEqual(doubled(), 4);
+    assertEqual(doubled(), 4);
+    assertEqual(runs, 1, "Cached after first read");
+  });
+
+  await test("Unread lazy memos are not recomputed by writes", async () => {
+    const [a, setA] = createSignal(1);
+    let runs = 0;
+    const doubled = createMemo(
+      () => {
+        runs++;
+        return a() * 2;
+      },
+      undefined,
+      { lazy: true }
+    );
+
+    doubled();
+    setA(2);
+    setA(3);
+    await nextTick();
+    assertEqual(runs, 1, "Writes only mark it STALE");
+    assertEqual(doubled(), 6);
+    assertEqual(runs, 2, "Recomputed on demand");
+  });
+
+  await test("Observed lazy memos propagate to effects", async () => {
+    const [a, setA] = createSignal(1);
+    let runs = 0;
+    const doubled = createMemo(
+      () => {
+        runs++;
+        return a() * 2;
+      },
+      undefined,
+      { lazy: true }
+    );
+    /** @type {number[]} */
+    const seen = [];
+    createEffect(() => seen.push(doubled()));
+
+    await nextTick();
+    setA(5);
+    await nextTick();
+
+    assertEqual(seen.join(","), "2,10");
+    assertEqual(runs, 2);
+  });
+
+  await test("Drops source subscriptions when the last observer goes away", async () => {
+    const [a, setA] = createSignal(1);
+    let runs = 0;
+    const doubled = createMemo(
+      () => {
+        runs++;
+        return a() * 2;
+      },
+      undefined,
+      { lazy: true }
+    );
+    const quadrupled = createMemo(() => doubled() * 2, undefined, {
+      lazy: true,
+    });
+
+    const dispose = createEffect(() => quadrupled());
+    await nextTick();
+    assertEqual(a._state.observers.length, 1, "Subscribed while observed");
+
+    dispose();
+    assertEqual(a._state.observers.length, 0, "Released transitively");
+
+    setA(2);
+    await nextTick();
+    assertEqual(runs, 1, "No recomputation while unobserved");
+
+    assertEqual(quadrupled(), 8, "Recomputes on demand when read again");
+    assertEqual(runs, 2);
+  });
+
+  await test("Untracked reads do not keep the memo subscribed", async () => {
+    const [a, setA] = createSignal(1);
+    let runs = 0;
+    const doubled = createMemo(
+      () => {
+        runs++;
+        return a() * 2;
+      },
+      undefined,
+      { lazy: true }
+    );
+    const quadrupled = createMemo(() => doubled() * 2, undefined, {
+      lazy: true,
+    });
+
+    assertEqual(quadrupled(), 4);
+    await Promise.resolve();
+    assertEqual(a._state.observers.length, 0, "Released after the read");
+
+    setA(2);
+    setA(3);
+    await nextTick();
+    assertEqual(runs, 1, "No recomputation while unobserved");
+    assertEqual(quadrupled(), 12);
+
+    // Observed again: stays subscribed
+    createEffect(() => quadrupled());
+    await nextTick();
+    assertEqual(a._state.observers.length, 1);
+  });
+
+  await test("Observer re-runs do not recompute the memo", async () => {
+    const [a] = createSignal(1);
+    const [other, setOther] = createSignal(0);
+    let runs = 0;
+    const doubled = createMemo(
+      () => {
+        runs++;
+        return a() * 2;
+      },
+      undefined,
+      { lazy: true }
+    );
+
+    createEffect(() => {
+      other();
+      doubled();
+    });
+
+    await nextTick();
+    setOther(1);
+    await nextTick();
+    setOther(2);
+    await nextTick();
+
+    assertEqual(runs, 1, "Memo stays subscribed across observer re-runs");
+  });
+
+  await test("Lazy memo in a diamond stays glitch-free", async () => {
+    const [a, setA] = createSignal(1);
+    const left = createMemo(() => a() + 1, undefined, { lazy: true });
+    const right = createMemo(() => a() * 10, undefined, { lazy: true });
+    /** @type {string[]} */
+    const seen = [];
+    createEffect(() => seen.push(`${left()}/${right()}`));
+
+    await nextTick();
+    setA(2);
+    await nextTick();
+
+    assertEqual(seen.join(","), "2/10,3/20");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
@@ -0,0 +1,223 @@
+// Test: Leak detection (enableLeakDetection / checkLeaks)
+import v8 from "node:v8";
+import vm from "node:vm";
+import {
+  createSignal,
+  createEffect,
+  createMemo,
+  createRoot,
+  getListener,
+  settled,
+  enableLeakDetection,
+  disableLeakDetection,
+  checkLeaks,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+v8.setFlagsFromString("--expose-gc");
+/** @type {() => void} */
+const gc = vm.runInNewContext("gc");
+
+/** Collects garbage and lets FinalizationRegistry callbacks run */
+async function collect() {
+  for (let i = 0; i < 3; i++) {
+    gc();
+    await nextTick();
+  }
+}
+
+/** @param {import("./siganl-0.js").Leak[]} leaks */
+const types = (leaks) => leaks.map((leak) => leak.type).join();
+
+(async () => {
+  console.log("=== Test: Leak detection ===\n");
+
+  await test("Clean code reports nothing", async () => {
+    enableLeakDetection();
+    try {
+      const [count, setCount] = createSignal(0);
+      const dispose = createRoot((dispose) => {
+        const doubled = createMemo(() => count() * 2);
+        createEffect(() => doubled());
+        return dispose;
+      });
+      setCount(1);
+      await settled();
+      dispose();
+      assertEqual(types(checkLeaks()), "");
+    } finally {
+      disableLeakDetection();
+    }
+  });
+
+  await test("Computations created outside any owner are orphans until disposed", async () => {
+    enableLeakDetection();
+    try {
+      const [count] = createSignal(0);
+      const dispose = createEffect(() => count(), { name: "stray" });
+      await settled();
+
+      const leaks = checkLeaks();
+      assertEqual(types(leaks), "orphan");
+      assertEqual(leaks[0]?.name, "stray");
+      assertEqual(leaks[0]?.message, '"stray" was created outside any owner and never disposed');
+
+      dispose();
+      assertEqual(types(checkLeaks()), "");
+    } finally {
+      disableLeakDetection();
+    }
+  });
+
+  await test("Disposed computations left in observers are dangling", async () => {
+    enableLeakDetection();
+    try {
+      const [count] = createSignal(0, { name: "count" });
+      /** @type {any} */
+      let effect = null;
+      const dispose = createRoot((dispose) => {
+        createEffect(() => {
+          count();
+          effect = getListener();
+        });
+        return dispose;
+      });
+      await settled();
+      dispose();
+
+      // Simulate a bookkeeping bug: the disposed effect is still subscribed
+      /** @type {any} */ (count)._state.observers.push(effect);
+      const leaks = checkLeaks();
+      assertEqual(types(leaks), "dangling-observer");
+      assertEqual(leaks[0]?.message, '"count" still lists disposed effect as an observer');
+      /** @type {any} */ (count)._state.observers.pop();
+    } finally {
+      disableLeakDetection();
+    }
+  });
+
+  await test("Roots whose dispose function was dropped are reported after GC", async () => {
+    enableLeakDetection();
+    try {
+      const [count] = createSignal(0);
+      // The effect keeps the root alive through count's observers, but
+      // nobody can dispose it anymore
+      createRoot(() => {
+        createEffect(() => count());
+      });
+      const dispose = createRoot((dispose) => {
+        createEffect(() => count());
+        return dispose;
+      });
+      await settled();
+      await collect();
+
+      const leaks = checkLeaks();
+      assertEqual(types(leaks), "dropped-root");
+      assertEqual(leaks[0]?.message, "A root owning 1 computation(s) lost its dispose function");
+      dispose();
+    } finally {
+      disableLeakDetection();
+    }
+  });
+
+  await test("Observer counts above the limit or always growing are reported", async () => {
+    enableLeakDetection({ observerLimit: 5 });
+    try {
+      const [count] = createSignal(0, { name: "count" });
+      /** @type {(() => void)[]} */
+      const disposers = [];
+      const subscribe = () =>
+        disposers.push(createRoot((dispose) => {
+          createEffect(() => count());
+          return dispose;
+        }));
+
+      subscribe();
+      await settled();
+      assertEqual(types(checkLeaks()), "");
+      for (let check = 0; check < 3; check++) {
+        subscribe();
+        await settled();
+        const leaks = checkLeaks();
+        assertEqual(types(leaks), check < 2 ? "" : "growing-observers");
+      }
+
+      for (let i = 0; i < 3; i++) subscribe();
+      await settled();
+      const [leak] = checkLeaks();
+      assertEqual(leak?.message, '"count" has 7 observers, growing over the last 3 checks');
+
+      disposers.forEach((dispose) => dispose());
+      assertEqual(types(checkLeaks()), "");
+    } finally {
+      disableLeakDetection();
+    }
+  });
+
+  await test("fail: true throws a readable error", async () => {
+    enableLeakDetection();
+    try {
+      const [count] = createSignal(0);
+      createMemo(() => count(), undefined, { name: "global" });
+      let message = "";
+      try {
+        checkLeaks({ fail: true });
+      } catch (err) {
+        message = err instanceof Error ? err.message : "";
+      }
+      assertEqual(
+        message,
+        '1 leak(s) detected:\n- orphan: "global" was created outside any owner and never disposed'
+      );
+    } finally {
+      disableLeakDetection();
+    }
+  });
+
+  await test("Nodes created before enabling are not watched", async () => {
+    const [count] = createSignal(0);
+    createEffect(() => count());
+    enableLeakDetection();
+    try {
+      assertEqual(types(checkLeaks()), "");
+    } finally {
+      disableLeakDetection();
+    }
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
@@ -0,0 +1,173 @@
+// Test: Keyed list mapping (mapArray)
+import {
+  createSignal,
+  createEffect,
+  createRoot,
+  onCleanup,
+  mapArray,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+(async () => {
+  console.log("=== Test: mapArray ===\n");
+
+  await test("Maps each item once and reuses results on reorder", async () => {
+    const a = { id: "a" };
+    const b = { id: "b" };
+    const c = { id: "c" };
+    const [list, setList] = createSignal([a, b, c]);
+    let mapped = 0;
+
+    const rows = createRoot(() =>
+      mapArray(list, (item) => {
+        mapped++;
+        return { id: item.id };
+      })
+    );
+
+    const first = rows();
+    assertEqual(first.map((row) => row.id).join(","), "a,b,c");
+    assertEqual(mapped, 3);
+
+    setList([c, a, b]);
+    await nextTick();
+    const second = rows();
+    assertEqual(second.map((row) => row.id).join(","), "c,a,b");
+    assertEqual(mapped, 3, "Moved items must not be mapped again");
+    assertEqual(second[0], first[2], "Results are reused by identity");
+    assertEqual(second[1], first[0]);
+  });
+
+  await test("Removed items have their owner disposed", async () => {
+    const [list, setList] = createSignal(["a", "b", "c"]);
+    const [tick, setTick] = createSignal(0);
+    /** @type {string[]} */
+    const disposed = [];
+    /** @type {string[]} */
+    const runs = [];
+
+    const rows = createRoot(() =>
+      mapArray(list, (item) => {
+        createEffect(() => {
+          tick();
+          runs.push(item);
+        });
+        onCleanup(() => disposed.push(item));
+        return item.toUpperCase();
+      })
+    );
+
+    await nextTick();
+    setList(["a", "c", "d"]);
+    await nextTick();
+    assertEqual(rows().join(","), "A,C,D");
+    assertEqual(disposed.join(","), "b");
+
+    runs.length = 0;
+    setTick(1);
+    await nextTick();
+    assertEqual(runs.sort().join(","), "a,c,d", "Disposed item effect must not re-run");
+  });
+
+  await test("Index accessor updates when items move", async () => {
+    const [list, setList] = createSignal(["a", "b", "c"]);
+    /** @type {Record<string, number[]>} */
+    const seen = { a: [], b: [], c: [] };
+
+    const rows = createRoot(() =>
+      mapArray(list, (item, index) => {
+        createEffect(() => seen[item].push(index()));
+        return () => `${item}${index()}`;
+      })
+    );
+
+    await nextTick();
+    setList(["c", "b", "a"]);
+    await nextTick();
+
+    assertEqual(rows().map((row) => row()).join(","), "c0,b1,a2");
+    assertEqual(seen.a.join(","), "0,2");
+    assertEqual(seen.b.join(","), "1", "Unmoved item index effect must not re-run");
+    assertEqual(seen.c.join(","), "2,0");
+  });
+
+  await test("Duplicates, empty lists and the fallback", async () => {
+    const [list, setList] = createSignal(["x", "x", "y"]);
+    let mapped = 0;
+
+    const rows = createRoot(() =>
+      mapArray(
+        list,
+        (item) => {
+          mapped++;
+          return item;
+        },
+        { fallback: () => "empty" }
+      )
+    );
+
+    assertEqual(rows().join(","), "x,x,y");
+    setList(["y", "x", "x"]);
+    await nextTick();
+    assertEqual(rows().join(","), "y,x,x");
+    assertEqual(mapped, 3);
+
+    setList([]);
+    await nextTick();
+    assertEqual(rows().join(","), "empty");
+
+    setList(["z"]);
+    await nextTick();
+    assertEqual(rows().join(","), "z");
+  });
+
+  await test("Disposing the owner disposes every item", async () => {
+    const [list] = createSignal(["a", "b"]);
+    /** @type {string[]} */
+    const disposed = [];
+
+    const dispose = createRoot((dispose) => {
+      mapArray(list, (item) => onCleanup(() => disposed.push(item)))();
+      return dispose;
+    });
+
+    dispose();
+    assertEqual(disposed.sort().join(","), "a,b");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
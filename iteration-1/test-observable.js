@@ -0,0 +1,253 @@
+// Test: Observable interop (observable / from)
+import {
+  createSignal,
+  createEffect,
+  createRoot,
+  catchError,
+  observable,
+  from,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+(async () => {
+  console.log("=== Test: observable / from ===\n");
+
+  await test("observable() pushes each new value to subscribers", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {number[]} */
+    const a = [];
+    /** @type {number[]} */
+    const b = [];
+
+    const count$ = observable(count);
+    const subA = count$.subscribe((value) => a.push(value));
+    const subB = count$.subscribe({ next: (value) => b.push(value) });
+
+    await nextTick();
+    setCount(1);
+    await nextTick();
+    subA.unsubscribe();
+    setCount(2);
+    await nextTick();
+    subB.unsubscribe();
+
+    assertEqual(a.join(","), "0,1");
+    assertEqual(b.join(","), "0,1,2");
+  });
+
+  await test("observable() implements Symbol.observable", () => {
+    const [count] = createSignal(0);
+    const count$ = /** @type {any} */ (observable(count));
+    const key = /** @type {any} */ (Symbol).observable || "@@observable";
+    assertEqual(count$[key](), count$);
+  });
+
+  await test("Observers are not tracked by the internal effect", async () => {
+    const [count, setCount] = createSignal(0);
+    const [other, setOther] = createSignal(0);
+    let calls = 0;
+
+    const sub = observable(count).subscribe(() => {
+      other();
+      calls++;
+    });
+
+    await nextTick();
+    setOther(1);
+    await nextTick();
+    assertEqual(calls, 1, "Reading in the observer must not subscribe");
+    setCount(1);
+    await nextTick();
+    assertEqual(calls, 2);
+    sub.unsubscribe();
+  });
+
+  await test("observable() subscriptions end with the owning root", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {number[]} */
+    const seen = [];
+
+    const dispose = createRoot((dispose) => {
+      observable(count).subscribe((value) => seen.push(value));
+      return dispose;
+    });
+
+    await nextTick();
+    dispose();
+    setCount(1);
+    await nextTick();
+    assertEqual(seen.join(","), "0");
+  });
+
+  await test("from() accepts a (set) => unsubscribe producer", async () => {
+    /** @type {(value: number) => void} */
+    let emit = () => {};
+    let released = false;
+    /** @type {number[]} */
+    const seen = [];
+
+    const dispose = createRoot((dispose) => {
+      const value = from((set) => {
+        emit = set;
+        return () => (released = true);
+      }, 0);
+      createEffect(() => seen.push(/** @type {number} */ (value())));
+      return dispose;
+    });
+
+    await nextTick();
+    emit(1);
+    await nextTick();
+    emit(1);
+    await nextTick();
+    assertEqual(seen.join(","), "0,1,1", "Repeated values still notify");
+
+    dispose();
+    assertEqual(released, true);
+  });
+
+  await test("from() accepts subscribe-style objects and round-trips observable()", async () => {
+    const [count, setCount] = createSignal(1);
+    /** @type {(number | undefined)[]} */
+    const seen = [];
+
+    const dispose = createRoot((dispose) => {
+      const mirrored = from(observable(count));
+      createEffect(() => seen.push(mirrored()));
+      return dispose;
+    });
+
+    await nextTick();
+    await nextTick();
+    setCount(2);
+    await nextTick();
+    await nextTick();
+    dispose();
+    setCount(3);
+    await nextTick();
+    await nextTick();
+
+    assertEqual(seen.join(","), "1,2");
+  });
+
+  await test("from() producers may return no teardown", () => {
+    let started = false;
+
+    const dispose = createRoot((dispose) => {
+      from(() => {
+        started = true;
+      });
+      return dispose;
+    });
+
+    assertEqual(started, true);
+    dispose();
+  });
+
+  await test("from() subscribes with an observer and routes errors to catchError", () => {
+    /** @type {any} */
+    let subscriber;
+    let unsubscribed = false;
+    /** @type {unknown[]} */
+    const caught = [];
+
+    const source = {
+      /** @param {any} observer */
+      subscribe(observer) {
+        subscriber = observer;
+        return { unsubscribe: () => (unsubscribed = true) };
+      },
+    };
+
+    /** @type {() => number | undefined} */
+    let value = () => undefined;
+    const dispose = createRoot((dispose) => {
+      catchError(
+        () => (value = from(source)),
+        (err) => caught.push(err)
+      );
+      return dispose;
+    });
+
+    assertEqual(typeof subscriber.next, "function");
+    assertEqual(typeof subscriber.error, "function");
+    assertEqual(typeof subscriber.complete, "function");
+
+    subscriber.next(1);
+    assertEqual(value(), 1);
+
+    const failure = new Error("stream failed");
+    subscriber.error(failure);
+    subscriber.complete();
+    assertEqual(caught.length, 1);
+    assertEqual(caught[0], failure);
+
+    dispose();
+    assertEqual(unsubscribed, true);
+  });
+
+  await test("from() accepts subscribe(callback) stores", () => {
+    /** @type {Set<(value: number) => void>} */
+    const subscribers = new Set();
+    let current = 1;
+    const store = {
+      /** @param {(value: number) => void} run */
+      subscribe(run) {
+        subscribers.add(run);
+        run(current);
+        return () => subscribers.delete(run);
+      },
+    };
+
+    /** @type {() => number | undefined} */
+    let value = () => undefined;
+    const dispose = createRoot((dispose) => {
+      value = from(store);
+      return dispose;
+    });
+    assertEqual(value(), 1);
+
+    current = 2;
+    subscribers.forEach((run) => run(current));
+    assertEqual(value(), 2);
+
+    dispose();
+    assertEqual(subscribers.size, 0);
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
@@ -0,0 +1,216 @@
+// Test: PriorityQueue (heap ordering, aging, cancellation, deadlines)
+import { Priority, PriorityQueue } from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+/** Manual clock so aging and deadlines are deterministic */
+function createClock() {
+  let time = 0;
+  return {
+    now: () => time,
+    /** @param {number} ms */
+    advance: (ms) => {
+      time += ms;
+    },
+  };
+}
+
+/**
+ * @param {PriorityQueue<string>} queue
+ * @returns {string}
+ */
+function drain(queue) {
+  const order = [];
+  let task;
+  while ((task = queue.dequeue()) !== null) order.push(task);
+  return order.join(",");
+}
+
+(async () => {
+  console.log("=== Test: PriorityQueue ===\n");
+
+  await test("Dequeues by priority, FIFO within a level", () => {
+    const clock = createClock();
+    /** @type {PriorityQueue<string>} */
+    const queue = new PriorityQueue({ now: clock.now });
+    queue.enqueue("low", Priority.LOW);
+    queue.enqueue("normal-1");
+    queue.enqueue("immediate", Priority.IMMEDIATE);
+    queue.enqueue("normal-2", Priority.NORMAL);
+    queue.enqueue("idle", Priority.IDLE);
+    queue.enqueue("high", Priority.HIGH);
+
+    assertEqual(queue.size, 6);
+    assertEqual(queue.peek(), "immediate");
+    assertEqual(drain(queue), "immediate,high,normal-1,normal-2,low,idle");
+    assertEqual(queue.isEmpty(), true);
+    assertEqual(queue.dequeue(), null);
+  });
+
+  await test("Heap order holds for many interleaved tasks", () => {
+    /** @type {PriorityQueue<number>} */
+    const queue = new PriorityQueue({ agingMs: Infinity });
+    const levels = [3, 1, 4, 0, 2];
+    for (let i = 0; i < 500; i++) queue.enqueue(i, levels[i % 5]);
+
+    let previous = -1;
+    let previousLevel = -1;
+    let task;
+    while ((task = queue.dequeue()) !== null) {
+      const level = /** @type {number} */ (levels[task % 5]);
+      if (level < previousLevel || (level === previousLevel && task < previous)) {
+        throw new Error(`Out of order: ${task} after ${previous}`);
+      }
+      previous = task;
+      previousLevel = level;
+    }
+  });
+
+  await test("Waiting tasks age past newer, more urgent work", () => {
+    const clock = createClock();
+    /** @type {PriorityQueue<string>} */
+    const queue = new PriorityQueue({ agingMs: 100, now: clock.now });
+    queue.enqueue("old-low", Priority.LOW);
+    clock.advance(150);
+    queue.enqueue("new-normal", Priority.NORMAL);
+    clock.advance(100);
+    queue.enqueue("new-high", Priority.HIGH);
+
+    // old-low: 3 * 100 + 0 = 300, new-normal: 200 + 150 = 350, new-high: 100 + 250 = 350
+    assertEqual(drain(queue), "old-low,new-normal,new-high");
+  });
+
+  await test("Aging can be disabled", () => {
+    const clock = createClock();
+    /** @type {PriorityQueue<string>} */
+    const queue = new PriorityQueue({ agingMs: Infinity, now: clock.now });
+    queue.enqueue("idle", Priority.IDLE);
+    clock.advance(1e9);
+    queue.enqueue("immediate", Priority.IMMEDIATE);
+    assertEqual(drain(queue), "immediate,idle");
+  });
+
+  await test("Handles cancel queued tasks", () => {
+    /** @type {PriorityQueue<string>} */
+    const queue = new PriorityQueue();
+    const a = queue.enqueue("a");
+    const b = queue.enqueue("b", Priority.HIGH);
+    queue.enqueue("c", Priority.LOW);
+
+    assertEqual(b.cancel(), true);
+    assertEqual(b.cancel(), false, "Second cancel is a no-op");
+    assertEqual(b.isQueued(), false);
+    assertEqual(a.isQueued(), true);
+    assertEqual(queue.size, 2);
+    assertEqual(queue.dequeue(), "a");
+    assertEqual(a.cancel(), false, "Dequeued tasks cannot be cancelled");
+    assertEqual(drain(queue), "c");
+  });
+
+  await test("Cancelling from the middle keeps the heap valid", () => {
+    /** @type {PriorityQueue<number>} */
+    const queue = new PriorityQueue({ agingMs: Infinity });
+    const handles = [];
+    for (let i = 0; i < 100; i++) handles.push(queue.enqueue(i, i % 5));
+    for (let i = 0; i < 100; i += 3) handles[i]?.cancel();
+
+    const seen = [];
+    let task;
+    while ((task = queue.dequeue()) !== null) seen.push(task);
+    assertEqual(seen.length, 66);
+    assertEqual(seen.some((n) => n % 3 === 0), false);
+    for (let i = 1; i < seen.length; i++) {
+      const prev = /** @type {number} */ (seen[i - 1]);
+      const next = /** @type {number} */ (seen[i]);
+      if (prev % 5 > next % 5) throw new Error(`Out of order at ${i}`);
+    }
+  });
+
+  await test("Overdue tasks are promoted ahead of everything", () => {
+    const clock = createClock();
+    /** @type {PriorityQueue<string>} */
+    const queue = new PriorityQueue({ now: clock.now });
+    queue.enqueue("idle-due-50", Priority.IDLE, { deadline: 50 });
+    queue.enqueue("low-due-20", Priority.LOW, { deadline: 20 });
+    queue.enqueue("high", Priority.HIGH);
+
+    assertEqual(queue.peek(), "high", "Nothing is overdue yet");
+    clock.advance(30);
+    assertEqual(queue.peek(), "low-due-20");
+    clock.advance(30);
+    queue.enqueue("immediate", Priority.IMMEDIATE);
+    assertEqual(drain(queue), "low-due-20,idle-due-50,immediate,high");
+  });
+
+  await test("Cancelled tasks drop out of the deadline order", () => {
+    const clock = createClock();
+    /** @type {PriorityQueue<string>} */
+    const queue = new PriorityQueue({ now: clock.now });
+    const late = queue.enqueue("late", Priority.IDLE, { deadline: 10 });
+    queue.enqueue("normal");
+    clock.advance(20);
+    late.cancel();
+    assertEqual(drain(queue), "normal");
+  });
+
+  await test("Introspection reports sizes per priority and oldest age", () => {
+    const clock = createClock();
+    /** @type {PriorityQueue<string>} */
+    const queue = new PriorityQueue({ now: clock.now });
+    assertEqual(queue.oldestAge(), 0);
+
+    const first = queue.enqueue("a", Priority.LOW);
+    clock.advance(40);
+    queue.enqueue("b", Priority.LOW);
+    queue.enqueue("c", Priority.HIGH);
+    clock.advance(10);
+
+    assertEqual(
+      JSON.stringify(queue.sizeByPriority()),
+      JSON.stringify({ IMMEDIATE: 0, HIGH: 1, NORMAL: 0, LOW: 2, IDLE: 0 })
+    );
+    assertEqual(queue.oldestAge(), 50);
+
+    first.cancel();
+    assertEqual(queue.oldestAge(), 10);
+    assertEqual(queue.sizeByPriority().LOW, 1);
+
+    queue.clear();
+    assertEqual(queue.size, 0);
+    assertEqual(queue.sizeByPriority().HIGH, 0);
+    assertEqual(queue.oldestAge(), 0);
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
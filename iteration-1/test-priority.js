@@ -0,0 +1,174 @@
+// Test: Priority-aware effects (createEffect(fn, { priority }))
+import {
+  createSignal,
+  createEffect,
+  createRoot,
+  flushSync,
+  settled,
+  Priority,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+(async () => {
+  console.log("=== Test: Priority effects ===\n");
+
+  await test("Queued effects run in priority order", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {string[]} */
+    const order = [];
+
+    createRoot(() => {
+      createEffect(() => order.push(`normal${count()}`));
+      createEffect(() => order.push(`high${count()}`), { priority: Priority.HIGH });
+      createEffect(() => order.push(`immediate${count()}`), {
+        priority: Priority.IMMEDIATE,
+      });
+    });
+    await settled();
+    order.length = 0;
+
+    setCount(1);
+    await settled();
+    assertEqual(order.join(","), "immediate1,high1,normal1");
+  });
+
+  await test("LOW and IDLE effects are deferred to later ticks", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {string[]} */
+    const order = [];
+
+    createRoot(() => {
+      createEffect(() => order.push(`idle${count()}`), { priority: Priority.IDLE });
+      createEffect(() => order.push(`low${count()}`), { priority: Priority.LOW });
+      createEffect(() => order.push(`normal${count()}`));
+    });
+    await settled();
+    order.length = 0;
+
+    setCount(1);
+    await Promise.resolve();
+    assertEqual(order.join(","), "normal1", "Only urgent effects in the first flush");
+
+    await new Promise((resolve) => setImmediate(resolve));
+    assertEqual(order.join(","), "normal1,low1", "LOW runs on a later tick");
+
+    await settled();
+    assertEqual(order.join(","), "normal1,low1,idle1", "IDLE runs after LOW");
+  });
+
+  await test("Deferred effects run once with the latest values", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {number[]} */
+    const seen = [];
+
+    createRoot(() => {
+      createEffect(() => seen.push(count()), { priority: Priority.LOW });
+    });
+    await settled();
+
+    setCount(1);
+    await Promise.resolve();
+    setCount(2);
+    await Promise.resolve();
+    await settled();
+    assertEqual(seen.join(","), "0,2");
+  });
+
+  await test("IMMEDIATE effects preempt queued lower-priority effects", async () => {
+    const [input, setInput] = createSignal(0);
+    const [data, setData] = createSignal(0);
+    /** @type {string[]} */
+    const order = [];
+
+    createRoot(() => {
+      createEffect(() => {
+        order.push(`a${data()}`);
+        if (data() === 1) setInput(1);
+      });
+      createEffect(() => order.push(`b${data()}`));
+      createEffect(() => order.push(`input${input()}`), {
+        priority: Priority.IMMEDIATE,
+      });
+    });
+    await settled();
+    order.length = 0;
+
+    setData(1);
+    await settled();
+    assertEqual(order.join(","), "a1,input1,b1");
+  });
+
+  await test("flushSync runs deferred effects too", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {number[]} */
+    const seen = [];
+
+    createRoot(() => {
+      createEffect(() => seen.push(count()), { priority: Priority.IDLE });
+    });
+    flushSync();
+    assertEqual(seen.join(","), "0");
+
+    flushSync(() => setCount(1));
+    assertEqual(seen.join(","), "0,1");
+  });
+
+  await test("Disposed deferred effects do not run", async () => {
+    const [count, setCount] = createSignal(0);
+    let runs = 0;
+
+    const dispose = createRoot((dispose) => {
+      createEffect(
+        () => {
+          count();
+          runs++;
+        },
+        { priority: Priority.LOW }
+      );
+      return dispose;
+    });
+    await settled();
+
+    setCount(1);
+    await Promise.resolve();
+    dispose();
+    await settled();
+    assertEqual(runs, 1);
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
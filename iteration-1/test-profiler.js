@@ -0,0 +1,173 @@
+// Test: Profiler (startProfiling / stopProfiling)
+import {
+  createSignal,
+  createEffect,
+  createMemo,
+  createComputed,
+  createRoot,
+  settled,
+  startProfiling,
+  stopProfiling,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+/** @param {number} ms */
+function busy(ms) {
+  const end = performance.now() + ms;
+  while (performance.now() < end);
+}
+
+(async () => {
+  console.log("=== Test: Profiler ===\n");
+
+  await test("Summary ranks computations by self time", async () => {
+    const [count, setCount] = createSignal(0);
+    createRoot(() => {
+      const slow = createMemo(
+        () => {
+          busy(count() ? 5 : 0);
+          return count();
+        },
+        undefined,
+        { name: "slow" }
+      );
+      const fast = createMemo(() => count() + 1, undefined, { name: "fast" });
+      createEffect(() => slow() + fast(), { name: "sum" });
+    });
+    await settled();
+
+    startProfiling();
+    setCount(1);
+    await settled();
+    const profile = stopProfiling();
+
+    const names = profile.summary.map((row) => row.name);
+    assertEqual(names[0], "slow");
+    assertEqual(names.includes("fast") && names.includes("sum"), true);
+
+    const slow = /** @type {any} */ (profile.summary[0]);
+    assertEqual(slow.kind, "memo");
+    assertEqual(slow.runs, 1);
+    assertEqual(slow.sources, 1);
+    assertEqual(slow.selfTime >= 4, true, `selfTime ${slow.selfTime}`);
+    assertEqual(slow.maxTime >= slow.selfTime, true);
+
+    const sum = /** @type {any} */ (profile.summary.find((row) => row.name === "sum"));
+    assertEqual(sum.kind, "effect");
+    assertEqual(sum.sources, 2);
+    assertEqual(profile.flushes, 1);
+  });
+
+  await test("Memos pulled during an effect run count as its children", async () => {
+    const [show, setShow] = createSignal(false);
+    createRoot(() => {
+      const lazy = createMemo(
+        () => {
+          busy(5);
+          return 1;
+        },
+        undefined,
+        { name: "lazy", lazy: true }
+      );
+      createEffect(() => show() && lazy(), { name: "reader" });
+    });
+    await settled();
+
+    startProfiling();
+    setShow(true);
+    await settled();
+    const { summary } = stopProfiling();
+
+    const reader = /** @type {any} */ (summary.find((row) => row.name === "reader"));
+    const lazy = /** @type {any} */ (summary.find((row) => row.name === "lazy"));
+    assertEqual(reader.totalTime >= lazy.totalTime, true);
+    assertEqual(reader.selfTime < lazy.selfTime, true);
+    assertEqual(summary[0], lazy, "Hottest first");
+  });
+
+  await test("The trace is valid Chrome Trace Event Format", async () => {
+    const [count, setCount] = createSignal(0);
+    startProfiling();
+    createRoot(() => {
+      createComputed(() => count());
+      createEffect(() => count(), { name: "effect" });
+    });
+    setCount(1);
+    await settled();
+    const { trace, summary } = stopProfiling();
+
+    const parsed = JSON.parse(JSON.stringify(trace));
+    assertEqual(parsed.displayTimeUnit, "ms");
+    assertEqual(Array.isArray(parsed.traceEvents), true);
+    for (const event of parsed.traceEvents) {
+      assertEqual(event.ph, "X");
+      assertEqual(typeof event.ts, "number");
+      assertEqual(event.dur >= 0, true);
+      assertEqual(typeof event.pid, "number");
+      assertEqual(typeof event.tid, "number");
+    }
+
+    const categories = new Set(parsed.traceEvents.map((/** @type {any} */ e) => e.cat));
+    assertEqual(categories.has("flush"), true);
+    assertEqual(categories.has("computed"), true, "runTop is profiled");
+    assertEqual(categories.has("effect"), true);
+
+    const computed = /** @type {any} */ (summary.find((row) => row.kind === "computed"));
+    assertEqual(/^computed#\d+$/.test(computed.name), true, computed.name);
+    assertEqual(computed.runs, 2);
+
+    // Computations run inside their flush
+    const flush = parsed.traceEvents.find((/** @type {any} */ e) => e.cat === "flush");
+    const effect = parsed.traceEvents.find((/** @type {any} */ e) => e.cat === "effect");
+    assertEqual(effect.ts >= flush.ts && effect.ts + effect.dur <= flush.ts + flush.dur, true);
+  });
+
+  await test("Nothing is recorded outside a profiling session", async () => {
+    let threw = false;
+    try {
+      stopProfiling();
+    } catch {
+      threw = true;
+    }
+    assertEqual(threw, true);
+
+    startProfiling();
+    const { summary, trace } = stopProfiling();
+    assertEqual(summary.length, 0);
+    assertEqual(trace.traceEvents.length, 0);
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
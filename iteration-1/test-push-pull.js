@@ -0,0 +1,153 @@
+// Test: Glitch-free push-pull propagation (STALE / PENDING marking)
+import { createSignal, createEffect, createMemo, batch } from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+(async () => {
+  console.log("=== Test: Push-pull propagation ===\n");
+
+  await test("Diamond: bottom memo recomputes once per write", async () => {
+    const [a, setA] = createSignal(1);
+    let runs = 0;
+
+    const left = createMemo(() => a() + 1);
+    const right = createMemo(() => a() * 2);
+    const bottom = createMemo(() => {
+      runs++;
+      return left() + right();
+    });
+    /** @type {number[]} */
+    const seen = [];
+    createEffect(() => seen.push(bottom()));
+
+    await nextTick();
+    runs = 0;
+
+    setA(2);
+    await nextTick();
+
+    assertEqual(runs, 1, "bottom should recompute exactly once");
+    assertEqual(seen.join(","), "4,7", "Effect sees one consistent value");
+  });
+
+  await test("Synchronous reads through a deep chain are never stale", () => {
+    const [a, setA] = createSignal(1);
+    const b = createMemo(() => a() * 2);
+    const c = createMemo(() => b() + 1);
+    const d = createMemo(() => c() * 10);
+
+    assertEqual(d(), 30);
+    setA(2);
+    assertEqual(d(), 50, "Read right after the write must see the new value");
+    setA(3);
+    setA(4);
+    assertEqual(d(), 90);
+  });
+
+  await test("Equal intermediate values stop propagation", async () => {
+    const [a, setA] = createSignal(1);
+    let parityRuns = 0;
+    let labelRuns = 0;
+    let effectRuns = 0;
+
+    const parity = createMemo(() => {
+      parityRuns++;
+      return a() % 2;
+    });
+    const label = createMemo(() => {
+      labelRuns++;
+      return parity() ? "odd" : "even";
+    });
+    createEffect(() => {
+      label();
+      effectRuns++;
+    });
+
+    await nextTick();
+    setA(3);
+    await nextTick();
+
+    assertEqual(parityRuns, 2, "parity recomputes");
+    assertEqual(labelRuns, 1, "label is PENDING but its source did not change");
+    assertEqual(effectRuns, 1, "effect does not re-run");
+
+    setA(4);
+    await nextTick();
+    assertEqual(labelRuns, 2);
+    assertEqual(effectRuns, 2);
+  });
+
+  await test("Effect mixing a signal and a derived memo runs once", async () => {
+    const [first, setFirst] = createSignal("a");
+    const upper = createMemo(() => first().toUpperCase());
+    /** @type {string[]} */
+    const seen = [];
+    createEffect(() => seen.push(`${first()}${upper()}`));
+
+    await nextTick();
+    batch(() => setFirst("b"));
+    await nextTick();
+
+    assertEqual(seen.join(","), "aA,bB");
+  });
+
+  await test("Disposed effects in the queue are skipped", async () => {
+    const [show, setShow] = createSignal(true);
+    const [value, setValue] = createSignal(0);
+    let innerRuns = 0;
+
+    createEffect(() => {
+      if (!show()) return;
+      createEffect(() => {
+        value();
+        innerRuns++;
+      });
+    });
+
+    await nextTick();
+    innerRuns = 0;
+
+    batch(() => {
+      setShow(false);
+      setValue(1);
+    });
+    await nextTick();
+
+    assertEqual(innerRuns, 0, "Inner effect was disposed by its parent");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
@@ -0,0 +1,234 @@
+// Test: createResource (loading / error / latest, races, disposal)
+import {
+  createSignal,
+  createEffect,
+  createRoot,
+  createResource,
+  startTransition,
+  catchError,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Fetcher whose requests are resolved by hand
+ * @returns {{ fetcher: (key: any) => Promise<any>; calls: any[]; requests: { key: any; resolve: (v: any) => void; reject: (e: any) => void }[] }}
+ */
+function controlledFetcher() {
+  /** @type {any[]} */
+  const calls = [];
+  /** @type {{ key: any; resolve: (v: any) => void; reject: (e: any) => void }[]} */
+  const requests = [];
+  return {
+    calls,
+    requests,
+    fetcher: (key) =>
+      new Promise((resolve, reject) => {
+        calls.push(key);
+        requests.push({ key, resolve, reject });
+      }),
+  };
+}
+
+(async () => {
+  console.log("=== Test: createResource ===\n");
+
+  await test("Loads and exposes loading / state / latest", async () => {
+    const { fetcher, requests } = controlledFetcher();
+    const [user] = createResource(fetcher);
+
+    assertEqual(user.state, "pending");
+    assertEqual(user.loading, true);
+    assertEqual(user(), undefined);
+
+    /** @type {any} */ (requests[0]).resolve("Ada");
+    await nextTick();
+
+    assertEqual(user.state, "ready");
+    assertEqual(user.loading, false);
+    assertEqual(user(), "Ada");
+    assertEqual(user.latest, "Ada");
+  });
+
+  await test("Refetches when the source changes, ignores stale responses", async () => {
+    const { fetcher, calls, requests } = controlledFetcher();
+    const [id, setId] = createSignal(1);
+    const [user] = createResource(id, fetcher);
+
+    setId(2);
+    await nextTick();
+    assertEqual(calls.join(","), "1,2");
+
+    /** @type {any} */ (requests[1]).resolve("user 2");
+    await nextTick();
+    /** @type {any} */ (requests[0]).resolve("user 1 (late)");
+    await nextTick();
+
+    assertEqual(user(), "user 2", "Late answer of request 1 is ignored");
+  });
+
+  await test("A falsy source skips fetching", async () => {
+    const { fetcher, calls } = controlledFetcher();
+    const [id, setId] = createSignal(/** @type {number | null} */ (null));
+    const [user] = createResource(id, fetcher);
+
+    assertEqual(calls.length, 0);
+    assertEqual(user.state, "unresolved");
+
+    setId(3);
+    await nextTick();
+    assertEqual(calls.join(","), "3");
+  });
+
+  await test("A source turning falsy mid-fetch ends the loading state", async () => {
+    const { fetcher, requests } = controlledFetcher();
+    const [id, setId] = createSignal(/** @type {number | null} */ (1));
+    const [user] = createResource(id, fetcher);
+    assertEqual(user.state, "pending");
+
+    setId(null);
+    await nextTick();
+    assertEqual(user.state, "unresolved");
+    assertEqual(user.loading, false);
+
+    /** @type {any} */ (requests[0]).resolve("abandoned");
+    await nextTick();
+    assertEqual(user(), undefined, "The abandoned request never writes");
+
+    setId(2);
+    await nextTick();
+    /** @type {any} */ (requests[1]).resolve("user 2");
+    await nextTick();
+    setId(3);
+    await nextTick();
+    assertEqual(user.state, "refreshing");
+
+    setId(null);
+    await nextTick();
+    assertEqual(user.state, "ready");
+    assertEqual(user.loading, false);
+    assertEqual(user(), "user 2");
+  });
+
+  await test("Errors set state/error and are thrown on read", async () => {
+    const { fetcher, requests } = controlledFetcher();
+    const [data] = createResource(fetcher);
+    /** @type {string[]} */
+    const caught = [];
+
+    createRoot(() =>
+      catchError(
+        () => createEffect(() => data()),
+        (err) => caught.push(err.message)
+      )
+    );
+
+    /** @type {any} */ (requests[0]).reject(new Error("offline"));
+    await nextTick();
+
+    assertEqual(data.state, "errored");
+    assertEqual(data.error.message, "offline");
+    assertEqual(caught.join(","), "offline");
+  });
+
+  await test("mutate and refetch", async () => {
+    let n = 0;
+    const [count, { mutate, refetch }] = createResource(() => ++n, {
+      initialValue: 0,
+    });
+
+    assertEqual(count(), 1, "Synchronous fetchers resolve right away");
+    mutate(42);
+    assertEqual(count(), 42);
+    refetch();
+    assertEqual(count(), 2);
+  });
+
+  await test("Refreshing keeps the previous value", async () => {
+    const { fetcher, requests } = controlledFetcher();
+    const [data, { refetch }] = createResource(fetcher);
+
+    /** @type {any} */ (requests[0]).resolve("v1");
+    await nextTick();
+    refetch();
+    assertEqual(data.state, "refreshing");
+    assertEqual(data.latest, "v1");
+
+    /** @type {any} */ (requests[1]).resolve("v2");
+    await nextTick();
+    assertEqual(data(), "v2");
+  });
+
+  await test("A disposed resource never writes", async () => {
+    const { fetcher, requests } = controlledFetcher();
+    /** @type {any} */
+    let data;
+    const dispose = createRoot((dispose) => {
+      [data] = createResource(fetcher);
+      return dispose;
+    });
+
+    dispose();
+    /** @type {any} */ (requests[0]).resolve("too late");
+    await nextTick();
+
+    assertEqual(data(), undefined);
+    assertEqual(data.state, "pending");
+  });
+
+  await test("Transitions wait for resources refetched inside them", async () => {
+    const { fetcher, requests } = controlledFetcher();
+    const [data, { refetch }] = createResource(fetcher);
+    /** @type {any} */ (requests[0]).resolve("old");
+    await nextTick();
+
+    let committed = false;
+    startTransition(() => {
+      refetch();
+    }).then(() => (committed = true));
+
+    await nextTick();
+    assertEqual(committed, false);
+    assertEqual(data(), "old");
+
+    /** @type {any} */ (requests[1]).resolve("new");
+    await nextTick();
+    assertEqual(committed, true);
+    assertEqual(data(), "new");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
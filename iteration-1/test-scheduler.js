@@ -0,0 +1,205 @@
+// Test: Pluggable scheduler (setScheduler / flushSync / settled)
+import {
+  createSignal,
+  createEffect,
+  createMemo,
+  createRoot,
+  batch,
+  setScheduler,
+  flushSync,
+  settled,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+(async () => {
+  console.log("=== Test: Scheduler ===\n");
+
+  await test("Default microtask scheduler defers effects", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {number[]} */
+    const seen = [];
+
+    createRoot(() => createEffect(() => seen.push(count())));
+    assertEqual(seen.length, 0, "First run is deferred");
+    await Promise.resolve();
+    assertEqual(seen.join(","), "0");
+
+    setCount(1);
+    setCount(2);
+    assertEqual(seen.join(","), "0");
+    await Promise.resolve();
+    assertEqual(seen.join(","), "0,2", "Writes in one tick flush once");
+  });
+
+  await test("Sync scheduler runs effects before the setter returns", () => {
+    setScheduler("sync");
+    try {
+      const [count, setCount] = createSignal(0);
+      const doubled = createMemo(() => count() * 2);
+      /** @type {string[]} */
+      const seen = [];
+
+      createRoot(() => {
+        createEffect(() => seen.push(`a${doubled()}`));
+        createEffect(() => seen.push(`b${doubled()}`));
+        assertEqual(seen.length, 0, "Root effects run once the root is built");
+      });
+      assertEqual(seen.join(","), "a0,b0");
+
+      setCount(1);
+      assertEqual(seen.join(","), "a0,b0,a2,b2");
+
+      batch(() => {
+        setCount(2);
+        setCount(3);
+        assertEqual(seen.length, 4, "Batches still defer");
+      });
+      assertEqual(seen.join(","), "a0,b0,a2,b2,a6,b6");
+    } finally {
+      setScheduler("microtask");
+    }
+  });
+
+  await test("Macrotask scheduler flushes after pending microtasks", async () => {
+    setScheduler("macrotask");
+    try {
+      const [count, setCount] = createSignal(0);
+      /** @type {string[]} */
+      const order = [];
+
+      createRoot(() => createEffect(() => order.push(`effect${count()}`)));
+      await settled();
+      order.length = 0;
+
+      setCount(1);
+      queueMicrotask(() => order.push("microtask"));
+      await settled();
+      assertEqual(order.join(","), "microtask,effect1");
+    } finally {
+      setScheduler("microtask");
+    }
+  });
+
+  await test("Custom scheduler functions control the flush", () => {
+    /** @type {(() => void)[]} */
+    const queued = [];
+    setScheduler((flush) => queued.push(flush));
+    try {
+      const [count, setCount] = createSignal(0);
+      /** @type {number[]} */
+      const seen = [];
+
+      createRoot(() => createEffect(() => seen.push(count())));
+      setCount(1);
+      assertEqual(queued.length, 1, "One flush scheduled");
+      assertEqual(seen.length, 0);
+
+      /** @type {() => void} */ (queued.shift())();
+      assertEqual(seen.join(","), "1");
+    } finally {
+      setScheduler("microtask");
+    }
+  });
+
+  await test("flushSync forces pending work to complete", () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {number[]} */
+    const seen = [];
+
+    createRoot(() => createEffect(() => seen.push(count())));
+    flushSync();
+    assertEqual(seen.join(","), "0");
+
+    const result = flushSync(() => {
+      setCount(1);
+      setCount(2);
+      return "done";
+    });
+    assertEqual(result, "done");
+    assertEqual(seen.join(","), "0,2");
+  });
+
+  await test("flushSync schedules the writes of a throwing callback", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {number[]} */
+    const seen = [];
+
+    createRoot(() => createEffect(() => seen.push(count())));
+    flushSync();
+
+    let error = "";
+    try {
+      flushSync(() => {
+        setCount(1);
+        throw new Error("boom");
+      });
+    } catch (e) {
+      error = /** @type {Error} */ (e).message;
+    }
+    assertEqual(error, "boom");
+
+    await settled();
+    assertEqual(seen.join(","), "0,1");
+
+    setCount(2);
+    await settled();
+    assertEqual(seen.join(","), "0,1,2");
+  });
+
+  await test("settled resolves once no more updates are queued", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {number[]} */
+    const seen = [];
+
+    createRoot(() =>
+      createEffect(() => {
+        seen.push(count());
+        // Cascading writes keep the flush going
+        if (count() < 3) setCount(count() + 1);
+      })
+    );
+
+    await settled();
+    assertEqual(seen.join(","), "0,1,2,3");
+
+    let resolved = false;
+    await settled().then(() => (resolved = true));
+    assertEqual(resolved, true, "Resolves immediately when idle");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
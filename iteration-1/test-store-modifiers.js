@@ -0,0 +1,186 @@
+// Test: Store modifiers (produce / reconcile / unwrap)
+import { createEffect, createRoot, mapArray } from "./siganl-0.js";
+import { createStore, produce, reconcile, unwrap } from "./store.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+(async () => {
+  console.log("=== Test: produce / reconcile / unwrap ===\n");
+
+  await test("produce applies draft mutations as fine-grained writes", async () => {
+    const [state, setState] = createStore({
+      todos: [{ title: "a", done: false }],
+      filter: "all",
+    });
+    /** @type {string[]} */
+    const runs = [];
+
+    createRoot(() => {
+      createEffect(() => runs.push(`len:${state.todos.length}`));
+      createEffect(() => runs.push(`done:${state.todos[0]?.done}`));
+      createEffect(() => runs.push(`filter:${state.filter}`));
+    });
+
+    await nextTick();
+    runs.length = 0;
+    setState(
+      "todos",
+      produce((/** @type {any[]} */ todos) => {
+        todos.push({ title: "b", done: false });
+        todos[0].done = true;
+      })
+    );
+    await nextTick();
+
+    assertEqual(runs.sort().join(","), "done:true,len:2");
+    assertEqual(state.todos[1]?.title, "b");
+  });
+
+  await test("produce supports deletes and root drafts", () => {
+    const [state, setState] = createStore({
+      /** @type {Record<string, number>} */
+      counts: { a: 1, b: 2 },
+    });
+
+    setState(
+      produce((/** @type {any} */ draft) => {
+        delete draft.counts.a;
+        draft.counts.b++;
+      })
+    );
+
+    assertEqual(Object.keys(state.counts).join(","), "b");
+    assertEqual(state.counts.b, 3);
+  });
+
+  await test("reconcile only notifies the paths that changed", async () => {
+    const [state, setState] = createStore({
+      todos: [
+        { id: 1, title: "a", done: false },
+        { id: 2, title: "b", done: false },
+      ],
+      meta: { page: 1 },
+    });
+    /** @type {string[]} */
+    const runs = [];
+
+    createRoot(() => {
+      createEffect(() => runs.push(`1:${state.todos[0]?.title}`));
+      createEffect(() => runs.push(`2:${state.todos[1]?.done}`));
+      createEffect(() => runs.push(`page:${state.meta.page}`));
+    });
+
+    await nextTick();
+    runs.length = 0;
+    setState(
+      reconcile({
+        todos: [
+          { id: 1, title: "a", done: false },
+          { id: 2, title: "b", done: true },
+        ],
+        meta: { page: 1 },
+      })
+    );
+    await nextTick();
+
+    assertEqual(runs.join(","), "2:true");
+  });
+
+  await test("reconcile keeps item identity across reorders by key", async () => {
+    const [state, setState] = createStore({
+      todos: [
+        { id: 1, title: "a" },
+        { id: 2, title: "b" },
+        { id: 3, title: "c" },
+      ],
+    });
+    const second = state.todos[1];
+    let mapped = 0;
+
+    const rows = createRoot(() =>
+      mapArray(
+        () => state.todos,
+        (todo) => {
+          mapped++;
+          return todo;
+        }
+      )
+    );
+    rows();
+
+    setState(
+      "todos",
+      reconcile([
+        { id: 3, title: "c" },
+        { id: 2, title: "B" },
+        { id: 4, title: "d" },
+      ])
+    );
+    await nextTick();
+
+    assertEqual(state.todos.map((todo) => todo.title).join(""), "cBd");
+    assertEqual(state.todos[1], second, "Matched item keeps its proxy");
+    assertEqual(rows().length, 3);
+    assertEqual(mapped, 4, "Only the new item is mapped");
+  });
+
+  await test("reconcile removes missing keys and truncates arrays", () => {
+    const [state, setState] = createStore({
+      /** @type {Record<string, any>} */
+      data: { a: 1, b: 2, list: [1, 2, 3] },
+    });
+
+    setState("data", reconcile({ a: 1, list: [1, 2] }));
+
+    assertEqual(Object.keys(state.data).join(","), "a,list");
+    assertEqual(state.data.list.join(","), "1,2");
+  });
+
+  await test("unwrap returns a detached plain snapshot", () => {
+    const [state, setState] = createStore({ user: { name: "Ada" }, tags: ["x"] });
+
+    const snapshot = unwrap(state);
+    setState("user", "name", "Grace");
+    setState("tags", 1, "y");
+
+    assertEqual(snapshot.user.name, "Ada");
+    assertEqual(snapshot.tags.length, 1);
+    assertEqual(JSON.stringify(unwrap(state)), '{"user":{"name":"Grace"},"tags":["x","y"]}');
+    assertEqual(unwrap(state.user) === state.user, false, "Must not be the proxy");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
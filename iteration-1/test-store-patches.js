@@ -0,0 +1,234 @@
+// Test: JSON Patch emission / application for stores
+import { createEffect, createRoot } from "./siganl-0.js";
+import {
+  createStore,
+  produce,
+  reconcile,
+  onPatches,
+  applyPatches,
+  unwrap,
+} from "./store.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/** @param {any} value */
+const json = (value) => JSON.stringify(value);
+
+(async () => {
+  console.log("=== Test: JSON Patch ===\n");
+
+  await test("Each setStore call emits its operations once", () => {
+    const [state, setState] = createStore({
+      user: { name: "Ada" },
+      /** @type {number[]} */
+      list: [1],
+    });
+    /** @type {any[][]} */
+    const emitted = [];
+
+    createRoot(() => onPatches(state, (patches) => emitted.push(patches)));
+
+    setState("user", "name", "Grace");
+    setState("user", { age: 36 });
+    setState("list", 1, 2);
+    setState("user", "name", "Grace"); // no change → nothing emitted
+
+    assertEqual(emitted.length, 3);
+    assertEqual(json(emitted[0]), '[{"op":"replace","path":"/user/name","value":"Grace"}]');
+    assertEqual(json(emitted[1]), '[{"op":"add","path":"/user/age","value":36}]');
+    assertEqual(json(emitted[2]), '[{"op":"add","path":"/list/1","value":2}]');
+  });
+
+  await test("Paths follow predicates, produce and reconcile", () => {
+    const [state, setState] = createStore({
+      todos: [
+        { id: 1, done: false },
+        { id: 2, done: false },
+      ],
+      /** @type {Record<string, any>} */
+      "a/b": {},
+    });
+    /** @type {string[]} */
+    const paths = [];
+
+    createRoot(() =>
+      onPatches(state, (patches) => patches.forEach((p) => paths.push(`${p.op} ${p.path}`)))
+    );
+
+    setState("todos", (/** @type {any} */ todo) => todo.id === 2, "done", true);
+    setState(
+      "todos",
+      produce((/** @type {any[]} */ todos) => {
+        todos[0].done = true;
+        todos.pop();
+      })
+    );
+    setState("todos", reconcile([{ id: 1, done: false }]));
+    setState("a/b", "x", 1);
+
+    assertEqual(
+      paths.join(","),
+      "replace /todos/1/done,replace /todos/0/done,replace /todos/1,remove /todos/1," +
+        "replace /todos/0/done,add /a~1b/x"
+    );
+  });
+
+  await test("Inverse patches undo a change", () => {
+    const [state, setState] = createStore({
+      user: { name: "Ada", tags: ["a", "b", "c"] },
+    });
+    /** @type {any[]} */
+    let undo = [];
+
+    createRoot(() => onPatches(state, (_, inverse) => (undo = inverse)));
+
+    const before = json(unwrap(state));
+    setState(
+      produce((/** @type {any} */ draft) => {
+        draft.user.name = "Grace";
+        draft.user.tags.splice(0, 2);
+        draft.user.age = 36;
+      })
+    );
+    assertEqual(json(unwrap(state)), '{"user":{"name":"Grace","tags":["c"],"age":36}}');
+
+    applyPatches(state, undo);
+    assertEqual(json(unwrap(state)), before);
+  });
+
+  await test("applyPatches is one batched update", async () => {
+    const [state] = createStore({
+      user: { name: "Ada" },
+      /** @type {string[]} */
+      list: ["a", "c"],
+    });
+    /** @type {string[]} */
+    const runs = [];
+
+    createRoot(() => {
+      createEffect(() => runs.push(`${state.user.name}:${state.list.join("")}`));
+    });
+
+    await nextTick();
+    applyPatches(state, [
+      { op: "replace", path: "/user/name", value: "Grace" },
+      { op: "add", path: "/list/1", value: "b" },
+      { op: "add", path: "/list/-", value: "d" },
+      { op: "move", from: "/list/0", path: "/list/-" },
+      { op: "copy", from: "/user/name", path: "/user/alias" },
+      { op: "test", path: "/list", value: ["b", "c", "d", "a"] },
+    ]);
+    await nextTick();
+
+    assertEqual(runs.join(","), "Ada:ac,Grace:bcda");
+    assertEqual(json(unwrap(state.user)), '{"name":"Grace","alias":"Grace"}');
+  });
+
+  await test("Applied patches and their inverses are emitted", () => {
+    const [state] = createStore({ list: ["a", "b"] });
+    /** @type {any[]} */
+    let forward = [];
+    /** @type {any[]} */
+    let inverse = [];
+
+    createRoot(() =>
+      onPatches(state, (patches, undo) => {
+        forward = patches;
+        inverse = undo;
+      })
+    );
+
+    applyPatches(state, [{ op: "move", from: "/list/0", path: "/list/-" }]);
+    assertEqual(json(forward), '[{"op":"move","from":"/list/0","path":"/list/-"}]');
+    assertEqual(state.list.join(""), "ba");
+
+    applyPatches(state, inverse);
+    assertEqual(state.list.join(""), "ab");
+  });
+
+  await test("Failed test operations throw", () => {
+    const [state] = createStore({ count: 1 });
+    let error = "";
+    try {
+      applyPatches(state, [{ op: "test", path: "/count", value: 2 }]);
+    } catch (e) {
+      error = /** @type {Error} */ (e).message;
+    }
+    assertEqual(error, 'JSON Patch test failed at "/count"');
+  });
+
+  await test("A failing operation rolls back the whole patch", () => {
+    const [state] = createStore({ a: 1, b: 2, list: ["x"] });
+    let calls = 0;
+
+    createRoot(() => onPatches(state, () => calls++));
+
+    let error = "";
+    try {
+      applyPatches(state, [
+        { op: "replace", path: "/a", value: 99 },
+        { op: "add", path: "/list/0", value: "w" },
+        { op: "remove", path: "/b" },
+        { op: "test", path: "/a", value: 3 },
+      ]);
+    } catch (e) {
+      error = /** @type {Error} */ (e).message;
+    }
+
+    assertEqual(error, 'JSON Patch test failed at "/a"');
+    assertEqual(state.a, 1);
+    assertEqual(state.b, 2);
+    assertEqual(json(unwrap(state.list)), '["x"]');
+    assertEqual(calls, 0);
+  });
+
+  await test("Subscriptions end with their root", () => {
+    const [state, setState] = createStore({ count: 0 });
+    let calls = 0;
+
+    const dispose = createRoot((dispose) => {
+      onPatches(state, () => calls++);
+      return dispose;
+    });
+
+    setState("count", 1);
+    dispose();
+    setState("count", 2);
+    assertEqual(calls, 1);
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
@@ -0,0 +1,202 @@
+// Test: Deep reactive stores (createStore / setStore paths)
+import { createEffect, createRoot, createMemo, mapArray } from "./siganl-0.js";
+import { createStore } from "./store.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+(async () => {
+  console.log("=== Test: createStore ===\n");
+
+  await test("Only readers of the changed property re-run", async () => {
+    const [state, setState] = createStore({
+      user: { name: "Ada", age: 36 },
+      theme: "dark",
+    });
+    /** @type {string[]} */
+    const runs = [];
+
+    createRoot(() => {
+      createEffect(() => runs.push(`name:${state.user.name}`));
+      createEffect(() => runs.push(`age:${state.user.age}`));
+      createEffect(() => runs.push(`theme:${state.theme}`));
+    });
+
+    await nextTick();
+    runs.length = 0;
+    setState("user", "name", "Grace");
+    await nextTick();
+    assertEqual(runs.join(","), "name:Grace");
+
+    runs.length = 0;
+    setState("user", "name", "Grace");
+    await nextTick();
+    assertEqual(runs.length, 0, "Same value must not notify");
+  });
+
+  await test("Nested objects keep a stable proxy and merge on write", async () => {
+    const [state, setState] = createStore({ user: { name: "Ada", age: 36 } });
+    const user = state.user;
+    assertEqual(state.user, user);
+
+    setState("user", { age: 37 });
+    assertEqual(state.user, user, "Merging keeps the object");
+    assertEqual(`${state.user.name}/${state.user.age}`, "Ada/37");
+
+    setState("user", "age", (/** @type {number} */ age) => age + 1);
+    assertEqual(state.user.age, 38);
+  });
+
+  await test("Array paths: index, predicate, range and key list", () => {
+    const [state, setState] = createStore({
+      todos: [
+        { title: "a", done: false },
+        { title: "b", done: true },
+        { title: "c", done: false },
+        { title: "d", done: true },
+      ],
+    });
+    const done = () => state.todos.map((todo) => (todo.done ? 1 : 0)).join("");
+
+    setState("todos", 0, "done", true);
+    assertEqual(done(), "1101");
+
+    setState("todos", (/** @type {any} */ todo) => todo.done, "done", false);
+    assertEqual(done(), "0000");
+
+    setState("todos", { from: 1, to: 3, by: 2 }, "done", true);
+    assertEqual(done(), "0101");
+
+    setState("todos", [0, 2], "title", (/** @type {string} */ t) => t.toUpperCase());
+    assertEqual(state.todos.map((todo) => todo.title).join(""), "AbCd");
+  });
+
+  await test("Ranges reject a step that is not positive", () => {
+    const [state, setState] = createStore({ list: [1, 2, 3] });
+    /** @type {string[]} */
+    const errors = [];
+
+    for (const by of [0, -1, NaN]) {
+      try {
+        setState("list", { from: 0, to: 2, by }, 0);
+      } catch (err) {
+        errors.push(err instanceof RangeError ? "RangeError" : String(err));
+      }
+    }
+    assertEqual(errors.join(","), "RangeError,RangeError,RangeError");
+    assertEqual(state.list.join(","), "1,2,3");
+  });
+
+  await test("All writes of one setStore call are batched", async () => {
+    const [state, setState] = createStore({
+      items: [{ n: 1 }, { n: 2 }, { n: 3 }],
+    });
+    /** @type {number[]} */
+    const sums = [];
+
+    createRoot(() => {
+      createEffect(() => sums.push(state.items.reduce((sum, item) => sum + item.n, 0)));
+    });
+
+    await nextTick();
+    setState("items", () => true, "n", (/** @type {number} */ n) => n * 10);
+    await nextTick();
+    assertEqual(sums.join(","), "6,60");
+  });
+
+  await test("Length, appends, deletes and `in` are tracked", async () => {
+    const [state, setState] = createStore({
+      list: [1, 2],
+      /** @type {Record<string, number | undefined>} */
+      map: { a: 1 },
+    });
+    /** @type {string[]} */
+    const runs = [];
+
+    createRoot(() => {
+      createEffect(() => runs.push(`len:${state.list.length}`));
+      createEffect(() => runs.push(`has:${"b" in state.map}`));
+      createEffect(() => runs.push(`keys:${Object.keys(state.map).join("")}`));
+    });
+
+    await nextTick();
+    runs.length = 0;
+    setState("list", state.list.length, 3);
+    setState("map", "b", 2);
+    await nextTick();
+    assertEqual(runs.sort().join(","), "has:true,keys:ab,len:3");
+
+    runs.length = 0;
+    setState("map", "b", undefined);
+    await nextTick();
+    assertEqual(runs.sort().join(","), "has:false,keys:a");
+  });
+
+  await test("Root arrays and mapArray over store arrays", async () => {
+    const [list, setList] = createStore([{ id: 1 }, { id: 2 }]);
+    let mapped = 0;
+
+    const ids = createRoot(() => {
+      const rows = mapArray(
+        () => list,
+        (item) => {
+          mapped++;
+          return item;
+        }
+      );
+      return createMemo(() => rows().map((row) => row.id).join(","));
+    });
+
+    assertEqual(ids(), "1,2");
+    setList((/** @type {any[]} */ items) => [...items, { id: 3 }]);
+    await nextTick();
+    assertEqual(ids(), "1,2,3");
+    assertEqual(mapped, 3, "Existing items must be reused");
+  });
+
+  await test("Direct mutation is rejected", () => {
+    const [state] = createStore({ count: 0 });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      /** @type {any} */ (state).count = 5;
+    } finally {
+      console.warn = warn;
+    }
+    assertEqual(state.count, 0);
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
@@ -0,0 +1,277 @@
+// Test: Async iterables and streams (iterators / toReadableStream / fromAsyncIterable / fromReadable)
+import { Readable } from "node:stream";
+import {
+  createSignal,
+  createMemo,
+  createEffect,
+  createRoot,
+  catchError,
+  toReadableStream,
+  fromAsyncIterable,
+  fromReadable,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+(async () => {
+  console.log("=== Test: async iterables / streams ===\n");
+
+  await test("Signals and memos are async iterables of their values", async () => {
+    const [count, setCount] = createSignal(0);
+    const doubled = createMemo(() => count() * 2);
+    /** @type {number[]} */
+    const seen = [];
+
+    const consume = (async () => {
+      for await (const value of doubled) {
+        seen.push(value);
+        if (value >= 4) break;
+      }
+    })();
+
+    await nextTick();
+    setCount(1);
+    await nextTick();
+    setCount(2);
+    await consume;
+
+    assertEqual(seen.join(","), "0,2,4");
+    assertEqual(typeof count[Symbol.asyncIterator], "function");
+  });
+
+  await test("Slow consumers get the latest value (coalesced)", async () => {
+    const [count, setCount] = createSignal(0);
+    const iterator = count[Symbol.asyncIterator]();
+
+    assertEqual((await iterator.next()).value, 0);
+    setCount(1);
+    await nextTick();
+    setCount(2);
+    await nextTick();
+    setCount(3);
+    await nextTick();
+    assertEqual((await iterator.next()).value, 3);
+    await iterator.return?.();
+    assertEqual((await iterator.next()).done, true);
+  });
+
+  await test("Iteration ends when the owning root is disposed", async () => {
+    const [count] = createSignal(0);
+    /** @type {number[]} */
+    const seen = [];
+    let ended = false;
+
+    const dispose = createRoot((dispose) => {
+      (async () => {
+        for await (const value of count) seen.push(value);
+        ended = true;
+      })();
+      return dispose;
+    });
+
+    await nextTick();
+    dispose();
+    await nextTick();
+    assertEqual(seen.join(","), "0");
+    assertEqual(ended, true);
+  });
+
+  await test("Accessor errors reject the pending read and end the stream", async () => {
+    const [count, setCount] = createSignal(0);
+    const accessor = () => {
+      const value = count();
+      if (value === 1) throw new Error("bad value");
+      return value;
+    };
+
+    const reader = toReadableStream(accessor).getReader();
+    assertEqual((await reader.read()).value, 0);
+    const pending = reader.read();
+    setCount(1);
+
+    let message = "";
+    try {
+      await pending;
+    } catch (err) {
+      message = /** @type {Error} */ (err).message;
+    }
+    assertEqual(message, "bad value");
+
+    // Failing before anything is read: the first read rejects
+    const failing = toReadableStream(() => {
+      throw new Error("at start");
+    }).getReader();
+    message = "";
+    try {
+      await failing.read();
+    } catch (err) {
+      message = /** @type {Error} */ (err).message;
+    }
+    assertEqual(message, "at start");
+  });
+
+  await test("toReadableStream streams values and closes with its root", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {any} */
+    let stream;
+    const dispose = createRoot((dispose) => {
+      stream = toReadableStream(count);
+      return dispose;
+    });
+    const reader = stream.getReader();
+
+    assertEqual((await reader.read()).value, 0);
+    setCount(1);
+    assertEqual((await reader.read()).value, 1);
+    dispose();
+    assertEqual((await reader.read()).done, true);
+  });
+
+  await test("Cancelling the stream stops tracking", async () => {
+    const [count, setCount] = createSignal(0);
+    let reads = 0;
+    const tracked = () => {
+      reads++;
+      return count();
+    };
+
+    const stream = toReadableStream(tracked);
+    const reader = stream.getReader();
+    await reader.read();
+    await reader.cancel();
+
+    const before = reads;
+    setCount(1);
+    await nextTick();
+    assertEqual(reads, before, "Cancelled stream must not re-run");
+  });
+
+  await test("fromAsyncIterable pulls one item at a time and cancels on cleanup", async () => {
+    let produced = 0;
+    let finalized = false;
+    async function* numbers() {
+      try {
+        for (let i = 1; ; i++) {
+          produced++;
+          yield i;
+          await nextTick();
+        }
+      } finally {
+        finalized = true;
+      }
+    }
+
+    /** @type {number[]} */
+    const seen = [];
+    const dispose = createRoot((dispose) => {
+      const value = fromAsyncIterable(numbers(), 0);
+      createEffect(() => seen.push(/** @type {number} */ (value())));
+      return dispose;
+    });
+
+    await nextTick();
+    await nextTick();
+    await nextTick();
+    dispose();
+    const producedAtDispose = produced;
+    await nextTick();
+    await nextTick();
+
+    assertEqual(seen[0], 0);
+    assertEqual(seen.length > 1, true, "Items should arrive");
+    assertEqual(produced <= producedAtDispose + 1, true, "Source must not be drained");
+    assertEqual(finalized, true, "Upstream iterator should be closed");
+  });
+
+  await test("fromAsyncIterable errors reach the reader's handler", async () => {
+    async function* failing() {
+      yield 1;
+      throw new Error("source failed");
+    }
+    /** @type {string[]} */
+    const errors = [];
+
+    createRoot(() => {
+      const value = fromAsyncIterable(failing());
+      catchError(
+        () => createEffect(() => value()),
+        (err) => errors.push(err.message)
+      );
+    });
+
+    await nextTick();
+    await nextTick();
+    assertEqual(errors.join(","), "source failed");
+  });
+
+  await test("fromReadable reads WHATWG and Node.js streams", async () => {
+    /** @type {ReadableStreamDefaultController<string>} */
+    let controller = /** @type {any} */ (null);
+    let cancelled = false;
+    const web = new ReadableStream({
+      start(c) {
+        controller = c;
+      },
+      cancel() {
+        cancelled = true;
+      },
+    });
+    const node = Readable.from(["a", "b", "c"]);
+
+    /** @type {any} */
+    let fromWeb;
+    /** @type {any} */
+    let fromNode;
+    const dispose = createRoot((dispose) => {
+      fromWeb = fromReadable(web, "");
+      fromNode = fromReadable(node, "");
+      return dispose;
+    });
+
+    controller.enqueue("x");
+    await nextTick();
+    assertEqual(fromWeb(), "x");
+    await nextTick();
+    assertEqual(fromNode(), "c");
+
+    dispose();
+    await nextTick();
+    assertEqual(cancelled, true, "WHATWG stream should be cancelled");
+    assertEqual(node.destroyed, true, "Node.js stream should be destroyed");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
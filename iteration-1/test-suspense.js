@@ -0,0 +1,245 @@
+// Test: Suspense boundaries and SuspenseList reveal order
+import {
+  createEffect,
+  createRoot,
+  createResource,
+  Suspense,
+  SuspenseList,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Resource whose single request is resolved by hand
+ * @param {string} result
+ */
+function manualResource(result) {
+  /** @type {() => void} */
+  let resolve = () => {};
+  const [resource] = createResource(
+    () => new Promise((r) => (resolve = () => r(result)))
+  );
+  return { resource, resolve: () => resolve() };
+}
+
+(async () => {
+  console.log("=== Test: Suspense / SuspenseList ===\n");
+
+  await test("Boundary shows the fallback until its resources resolve", async () => {
+    /** @type {() => void} */
+    let resolve = () => {};
+    const boundary = createRoot(() =>
+      Suspense({
+        fallback: () => "loading",
+        children: () => {
+          const r = manualResource("data");
+          resolve = r.resolve;
+          createEffect(() => r.resource());
+          return "content";
+        },
+      })
+    );
+
+    await nextTick();
+    assertEqual(boundary.ready(), false);
+    assertEqual(boundary.fallback(), true);
+    assertEqual(boundary.value(), "loading");
+
+    resolve();
+    await nextTick();
+    assertEqual(boundary.ready(), true);
+    assertEqual(boundary.value(), "content");
+  });
+
+  await test("Counts several resources, each request once", async () => {
+    /** @type {(() => void)[]} */
+    const resolvers = [];
+    const boundary = createRoot(() =>
+      Suspense({
+        children: () => {
+          const a = manualResource("a");
+          const b = manualResource("b");
+          resolvers.push(a.resolve, b.resolve);
+          createEffect(() => a.resource());
+          createEffect(() => `${a.resource()}${b.resource()}`);
+        },
+      })
+    );
+
+    await nextTick();
+    /** @type {() => void} */ (resolvers[0])();
+    await nextTick();
+    assertEqual(boundary.ready(), false, "b is still loading");
+
+    /** @type {() => void} */ (resolvers[1])();
+    await nextTick();
+    assertEqual(boundary.ready(), true);
+  });
+
+  await test("Nested boundaries only capture resources beneath them", async () => {
+    /** @type {() => void} */
+    let resolve = () => {};
+    /** @type {any} */
+    let inner;
+    const outer = createRoot(() =>
+      Suspense({
+        children: () => {
+          inner = Suspense({
+            children: () => {
+              const r = manualResource("inner");
+              resolve = r.resolve;
+              createEffect(() => r.resource());
+            },
+          });
+        },
+      })
+    );
+
+    await nextTick();
+    assertEqual(inner.ready(), false);
+    assertEqual(outer.ready(), true, "Outer boundary is not suspended");
+
+    resolve();
+    await nextTick();
+    assertEqual(inner.ready(), true);
+  });
+
+  await test("latest never suspends", async () => {
+    const boundary = createRoot(() =>
+      Suspense({
+        children: () => {
+          const r = manualResource("x");
+          createEffect(() => r.resource.latest);
+        },
+      })
+    );
+    await nextTick();
+    assertEqual(boundary.ready(), true);
+  });
+
+  /**
+   * @param {"forwards" | "backwards" | "together"} revealOrder
+   * @param {number[]} resolved Indices of the items whose resource resolves
+   */
+  async function runList(revealOrder, resolved) {
+    /** @type {(() => void)[]} */
+    const resolvers = [];
+    /** @type {any[]} */
+    const boundaries = [];
+
+    createRoot(() =>
+      SuspenseList({
+        revealOrder,
+        children: () => {
+          for (let i = 0; i < 3; i++) {
+            boundaries.push(
+              Suspense({
+                children: () => {
+                  const r = manualResource(`item ${i}`);
+                  resolvers.push(r.resolve);
+                  createEffect(() => r.resource());
+                },
+              })
+            );
+          }
+        },
+      })
+    );
+
+    await nextTick();
+    for (const i of resolved) /** @type {() => void} */ (resolvers[i])();
+    await nextTick();
+    return boundaries.map((b) => (b.ready() ? "R" : "-")).join("");
+  }
+
+  await test("SuspenseList forwards", async () => {
+    assertEqual(await runList("forwards", [1]), "---", "Item 1 waits for item 0");
+    assertEqual(await runList("forwards", [0, 1]), "RR-");
+  });
+
+  await test("SuspenseList backwards", async () => {
+    assertEqual(await runList("backwards", [1]), "---", "Item 1 waits for item 2");
+    assertEqual(await runList("backwards", [1, 2]), "-RR");
+  });
+
+  await test("SuspenseList together", async () => {
+    assertEqual(await runList("together", [0, 1]), "---");
+    assertEqual(await runList("together", [0, 1, 2]), "RRR");
+  });
+
+  await test("SuspenseList reveals in order as resources resolve", async () => {
+    /** @type {(() => void)[]} */
+    const resolvers = [];
+    /** @type {any[]} */
+    const boundaries = [];
+
+    createRoot(() =>
+      SuspenseList({
+        revealOrder: "forwards",
+        children: () => {
+          for (let i = 0; i < 3; i++) {
+            boundaries.push(
+              Suspense({
+                children: () => {
+                  const r = manualResource(`item ${i}`);
+                  resolvers.push(r.resolve);
+                  createEffect(() => r.resource());
+                },
+              })
+            );
+          }
+        },
+      })
+    );
+
+    const states = () => boundaries.map((b) => (b.ready() ? "R" : "-")).join("");
+    await nextTick();
+
+    /** @type {() => void} */ (resolvers[1])();
+    await nextTick();
+    assertEqual(states(), "---");
+
+    /** @type {() => void} */ (resolvers[0])();
+    await nextTick();
+    assertEqual(states(), "RR-");
+
+    /** @type {() => void} */ (resolvers[2])();
+    await nextTick();
+    assertEqual(states(), "RRR");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
@@ -0,0 +1,182 @@
+// Test: Time-sliced flushing (setTimeSlicing / getFlushStats)
+import {
+  createSignal,
+  createEffect,
+  createMemo,
+  createRoot,
+  setTimeSlicing,
+  getFlushStats,
+  flushSync,
+  settled,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/** @param {number} ms */
+const busy = (ms) => {
+  const end = performance.now() + ms;
+  while (performance.now() < end);
+};
+
+(async () => {
+  console.log("=== Test: Time slicing ===\n");
+
+  await test("Without a budget a flush takes one slice", async () => {
+    const [count, setCount] = createSignal(0);
+    createRoot(() => {
+      for (let i = 0; i < 5; i++) createEffect(() => count());
+    });
+    await settled();
+    setCount(1);
+    await settled();
+
+    const stats = getFlushStats();
+    assertEqual(stats?.slices, 1);
+    assertEqual(stats?.effects, 5);
+  });
+
+  await test("A flush over budget yields to macrotasks", async () => {
+    setTimeSlicing(5);
+    try {
+      const [count, setCount] = createSignal(0);
+      let runs = 0;
+      createRoot(() => {
+        for (let i = 0; i < 10; i++) {
+          createEffect(() => {
+            count();
+            busy(2);
+            runs++;
+          });
+        }
+      });
+      await settled();
+
+      runs = 0;
+      let timerFired = false;
+      setCount(1);
+      setTimeout(() => (timerFired = true), 0);
+      await Promise.resolve();
+      assertEqual(runs < 10, true, "First slice must stop early");
+
+      await settled();
+      assertEqual(runs, 10);
+      assertEqual(timerFired, true, "Other macrotasks ran in between");
+      const stats = getFlushStats();
+      assertEqual((stats?.slices ?? 0) > 1, true, "Stats report several slices");
+      assertEqual(stats?.effects, 10);
+    } finally {
+      setTimeSlicing(null);
+    }
+  });
+
+  await test("Every slice runs its memos before its effects", async () => {
+    setTimeSlicing(1);
+    try {
+      const [count, setCount] = createSignal(0);
+      /** @type {string[]} */
+      const log = [];
+
+      createRoot(() => {
+        const memos = Array.from({ length: 3 }, (_, i) =>
+          createMemo(() => {
+            log.push(`memo${i}`);
+            return count() + i;
+          })
+        );
+        for (let i = 0; i < 3; i++) {
+          createEffect(() => {
+            log.push(`effect${i}:${memos[i]?.()}`);
+            busy(2);
+            if (count() === 1 && i === 0) setCount(2);
+          });
+        }
+      });
+      await settled();
+
+      log.length = 0;
+      setCount(1);
+      await settled();
+
+      // Slice 1: memos, effect0 (writes 2) → slice 2: memos again, effects
+      const firstEffect = log.indexOf("effect0:1");
+      const lastMemo = log.lastIndexOf("memo2");
+      assertEqual(firstEffect > log.indexOf("memo2"), true);
+      assertEqual(log.slice(lastMemo + 1).every((e) => e.startsWith("effect")), true);
+      assertEqual(log.includes("effect2:4"), true, "Effects see fresh memos");
+    } finally {
+      setTimeSlicing(null);
+    }
+  });
+
+  await test("flushSync finishes a sliced flush", async () => {
+    setTimeSlicing(1);
+    try {
+      const [count, setCount] = createSignal(0);
+      let runs = 0;
+      createRoot(() => {
+        for (let i = 0; i < 5; i++) {
+          createEffect(() => {
+            count();
+            busy(2);
+            runs++;
+          });
+        }
+      });
+      flushSync();
+      assertEqual(runs, 5, "flushSync ignores the budget");
+
+      runs = 0;
+      setCount(1);
+      await Promise.resolve();
+      flushSync();
+      assertEqual(runs, 5);
+    } finally {
+      setTimeSlicing(null);
+    }
+  });
+
+  await test("Invalid budgets are rejected", () => {
+    let error = "";
+    try {
+      setTimeSlicing(0);
+    } catch (e) {
+      error = /** @type {Error} */ (e).name;
+    }
+    assertEqual(error, "RangeError");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
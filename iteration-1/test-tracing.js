@@ -0,0 +1,253 @@
+// Test: Causality tracing (enableTracing / getLastRunCause / getTrace)
+import {
+  createSignal,
+  createEffect,
+  createMemo,
+  createRoot,
+  getListener,
+  batch,
+  settled,
+  enableTracing,
+  disableTracing,
+  getTrace,
+  clearTrace,
+  getLastRunCause,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+(async () => {
+  console.log("=== Test: Causality tracing ===\n");
+
+  await test("An effect run records the write and the memos it went through", async () => {
+    enableTracing();
+    try {
+      const [count, setCount] = createSignal(0, { name: "count" });
+      /** @type {any} */
+      let effect = null;
+
+      createRoot(() => {
+        const doubled = createMemo(() => count() * 2, undefined, {
+          name: "doubled",
+        });
+        const label = createMemo(() => `n=${doubled()}`, undefined, {
+          name: "label",
+        });
+        createEffect(
+          () => {
+            label();
+            effect = getListener();
+          },
+          { name: "render" }
+        );
+      });
+      await settled();
+
+      const first = getLastRunCause(effect);
+      assertEqual(first?.computation, "render");
+      assertEqual(first?.kind, "effect");
+      assertEqual(first?.causes.length, 0, "First run has no cause");
+
+      const before = performance.now();
+      setCount(5);
+      await settled();
+
+      const run = /** @type {any} */ (getLastRunCause(effect));
+      assertEqual(run.causes.length, 1);
+      const [cause] = run.causes;
+      assertEqual(cause.write.signal, "count");
+      assertEqual(cause.write.prev, 0);
+      assertEqual(cause.write.value, 5);
+      assertEqual(cause.via.join(" → "), "doubled → label");
+      assertEqual(cause.write.time >= before, true);
+      assertEqual(run.time >= cause.write.time, true);
+      assertEqual(cause.write.stack, undefined, "No stack unless asked");
+    } finally {
+      disableTracing();
+      clearTrace();
+    }
+  });
+
+  await test("Memo accessors expose their last cause", async () => {
+    enableTracing();
+    try {
+      const [count, setCount] = createSignal(1, { name: "count" });
+      const doubled = createRoot(() =>
+        createMemo(() => count() * 2, undefined, { name: "doubled" })
+      );
+      setCount(2);
+      await settled();
+
+      const run = getLastRunCause(doubled);
+      assertEqual(run?.kind, "memo");
+      assertEqual(run?.causes[0]?.write.signal, "count");
+      assertEqual(run?.causes[0]?.via.length, 0);
+    } finally {
+      disableTracing();
+      clearTrace();
+    }
+  });
+
+  await test("Batched writes all show up as causes", async () => {
+    enableTracing();
+    try {
+      const [a, setA] = createSignal(0, { name: "a" });
+      const [b, setB] = createSignal(0, { name: "b" });
+      /** @type {any} */
+      let effect = null;
+      createRoot(() =>
+        createEffect(() => {
+          a() + b();
+          effect = getListener();
+        })
+      );
+      await settled();
+
+      batch(() => {
+        setA(1);
+        setB(1);
+      });
+      await settled();
+
+      const signals = getLastRunCause(effect)?.causes.map((c) => c.write.signal);
+      assertEqual(signals?.join(), "a,b");
+    } finally {
+      disableTracing();
+      clearTrace();
+    }
+  });
+
+  await test("Unchanged memos stop the chain", async () => {
+    enableTracing();
+    try {
+      const [count, setCount] = createSignal(1, { name: "count" });
+      let runs = 0;
+      createRoot(() => {
+        const parity = createMemo(() => count() % 2, undefined, {
+          name: "parity",
+        });
+        createEffect(() => {
+          parity();
+          runs++;
+        });
+      });
+      await settled();
+      clearTrace();
+
+      setCount(3);
+      await settled();
+      assertEqual(runs, 1);
+      assertEqual(
+        getTrace().map((run) => run.computation).join(),
+        "parity",
+        "Only the memo ran"
+      );
+    } finally {
+      disableTracing();
+      clearTrace();
+    }
+  });
+
+  await test("stack: true captures the call site of the write", async () => {
+    enableTracing({ stack: true });
+    try {
+      const [count, setCount] = createSignal(0);
+      /** @type {any} */
+      let effect = null;
+      createRoot(() =>
+        createEffect(() => {
+          count();
+          effect = getListener();
+        })
+      );
+      await settled();
+
+      function writeFromHere() {
+        setCount(1);
+      }
+      writeFromHere();
+      await settled();
+
+      const stack = getLastRunCause(effect)?.causes[0]?.write.stack ?? "";
+      assertEqual(stack.includes("writeFromHere"), true, stack);
+      assertEqual(stack.includes("siganl-0.js"), false, "Runtime frames dropped");
+    } finally {
+      disableTracing();
+      clearTrace();
+    }
+  });
+
+  await test("The trace buffer rolls over, oldest first", async () => {
+    enableTracing({ bufferSize: 3 });
+    try {
+      const [count, setCount] = createSignal(0);
+      createRoot(() => {
+        for (const name of ["e1", "e2"]) {
+          createEffect(() => count(), { name });
+        }
+      });
+      await settled();
+      setCount(1);
+      await settled();
+
+      const trace = getTrace();
+      assertEqual(trace.length, 3);
+      assertEqual(trace.map((run) => run.computation).join(), "e2,e1,e2");
+      assertEqual(trace[0] && trace[1] && trace[0].id < trace[1].id, true);
+    } finally {
+      disableTracing();
+      clearTrace();
+    }
+  });
+
+  await test("Nothing is recorded while tracing is off", async () => {
+    const [count, setCount] = createSignal(0);
+    /** @type {any} */
+    let effect = null;
+    createRoot(() =>
+      createEffect(() => {
+        count();
+        effect = getListener();
+      })
+    );
+    await settled();
+    setCount(1);
+    await settled();
+
+    assertEqual(getLastRunCause(effect), null);
+    assertEqual(getTrace().length, 0);
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
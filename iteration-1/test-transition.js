@@ -0,0 +1,160 @@
+// Test: startTransition / useTransition
+import {
+  createSignal,
+  createEffect,
+  createMemo,
+  startTransition,
+  useTransition,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+(async () => {
+  console.log("=== Test: Transitions ===\n");
+
+  await test("Writes are visible inside the transition only", async () => {
+    const [tab, setTab] = createSignal("home");
+    /** @type {string[]} */
+    const seen = [];
+    createEffect(() => seen.push(tab()));
+    await nextTick();
+
+    let inside = "";
+    const done = startTransition(() => {
+      setTab("settings");
+      inside = tab();
+    });
+
+    assertEqual(inside, "settings", "Transition code sees its own write");
+    assertEqual(tab(), "home", "Outside code sees the committed value");
+
+    await done;
+    assertEqual(tab(), "settings");
+    assertEqual(seen.join(","), "home,settings");
+  });
+
+  await test("Commit waits for async work started by the transition", async () => {
+    const [page, setPage] = createSignal(1);
+    const label = createMemo(() => `page ${page()}`);
+    let committed = false;
+
+    const done = startTransition(() => {
+      setPage(2);
+      return delay(30);
+    }).then(() => (committed = true));
+
+    await delay(10);
+    assertEqual(committed, false);
+    assertEqual(page(), 1, "Still the committed value while waiting");
+    assertEqual(label(), "page 1", "Memos outside see the committed value");
+
+    await done;
+    assertEqual(page(), 2);
+    assertEqual(label(), "page 2");
+  });
+
+  await test("Several writes commit in one batch", async () => {
+    const [a, setA] = createSignal(0);
+    const [b, setB] = createSignal(0);
+    let runs = 0;
+    createEffect(() => {
+      a();
+      b();
+      runs++;
+    });
+    await nextTick();
+
+    await startTransition(() => {
+      setA(1);
+      setB(1);
+      setA((v) => v + 1); // Updater sees the transition value
+    });
+
+    assertEqual(a(), 2);
+    assertEqual(b(), 1);
+    assertEqual(runs, 2, "Effect runs once for the whole commit");
+  });
+
+  await test("useTransition exposes isPending", async () => {
+    const [isPending, start] = useTransition();
+    const [value, setValue] = createSignal("a");
+    /** @type {string[]} */
+    const seen = [];
+    createEffect(() => seen.push(`${isPending()}:${value()}`));
+    await nextTick();
+
+    const done = start(() => {
+      setValue("b");
+      return delay(10);
+    });
+    await nextTick();
+    assertEqual(isPending(), true);
+
+    await done;
+    assertEqual(isPending(), false);
+    assertEqual(seen.join(","), "false:a,true:a,false:b");
+  });
+
+  await test("Transitions started while one is pending join it", async () => {
+    const [a, setA] = createSignal(0);
+    const [b, setB] = createSignal(0);
+
+    const first = startTransition(() => {
+      setA(1);
+      return delay(10);
+    });
+    const second = startTransition(() => {
+      setB(1);
+      return delay(30);
+    });
+
+    assertEqual(first, second, "Same transition, same promise");
+    await delay(15);
+    assertEqual(a(), 0, "Waits for all async work of the transition");
+
+    await first;
+    assertEqual(a(), 1);
+    assertEqual(b(), 1);
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();
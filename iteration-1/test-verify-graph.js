@@ -0,0 +1,255 @@
+// Test: Graph invariant checker (verifyGraph / autoVerifyGraph)
+import {
+  createSignal,
+  createEffect,
+  createMemo,
+  createRoot,
+  getOwner,
+  getListener,
+  settled,
+  flushSync,
+  setDevMode,
+  verifyGraph,
+  autoVerifyGraph,
+} from "./siganl-0.js";
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message]
+ */
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+(async () => {
+  console.log("=== Test: verifyGraph ===\n");
+
+  await test("Dynamic dependencies keep the slot bookkeeping consistent", async () => {
+    const signals = Array.from({ length: 6 }, (_, i) => createSignal(i));
+    const [pick, setPick] = createSignal(0);
+
+    const root = createRoot(() => {
+      for (let e = 0; e < 4; e++) {
+        const picked = createMemo(() =>
+          signals.filter((_, i) => (i + e + pick()) % 3 !== 0).map(([read]) => read())
+        );
+        createEffect(() => {
+          picked();
+          // Reads the same signal twice on purpose
+          signals[(e + pick()) % 6]?.[0]();
+          signals[(e + pick()) % 6]?.[0]();
+        });
+      }
+      return /** @type {any} */ (getOwner());
+    });
+
+    for (let round = 0; round < 10; round++) {
+      setPick(round);
+      signals[round % 6]?.[1](round * 10);
+      await settled();
+      assertEqual(verifyGraph(root).join("\n"), "", `round ${round}`);
+    }
+  });
+
+  await test("Broken slots are reported in both directions", async () => {
+    const [count] = createSignal(0, { name: "count" });
+    const root = createRoot(() => {
+      createEffect(() => count(), { name: "a" });
+      createEffect(() => count(), { name: "b" });
+      return /** @type {any} */ (getOwner());
+    });
+    await settled();
+
+    const state = /** @type {any} */ (count)._state;
+    state.observerSlots.reverse();
+    state.observers.reverse();
+    const violations = verifyGraph(root);
+    state.observers.reverse();
+    state.observerSlots.reverse();
+
+    assertEqual(violations.length, 4);
+    assertEqual(
+      violations.includes('effect "a".sources[0] (signal "count") does not point back at slot 0'),
+      true,
+      violations.join("\n")
+    );
+    assertEqual(
+      violations.includes('signal "count".observers[0] (effect "b") does not point back at slot 0'),
+      true,
+      violations.join("\n")
+    );
+    assertEqual(verifyGraph(root).length, 0);
+  });
+
+  await test("Reachable disposed computations are reported", async () => {
+    const [count] = createSignal(0, { name: "count" });
+    /** @type {any} */
+    let stale = null;
+    /** @type {() => void} */
+    let disposeInner = () => {};
+    const root = createRoot(() => {
+      createRoot((dispose) => {
+        createEffect(() => {
+          count();
+          stale = getListener();
+        }, { name: "gone" });
+        disposeInner = dispose;
+      });
+      createEffect(() => count(), { name: "kept" });
+      return /** @type {any} */ (getOwner());
+    });
+    await settled();
+    disposeInner();
+    assertEqual(stale.disposed, true);
+
+    // Simulate a missed cleanup: the disposed effect is still owned
+    root.owned.push(stale);
+    const violations = verifyGraph(root);
+    root.owned.pop();
+
+    assertEqual(violations.includes('disposed effect "gone" is still owned'), true, violations.join("\n"));
+  });
+
+  await test("Owned lists must match owner back-pointers", async () => {
+    const root = createRoot(() => {
+      createEffect(() => {
+        createMemo(() => 1, undefined, { name: "child" });
+      }, { name: "parent" });
+      return /** @type {any} */ (getOwner());
+    });
+    await settled();
+    assertEqual(verifyGraph(root).length, 0, "Nested computations are fine");
+
+    const child = root.owned[0].owned[0];
+    const owner = child.owner;
+    child.owner = root;
+    const violations = verifyGraph(root);
+    child.owner = owner;
+    assertEqual(
+      violations.join(),
+      'memo "child" is owned by effect "parent" but points at another owner'
+    );
+  });
+
+  await test("Computations left STALE after a flush are reported", async () => {
+    const root = createRoot(() => {
+      createEffect(() => {}, { name: "effect" });
+      createMemo(() => 1, undefined, { name: "lazy", lazy: true });
+      return /** @type {any} */ (getOwner());
+    });
+    await settled();
+
+    const effect = root.owned[0];
+    effect.state = 1;
+    const violations = verifyGraph(root);
+    effect.state = 0;
+    assertEqual(violations.join(), 'effect "effect" is STALE although nothing is queued');
+  });
+
+  await test("fail: true throws, autoVerifyGraph checks every flush in dev mode", async () => {
+    const [count, setCount] = createSignal(0, { name: "count" });
+    const [other] = createSignal(0, { name: "other" });
+    const root = createRoot(() => {
+      createEffect(() => count(), { name: "watched" });
+      createEffect(() => other(), { name: "idle" });
+      return /** @type {any} */ (getOwner());
+    });
+    await settled();
+
+    const stop = autoVerifyGraph(root);
+    setDevMode(true);
+    const state = /** @type {any} */ (other)._state;
+    try {
+      flushSync(() => setCount(1));
+
+      // Corrupt a link the next flush does not touch: the check after it throws
+      state.observerSlots[0] = 5;
+      let message = "";
+      try {
+        flushSync(() => setCount(2));
+      } catch (err) {
+        message = err instanceof Error ? err.message : "";
+      }
+      assertEqual(
+        message,
+        "Graph invariant violated:\n" +
+          '- effect "idle".sources[0] (signal "other") does not point back at slot 0\n' +
+          '- signal "other".observers[0] (effect "idle") does not point back at slot 5'
+      );
+    } finally {
+      state.observerSlots[0] = 0;
+      setDevMode(false);
+      stop();
+    }
+
+    let threw = false;
+    try {
+      verifyGraph(root, { fail: true });
+    } catch {
+      threw = true;
+    }
+    assertEqual(threw, false, "Repaired graph passes");
+  });
+
+  await test("autoVerifyGraph does not mask the error of a failed flush", async () => {
+    const [count, setCount] = createSignal(0, { name: "count" });
+    const [other] = createSignal(0, { name: "other" });
+    const root = createRoot(() => {
+      createEffect(
+        () => {
+          if (count() === 1) throw new Error("effect failed");
+        },
+        { name: "thrower" }
+      );
+      createEffect(() => other(), { name: "idle" });
+      return /** @type {any} */ (getOwner());
+    });
+    await settled();
+
+    const stop = autoVerifyGraph(root);
+    setDevMode(true);
+    const state = /** @type {any} */ (other)._state;
+    const log = console.error;
+    console.error = () => {};
+    let message = "";
+    try {
+      state.observerSlots[0] = 5;
+      flushSync(() => setCount(1));
+    } catch (err) {
+      message = err instanceof Error ? err.message : "";
+    } finally {
+      console.error = log;
+      state.observerSlots[0] = 0;
+      setDevMode(false);
+      stop();
+    }
+    assertEqual(message, "effect failed");
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+})();